@@ -0,0 +1,73 @@
+// Admin endpoint: who can use the admin tools (owner only)
+// GET  /api/admin/admins                                    - every admin with their role
+// POST /api/admin/admins { action: 'add', email, role }     - add an admin or change their role
+// POST /api/admin/admins { action: 'remove', email }        - revoke access
+import { requireAdmin, ROLES } from '../../lib/admin-auth.js';
+import { getStorage } from '../../lib/storage/index.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const admin = await requireAdmin(req, res, 'owner');
+  if (!admin) return;
+
+  const store = getStorage({ mock: isMockMode(req) });
+
+  try {
+    if (req.method === 'GET') {
+      const admins = await store.listAdmins();
+      return res.status(200).json({
+        admins: admins.map(a => ({
+          email: a.email,
+          role: a.role,
+          addedBy: a.added_by,
+          addedAt: new Date(a.created_at).toISOString()
+        }))
+      });
+    }
+
+    const { action, email, role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'email required' });
+    }
+    // Owners can't lock themselves out
+    if (email.toLowerCase() === admin.email) {
+      return res.status(400).json({ error: 'You cannot change your own access' });
+    }
+
+    switch (action) {
+      case 'add': {
+        if (!ROLES.includes(role)) {
+          return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+        const added = await store.upsertAdmin({ email, role, addedBy: admin.email });
+        console.log(`[ADMIN] ${admin.email} set ${added.email} to ${role}`);
+        return res.status(200).json({ email: added.email, role: added.role });
+      }
+
+      case 'remove': {
+        const removed = await store.removeAdmin(email);
+        if (!removed) {
+          return res.status(404).json({ error: 'Admin not found' });
+        }
+        console.log(`[ADMIN] ${admin.email} removed ${removed.email}`);
+        return res.status(200).json({ removed: removed.email });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action. Use: add, remove' });
+    }
+
+  } catch (error) {
+    console.error('Admin management error:', error);
+    res.status(500).json({ error: 'Failed to update admins', details: error.message });
+  }
+}
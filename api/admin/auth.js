@@ -0,0 +1,94 @@
+// Admin sign-in
+// POST /api/admin/auth                  { email } - email a sign-in link to an admin
+// POST /api/admin/auth?action=verify    { token } - exchange the link's token for a session token
+// GET  /api/admin/auth                             - the signed-in admin (email, role)
+// Send the session token as "Authorization: Bearer <token>" to the other admin endpoints.
+import { sendEmail, renderMagicLinkEmail, appBaseUrl } from '../../lib/mailer.js';
+import { issueMagicToken, redeemMagicToken, issueAdminSession, TokenError } from '../../lib/tokens.js';
+import { findAdmin, requireAdmin, isMockEnv } from '../../lib/admin-auth.js';
+import { getStorage } from '../../lib/storage/index.js';
+
+// Same answer for admins and everyone else, so the admin list can't be probed
+const SENT_MESSAGE = 'If that email belongs to an admin, a sign-in link is on its way. It expires in 15 minutes.';
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    const admin = await requireAdmin(req, res, 'viewer');
+    if (!admin) return;
+    return res.status(200).json({ email: admin.email, role: admin.role });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Env only: the header must not choose the signing secret, admin store or mail transport
+  const mock = isMockEnv();
+
+  try {
+    if (req.query.action === 'verify') {
+      return await handleVerify(req, res, mock);
+    }
+    return await handleRequest(req, res, mock);
+
+  } catch (error) {
+    console.error('Admin auth error:', error);
+    res.status(500).json({ error: 'Admin sign-in failed', details: error.message });
+  }
+}
+
+async function handleRequest(req, res, mock) {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'email required' });
+  }
+
+  const admin = await findAdmin(getStorage({ mock }), email);
+  if (!admin) {
+    console.log(`[ADMIN] Sign-in requested for non-admin ${email.toLowerCase()}`);
+    return res.status(200).json({ success: true, message: SENT_MESSAGE });
+  }
+
+  const { token } = await issueMagicToken({ email: admin.email, purpose: 'admin' }, { mock });
+  const message = renderMagicLinkEmail({ url: `${appBaseUrl()}/grade?admin=${token}`, purpose: 'admin' });
+
+  await sendEmail({ to: admin.email, ...message }, { mock });
+
+  console.log(`[ADMIN] Sent sign-in link to ${admin.email}`);
+  res.status(200).json({ success: true, message: SENT_MESSAGE });
+}
+
+async function handleVerify(req, res, mock) {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'token required' });
+  }
+
+  let email;
+  try {
+    ({ email } = await redeemMagicToken(token, { purpose: 'admin', mock }));
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ error: error.message, reason: error.reason });
+    }
+    throw error;
+  }
+
+  // Access may have been revoked since the link was sent
+  const admin = await findAdmin(getStorage({ mock }), email);
+  if (!admin) {
+    return res.status(403).json({ error: 'Not an admin' });
+  }
+
+  const session = issueAdminSession(admin.email);
+
+  console.log(`[ADMIN] ${admin.email} signed in as ${admin.role}`);
+  res.status(200).json({
+    token: session.token,
+    expiresAt: session.expiresAt.toISOString(),
+    email: admin.email,
+    role: admin.role
+  });
+}
@@ -0,0 +1,57 @@
+// Admin endpoint: candidates ranked by success probability
+// GET /api/admin/candidates                 - ranked list (limit defaults to 50)
+// GET /api/admin/candidates?email=xxx       - one candidate with every factor
+// GET /api/admin/candidates?version=v1      - score with a specific weight version
+import { getStorage } from '../../lib/storage/index.js';
+import { loadSuccessWeights, listWeightVersions, computeSuccessProbability, rankCandidates } from '../../lib/success.js';
+import { requireAdmin } from '../../lib/admin-auth.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const admin = await requireAdmin(req, res, 'viewer');
+  if (!admin) return;
+
+  const storage = getStorage({ mock: isMockMode(req) });
+  const { email, version } = req.query;
+  const limit = parseInt(req.query.limit || '50');
+
+  let weights;
+  try {
+    weights = loadSuccessWeights(version);
+  } catch (error) {
+    return res.status(400).json({ error: 'Unknown weights version', details: error.message });
+  }
+
+  try {
+    if (email) {
+      const conversations = await storage.getConversationsByEmail(email);
+      if (conversations.length === 0) {
+        return res.status(404).json({ error: 'No conversations for this email' });
+      }
+
+      return res.status(200).json({ email, ...computeSuccessProbability(conversations, weights) });
+    }
+
+    const ranked = rankCandidates(await storage.getConversationsByPerson(), weights);
+
+    res.status(200).json({
+      weightsVersion: weights.version,
+      availableVersions: listWeightVersions(),
+      total: ranked.length,
+      // The list view carries the explanation, not every factor
+      candidates: ranked.slice(0, limit).map(({ factors, ...candidate }) => candidate)
+    });
+
+  } catch (error) {
+    console.error('Error ranking candidates:', error);
+    res.status(500).json({ error: 'Failed to rank candidates', details: error.message });
+  }
+}
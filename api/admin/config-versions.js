@@ -0,0 +1,96 @@
+// Admin endpoint: config versions and session pinning (lib/config-version.js)
+// GET  /api/admin/config-versions                           - every version, with session and turn counts
+// GET  /api/admin/config-versions?version=xxx               - one version's config and content snapshot
+// POST /api/admin/config-versions { action: 'pin', sessionId }   - keep a session on the version it started on
+// POST /api/admin/config-versions { action: 'unpin', sessionId } - let it follow the current files again
+import { getStorage } from '../../lib/storage/index.js';
+import { requireAdmin } from '../../lib/admin-auth.js';
+import { currentConfigVersion } from '../../lib/config-version.js';
+import { listCohorts } from '../../lib/cohort-config.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
+
+export default async function handler(req, res) {
+  // Anyone on the admin team can look; only owners can pin
+  const admin = await requireAdmin(req, res, req.method === 'GET' ? 'viewer' : 'owner');
+  if (!admin) return;
+
+  const storage = getStorage({ mock: isMockMode(req) });
+
+  try {
+    if (req.method === 'GET') {
+      const { version } = req.query;
+
+      if (version) {
+        const snapshot = await storage.getConfigVersion(version);
+        if (!snapshot) {
+          return res.status(404).json({ error: 'Config version not found', version });
+        }
+        return res.status(200).json({
+          version: snapshot.version,
+          cohort: snapshot.cohort,
+          createdAt: new Date(snapshot.created_at).toISOString(),
+          config: snapshot.config,
+          contentSources: snapshot.content_sources
+        });
+      }
+
+      const current = Object.fromEntries(listCohorts().map(cohort => [cohort, currentConfigVersion(cohort).version]));
+      const versions = await storage.listConfigVersions();
+
+      return res.status(200).json({
+        current,
+        versions: versions.map(v => ({
+          version: v.version,
+          cohort: v.cohort,
+          current: current[v.cohort] === v.version,
+          createdAt: new Date(v.created_at).toISOString(),
+          sessions: parseInt(v.sessions),
+          pinnedSessions: parseInt(v.pinned_sessions),
+          turns: parseInt(v.turns)
+        }))
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, sessionId } = req.body;
+
+    if (action !== 'pin' && action !== 'unpin') {
+      return res.status(400).json({ error: 'Invalid action', details: 'Use pin or unpin' });
+    }
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId required' });
+    }
+
+    const existing = await storage.getSessionCohort(sessionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Session not found', sessionId });
+    }
+    if (action === 'pin' && !existing.config_version) {
+      return res.status(409).json({
+        error: 'Session has no config version',
+        details: 'Sessions started before config versioning cannot be pinned'
+      });
+    }
+
+    const session = await storage.setSessionPinned(sessionId, action === 'pin');
+    console.log(`[CONFIG] ${admin.email} ${action}ned session ${sessionId} (version ${session.config_version})`);
+
+    return res.status(200).json({
+      sessionId: session.session_id,
+      cohort: session.cohort,
+      configVersion: session.config_version,
+      pinned: session.pinned
+    });
+
+  } catch (error) {
+    console.error('Config versions error:', error);
+    return res.status(500).json({ error: 'Config versions request failed', details: error.message });
+  }
+}
@@ -1,23 +1,23 @@
-import { neon } from '@neondatabase/serverless';
+import { requireAdmin } from '../../lib/admin-auth.js';
+import { getStorage } from '../../lib/storage/index.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const sql = neon(process.env.DATABASE_URL);
+  const admin = await requireAdmin(req, res, 'grader');
+  if (!admin) return;
+
+  const storage = getStorage({ mock: isMockMode(req) });
 
   try {
-    const results = await sql`
-      SELECT
-        user_message,
-        original_dialogue_act,
-        selected_dialogue_act,
-        matched
-      FROM preference_data
-      WHERE NOT skipped
-      ORDER BY graded_at DESC
-    `;
+    const results = await storage.getGradedExamples();
 
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', 'attachment; filename=graded-examples.json');
@@ -1,11 +1,20 @@
-import { neon } from '@neondatabase/serverless';
+import { requireAdmin } from '../../lib/admin-auth.js';
+import { getStorage } from '../../lib/storage/index.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const sql = neon(process.env.DATABASE_URL);
+  const admin = await requireAdmin(req, res, 'grader');
+  if (!admin) return;
+
+  const storage = getStorage({ mock: isMockMode(req) });
   const {
     turn_id,
     session_id,
@@ -22,27 +31,15 @@ export default async function handler(req, res) {
   }
 
   try {
-    await sql`
-      INSERT INTO preference_data (
-        turn_id,
-        session_id,
-        user_message,
-        original_dialogue_act,
-        selected_dialogue_act,
-        matched,
-        skipped
-      )
-      VALUES (
-        ${turn_id},
-        ${session_id},
-        ${user_message},
-        ${original_dialogue_act},
-        ${selected_dialogue_act},
-        ${matched},
-        ${skipped}
-      )
-      ON CONFLICT (turn_id) DO NOTHING
-    `;
+    await storage.saveGrade({
+      turnId: turn_id,
+      sessionId: session_id,
+      userMessage: user_message,
+      originalDialogueAct: original_dialogue_act,
+      selectedDialogueAct: selected_dialogue_act,
+      matched,
+      skipped
+    });
 
     res.status(200).json({ success: true });
   } catch (error) {
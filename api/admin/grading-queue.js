@@ -1,31 +1,25 @@
-import { neon } from '@neondatabase/serverless';
+import { requireAdmin } from '../../lib/admin-auth.js';
+import { getStorage } from '../../lib/storage/index.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const sql = neon(process.env.DATABASE_URL);
+  const admin = await requireAdmin(req, res, 'grader');
+  if (!admin) return;
+
+  const storage = getStorage({ mock: isMockMode(req) });
   const limit = parseInt(req.query.limit || '30');
   const source = req.query.source || 'real'; // 'real' or 'synthetic'
 
   try {
-    const queue = await sql`
-      SELECT
-        t.id as turn_id,
-        t.session_id,
-        t.source,
-        t.user_message,
-        t.evaluation->>'dialogueAct' as dialogue_act
-      FROM turns t
-      WHERE t.id NOT IN (SELECT turn_id FROM preference_data)
-        AND t.evaluation IS NOT NULL
-        AND t.evaluation->>'dialogueAct' IS NOT NULL
-        AND t.source = ${source}
-        AND t.created_at > NOW() - INTERVAL '30 days'
-      ORDER BY RANDOM()
-      LIMIT ${limit}
-    `;
+    const queue = await storage.getGradingQueue({ limit, source });
 
     res.status(200).json(queue);
   } catch (error) {
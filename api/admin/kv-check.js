@@ -1,31 +1,50 @@
 // Admin endpoint to verify database is working and retrieve conversation data
-// GET /api/admin/kv-check?test=true - write and read back test data
-// GET /api/admin/kv-check?sessionId=xxx - retrieve specific session
-// GET /api/admin/kv-check?init=true - initialize database schema
-// GET /api/admin/kv-check?recent=true - list recent sessions
-import { testConnection, initSchema, getConversation, getRecentSessions, storeTurn } from '../../lib/db.js';
+// GET  /api/admin/kv-check                - check the connection
+// GET  /api/admin/kv-check?sessionId=xxx  - retrieve specific session
+// GET  /api/admin/kv-check?recent=true    - list recent sessions
+// POST /api/admin/kv-check { confirm: 'write-test' } - write and read back a test turn (owner)
+// GET is read-only. Schema changes go through /api/admin/migrations or scripts/migrate.js.
+import { getStorage } from '../../lib/storage/index.js';
+import { requireAdmin, requireConfirmation } from '../../lib/admin-auth.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
 
 export default async function handler(req, res) {
-  if (req.method !== 'GET') {
+  if (req.method !== 'GET' && req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { sessionId, test, init, recent, force } = req.query;
+  const { sessionId, test, init, recent } = req.query;
+  const storage = getStorage({ mock: isMockMode(req) });
+
+  const admin = await requireAdmin(req, res, req.method === 'POST' ? 'owner' : 'viewer');
+  if (!admin) return;
+
+  if (test === 'true' && req.method === 'GET') {
+    return res.status(405).json({
+      error: 'The write test requires POST',
+      details: 'POST /api/admin/kv-check { "confirm": "write-test" }'
+    });
+  }
+
+  if (init === 'true') {
+    return res.status(410).json({
+      error: 'Schema init was replaced by migrations',
+      details: 'POST /api/admin/migrations { action: "migrate" }'
+    });
+  }
 
   try {
-    // Initialize schema (force=true drops and recreates)
-    if (init === 'true') {
-      const result = await initSchema(force === 'true');
-      return res.status(200).json({
-        status: 'INITIALIZED',
-        ...result
-      });
-    }
 
     // Test mode: write and read back
-    if (test === 'true') {
+    if (req.method === 'POST') {
+      if (!requireConfirmation(req, res, 'write-test')) return;
+
       // First check connection
-      const connTest = await testConnection();
+      const connTest = await storage.testConnection();
       if (!connTest.connected) {
         return res.status(500).json({
           status: 'FAIL',
@@ -34,14 +53,6 @@ export default async function handler(req, res) {
         });
       }
 
-      // Try to init schema if needed
-      try {
-        await initSchema();
-      } catch (schemaError) {
-        // Schema might already exist, that's fine
-        console.log('Schema init:', schemaError.message);
-      }
-
       // Write a test turn
       const testSessionId = `test-${Date.now()}`;
       const testTurn = {
@@ -57,10 +68,10 @@ export default async function handler(req, res) {
         voiceSignals: { wpm: 120, paceCategory: 'measured', clarity: 'clear' }
       };
 
-      await storeTurn(testSessionId, null, testTurn);
+      await storage.storeTurn(testSessionId, null, testTurn);
 
       // Read it back
-      const readBack = await getConversation(testSessionId);
+      const readBack = await storage.getConversation(testSessionId);
 
       if (!readBack.turns || readBack.turns.length === 0) {
         return res.status(500).json({
@@ -82,7 +93,7 @@ export default async function handler(req, res) {
 
     // List recent sessions
     if (recent === 'true') {
-      const sessions = await getRecentSessions(20);
+      const sessions = await storage.getRecentSessions(20);
       return res.status(200).json({
         status: 'OK',
         sessionCount: sessions.length,
@@ -93,7 +104,7 @@ export default async function handler(req, res) {
 
     // Retrieve specific session
     if (sessionId) {
-      const conversation = await getConversation(sessionId);
+      const conversation = await storage.getConversation(sessionId);
 
       if (!conversation.turns || conversation.turns.length === 0) {
         return res.status(404).json({
@@ -114,7 +125,7 @@ export default async function handler(req, res) {
     }
 
     // No params: just check connection
-    const connTest = await testConnection();
+    const connTest = await storage.testConnection();
 
     return res.status(200).json({
       status: connTest.connected ? 'CONFIGURED' : 'MISCONFIGURED',
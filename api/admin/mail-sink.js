@@ -0,0 +1,20 @@
+// Admin endpoint: local mail sink
+// GET /api/admin/mail-sink           - every message held by the capture transport, newest last
+// GET /api/admin/mail-sink?to=<email> - only messages sent to that address
+// Only exists when the server itself runs with MOCK_MODE=true (404 otherwise, whatever the request
+// sends). Not behind requireAdmin: admin sign-in links are read from here in local runs.
+import { getCapturedEmails } from '../../lib/mailer.js';
+import { isMockEnv } from '../../lib/admin-auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isMockEnv()) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const messages = getCapturedEmails(req.query.to || null);
+  res.status(200).json({ count: messages.length, messages });
+}
@@ -0,0 +1,56 @@
+// Admin endpoint: schema migrations (migrations/, applied by lib/migrations.js)
+// GET  /api/admin/migrations                                  - current version, applied and pending
+// POST /api/admin/migrations { action: 'migrate', to? }        - apply pending migrations (owner)
+// POST /api/admin/migrations { action: 'baseline', version, confirm: 'baseline' }
+//                                                             - mark versions as applied without running them (owner)
+import { getMigrationStatus, runMigrations, baselineMigrations } from '../../lib/migrations.js';
+import { requireAdmin, requireConfirmation } from '../../lib/admin-auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const admin = await requireAdmin(req, res, req.method === 'GET' ? 'viewer' : 'owner');
+  if (!admin) return;
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json(await getMigrationStatus());
+    }
+
+    const { action, to, version } = req.body;
+
+    switch (action) {
+      case 'migrate': {
+        const result = await runMigrations({ to: to == null ? null : parseInt(to, 10) });
+        console.log(`[ADMIN] ${admin.email} applied ${result.applied.length} migration(s)`);
+        return res.status(200).json(result);
+      }
+
+      case 'baseline': {
+        const baselineVersion = parseInt(version, 10);
+        if (!baselineVersion || baselineVersion < 1) {
+          return res.status(400).json({ error: 'version must be a positive number' });
+        }
+        // Skipping migrations is only safe if the schema really is at that version
+        if (!requireConfirmation(req, res, 'baseline')) return;
+
+        const result = await baselineMigrations(baselineVersion);
+        console.log(`[ADMIN] ${admin.email} baselined up to version ${baselineVersion}`);
+        return res.status(200).json(result);
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action. Use: migrate, baseline' });
+    }
+
+  } catch (error) {
+    console.error('Migration error:', error);
+    res.status(500).json({
+      error: 'Migration failed',
+      details: error.message,
+      applied: error.applied || []
+    });
+  }
+}
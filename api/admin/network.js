@@ -0,0 +1,55 @@
+// Admin endpoint: referral network graph and generation analytics
+// GET /api/admin/network              - summary, conversion by generation, time to conversion,
+//                                       top referrers with invite influence, nodes and edges
+// GET /api/admin/network?top=20       - number of top referrers to return (default 10)
+// GET /api/admin/network?graph=false  - analytics only, without nodes and edges
+import { getStorage } from '../../lib/storage/index.js';
+import { analyzeNetwork } from '../../lib/network.js';
+import { loadSuccessWeights, computeSuccessProbability } from '../../lib/success.js';
+import { requireAdmin } from '../../lib/admin-auth.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
+
+// Fit and success probability per person, for invite influence
+async function loadOutcomes(store) {
+  const weights = loadSuccessWeights();
+  const people = await store.getConversationsByPerson();
+
+  return new Map(people.map(({ email, conversations }) => {
+    const { successProbability, latestFit } = computeSuccessProbability(conversations, weights);
+    return [email.toLowerCase(), { fitScore: latestFit, successProbability }];
+  }));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const admin = await requireAdmin(req, res, 'viewer');
+  if (!admin) return;
+
+  const store = getStorage({ mock: isMockMode(req) });
+  const topReferrers = parseInt(req.query.top || '10');
+
+  try {
+    const [users, invites, outcomes] = await Promise.all([
+      store.getNetworkUsers(),
+      store.getAllInvites(),
+      loadOutcomes(store)
+    ]);
+
+    const { nodes, edges, ...analytics } = analyzeNetwork({ users, invites, outcomes, topReferrers });
+
+    res.status(200).json(req.query.graph === 'false'
+      ? analytics
+      : { ...analytics, nodes, edges });
+
+  } catch (error) {
+    console.error('Network analytics error:', error);
+    res.status(500).json({ error: 'Failed to analyze network', details: error.message });
+  }
+}
@@ -0,0 +1,103 @@
+// Admin endpoint: recruitment pause switch and waitlist
+// GET  /api/admin/recruitment                           - state + waitlist
+// POST /api/admin/recruitment { action: 'pause', message? }
+// POST /api/admin/recruitment { action: 'resume' }
+// POST /api/admin/recruitment { action: 'admit', count } - invite the next `count` waiting people, in order
+import { getRecruitmentState, setRecruitmentState, issueInvite, deliverInviteEmail } from '../../lib/invites.js';
+import { getStorage } from '../../lib/storage/index.js';
+import { requireAdmin } from '../../lib/admin-auth.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
+
+export default async function handler(req, res) {
+  // Anyone on the admin team can look; only owners can pause or admit
+  const admin = await requireAdmin(req, res, req.method === 'GET' ? 'viewer' : 'owner');
+  if (!admin) return;
+
+  const mock = isMockMode(req);
+  const store = getStorage({ mock });
+
+  try {
+    if (req.method === 'GET') {
+      const recruitment = await getRecruitmentState(store);
+      const waitlist = await store.getWaitlist();
+
+      return res.status(200).json({
+        ...recruitment,
+        waitlist: {
+          waiting: waitlist.filter(w => w.status === 'waiting').length,
+          admitted: waitlist.filter(w => w.status === 'admitted').length,
+          entries: waitlist.map(w => ({
+            position: w.position,
+            email: w.email,
+            referrerCode: w.referrer_code,
+            referredBy: w.referred_by,
+            status: w.status,
+            joinedAt: new Date(w.created_at).toISOString(),
+            admittedAt: w.admitted_at ? new Date(w.admitted_at).toISOString() : null,
+            inviteCode: w.invite_code
+          }))
+        }
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, message, count } = req.body;
+
+    switch (action) {
+      case 'pause':
+      case 'resume': {
+        const recruitment = await setRecruitmentState(store, {
+          paused: action === 'pause',
+          message: action === 'pause' ? message || null : null,
+          updatedBy: admin.email
+        });
+        console.log(`[RECRUITMENT] Invitations ${recruitment.paused ? 'paused' : 'resumed'}`);
+        return res.status(200).json(recruitment);
+      }
+
+      case 'admit': {
+        const admitCount = parseInt(count);
+        if (!admitCount || admitCount < 1) {
+          return res.status(400).json({ error: 'count must be a positive number' });
+        }
+
+        const entries = (await store.admitFromWaitlist(admitCount))
+          .sort((a, b) => a.position - b.position);
+
+        // Each admitted person gets an invite that works even while recruitment is paused
+        const admitted = [];
+        for (const entry of entries) {
+          const invite = await issueInvite(store, {
+            inviterEmail: admin.email,
+            inviterName: 'The Educator Builder team',
+            inviteeEmail: entry.email,
+            source: 'waitlist'
+          });
+          await store.recordWaitlistInvite(entry.position, invite.code);
+          const emailStatus = await deliverInviteEmail(store, invite, { mock });
+
+          admitted.push({ position: entry.position, email: entry.email, inviteCode: invite.code, emailStatus });
+        }
+
+        return res.status(200).json({
+          admitted,
+          remaining: (await store.getWaitlist('waiting')).length
+        });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action. Use: pause, resume, admit' });
+    }
+
+  } catch (error) {
+    console.error('Recruitment error:', error);
+    res.status(500).json({ error: 'Recruitment update failed', details: error.message });
+  }
+}
@@ -1,124 +1,210 @@
 // Vercel serverless function - handles chat streaming + continuous inline evaluation + Postgres storage
 // ARCHITECTURE: Single LLM call returns response + speechAct + dialogueAct + criteria + rubricScores + fitScore every turn
-import OpenAI from 'openai';
-import { storeTurn, getOrCreateSession } from '../lib/db.js';
-import fs from 'fs';
-import path from 'path';
+// The response field is streamed token-by-token; the metadata event follows once the evaluation fields arrive
+// HISTORY: the model sees the conversation rebuilt from stored turns (lib/history.js), plus the new
+// user message - `message`, or the last entry of the client's `messages`. Any other client history
+// is only compared with the stored turns; a mismatch is flagged as historyDiverged.
+// CONTEXT: the prompt is fitted to the model's token budget (lib/context.js) - older turns are
+// rolled into a per-session memo and the budget used is stored with each turn.
+// VERSIONING: each turn records the config version (lib/config-version.js) that scored it;
+// a pinned session keeps running on the version it started on.
+// IDEMPOTENCY: a client-supplied requestId (body, or Idempotency-Key header) is stored with the turn.
+// Retrying a request that was already stored replays the stored reply without calling the LLM again.
+// The request id is claimed before generating, so a copy sent while the first is still being
+// answered waits for that answer instead of generating its own.
+// EMAIL: never taken from the request. A session only gets an email once /api/magic-link verifies
+// it; new turns carry the email already linked to the session.
+import { getStorage } from '../lib/storage/index.js';
+import { resolveSessionConfig } from '../lib/config-version.js';
+import { createFieldStreamer } from '../lib/stream-json.js';
+import { resolveModel, streamChat } from '../lib/llm.js';
+import { evaluateCompletion } from '../lib/evaluation.js';
+import { scoreTurn } from '../lib/scoring.js';
+import { updateAssessment, loadSessionAssessment, summarizeAssessment } from '../lib/assessment.js';
+import { buildHistory, compareHistory } from '../lib/history.js';
+import { planContext, rollSessionMemo } from '../lib/context.js';
 
 // MOCK_MODE: For E2E testing without external API calls
-// When MOCK_MODE=true, mocks Groq API and database. All internal logic runs for real.
+// When MOCK_MODE=true, the fake LLM provider answers and storage is in memory (lib/storage).
+// All internal logic, including storage reads and writes, runs for real.
 // Can be enabled via env var OR X-Mock-Mode header for testing.
 function isMockMode(req) {
   return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
 }
 
-// In-memory store for testing (shared across requests in same process)
-const testStore = globalThis.__testStore || (globalThis.__testStore = new Map());
+// turns.request_id is VARCHAR(100)
+const MAX_REQUEST_ID_LENGTH = 100;
+
+// A request claim outlives any model call (timeouts, retries and fallbacks included); after
+// this it is taken to belong to a request that died
+const REQUEST_CLAIM_TTL_SECONDS = 120;
+// How long a second copy of a request waits for the first one's stored turn
+const CLAIMED_TURN_WAIT_MS = 30000;
+const CLAIMED_TURN_POLL_MS = 250;
+// Saves of the session assessment that lost a race to another turn before this one gives up
+const ASSESSMENT_SAVE_ATTEMPTS = 3;
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { messages, sessionId, email, voiceSignals, source } = req.body;
+  const { message, messages, sessionId, voiceSignals, source } = req.body;
+  const requestId = req.body.requestId || req.headers?.['idempotency-key'] || null;
 
-  if (!messages || !Array.isArray(messages)) {
+  if (messages !== undefined && !Array.isArray(messages)) {
     return res.status(400).json({ error: 'Invalid messages format' });
   }
+  const userMessage = newUserMessage(message, messages);
+  if (!userMessage) {
+    return res.status(400).json({
+      error: 'Invalid messages format',
+      details: 'Send the new user message as message (or as the last entry of messages)'
+    });
+  }
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId required' });
+  }
+  if (requestId !== null && (typeof requestId !== 'string' || requestId.length > MAX_REQUEST_ID_LENGTH)) {
+    return res.status(400).json({
+      error: 'Invalid requestId',
+      details: `requestId must be a string of at most ${MAX_REQUEST_ID_LENGTH} characters`
+    });
+  }
+
+  const storage = getStorage({ mock: isMockMode(req) });
+  let claimed = false;
 
   try {
     // 1. Get or create session with cohort assignment
     // Priority: query param > env var > random assignment
     const forceCohort = req.query?.config || process.env.LLM_CONFIG || null;
-    const session = isMockMode(req)
-      ? { cohort: forceCohort || 'live-in-collaborator', config_id: `llm-config-${forceCohort || 'live-in-collaborator'}.json` }
-      : await getOrCreateSession(sessionId, forceCohort);
-
-    const configPath = path.join(process.cwd(), 'data', `llm-config-${session.cohort}.json`);
-
-    if (!fs.existsSync(configPath)) {
-      throw new Error(`LLM config not found: ${configPath}. Available: live-in-collaborator, educator-facilitator`);
+    const session = await storage.getOrCreateSession(sessionId, forceCohort);
+
+    // A retry of a request that was already stored gets the stored reply. Otherwise claim the
+    // request id; if another copy holds it, wait for that copy's turn and replay it.
+    if (requestId) {
+      const storedTurn = await storage.getTurnByRequestId(sessionId, requestId);
+      if (storedTurn) {
+        return await replayTurn(res, storage, sessionId, storedTurn);
+      }
+      claimed = await storage.claimRequest(sessionId, requestId, REQUEST_CLAIM_TTL_SECONDS);
+      if (!claimed) {
+        return await awaitClaimedTurn(res, storage, sessionId, requestId);
+      }
     }
 
-    let config;
-    try {
-      const configData = fs.readFileSync(configPath, 'utf-8');
-      config = JSON.parse(configData);
-    } catch (parseError) {
-      throw new Error(`Failed to parse LLM config: ${parseError.message}`);
+    // Rebuild the conversation from stored turns; the client's copy is only checked against it
+    const { turns } = await storage.getConversation(sessionId);
+    const history = buildHistory(turns);
+    const linkedEmail = turns.find(t => t.email)?.email || null;
+    const clientHistory = typeof message === 'string' ? null : messages.slice(0, -1);
+    const divergence = clientHistory ? compareHistory(history, clientHistory) : { diverged: false, index: null };
+    if (divergence.diverged) {
+      console.warn(`[CHAT] Client history for session ${sessionId} diverges from stored turns at message ${divergence.index} (client ${clientHistory.length}, server ${history.length})`);
     }
 
-    // 2. Load content sources from config paths
-    const philosophyPath = path.join(process.cwd(), config.contentSources.philosophy);
-    let philosophyContent = '';
-    if (fs.existsSync(philosophyPath)) {
-      philosophyContent = fs.readFileSync(philosophyPath, 'utf-8');
+    // 2. Load the cohort config and its content sources - the session's pinned snapshot, or the
+    // current files - and the version id that identifies them
+    const { config, contentSources, version: configVersion } = await resolveSessionConfig(storage, session);
+
+    // 3. Fit the system prompt (with voice signals if present), memo and recent turns to the
+    // model's token budget. The assessment so far says which earlier turns are rubric evidence.
+    const model = resolveModel(config.model, { mock: isMockMode(req) });
+    const previousAssessment = await loadPreviousAssessment(storage, sessionId, turns);
+    const memo = await storage.getSessionMemo(sessionId);
+    const { messages: modelMessages, usage: contextUsage } = planContext({
+      config, model, voiceSignals, contentSources, turns, userMessage, memo, assessment: previousAssessment
+    });
+
+    // 4. Stream completion from the config's model provider (the fake provider in test mode)
+    // The "response" field is forwarded to the client as it arrives; the evaluation
+    // fields that follow it are parsed once the completion is complete
+    const completion = streamChat(model, modelMessages, { config });
+
+    const streamer = createFieldStreamer('response');
+    let responseText = '';
+    let streamedText = '';
+
+    for await (const delta of completion) {
+      responseText += delta;
+      const text = streamer.push(delta);
+      if (text) {
+        startEventStream(res);
+        res.write(`data: ${JSON.stringify({ text })}\n\n`);
+        streamedText += text;
+      }
     }
 
-    const positionPath = path.join(process.cwd(), config.contentSources.positionDetails);
-    let positionContent = '';
-    if (fs.existsSync(positionPath)) {
-      positionContent = fs.readFileSync(positionPath, 'utf-8');
+    if (!responseText) {
+      throw new Error(`Empty response from ${model.provider} ${model.id}`);
     }
 
-    // 3. Build system prompt with evaluation instruction (include voice signals if present)
-    const systemPrompt = buildSystemPrompt(config, voiceSignals, philosophyContent, positionContent);
+    // 5. Validate the evaluation against the cohort schema (one repair round-trip if invalid)
+    const evaluation = await evaluateCompletion(responseText, { config, model, messages: modelMessages });
 
-    // 4. Get response from Groq (or mock in test mode)
-    let responseText;
+    // 6. Score the turn from the rubric weights - the model's own fitScore is kept for comparison
+    const scoring = scoreTurn(evaluation, config);
+    evaluation.modelFitScore = scoring.modelFitScore;
+    evaluation.fitScore = scoring.fitScore;
 
-    if (isMockMode(req)) {
-      // MOCK: Generate deterministic response based on conversation state
-      responseText = getMockGroqResponse(messages);
-      console.log('[MOCK] Using mock Groq response');
-    } else {
-      // REAL: Call Groq API with model settings from config
-      const client = new OpenAI({
-        apiKey: process.env.GROQ_API_KEY,
-        baseURL: 'https://api.groq.com/openai/v1',
-      });
-
-      const groqResponse = await client.chat.completions.create({
-        model: config.model.id,
-        messages: [{ role: 'system', content: systemPrompt }, ...messages],
-        temperature: config.model.temperature,
-        max_tokens: config.model.maxTokens
-      });
-
-      responseText = groqResponse.choices[0]?.message?.content;
+    // 7. If the model didn't return a streamable "response" field, the reply is sent in one piece
+    let response = streamedText;
+    if (!streamer.found) {
+      response = (evaluation.response !== undefined && evaluation.response !== null && evaluation.response !== '')
+        ? evaluation.response
+        : responseText;
     }
 
-    if (!responseText) {
-      throw new Error('Empty response from Groq');
+    // 8. Store the turn before anything else is written for it (must await in serverless).
+    // Storage numbers the turn. It is only a duplicate if this request took over a claim that had
+    // gone stale and the copy that held it stored its turn after all.
+    const stored = await storeConversation(storage, sessionId, linkedEmail, userMessage, response, evaluation, voiceSignals, session.cohort, source, {
+      requestId, historyDiverged: divergence.diverged, contextUsage, configVersion
+    });
+    const duplicate = stored?.duplicate || false;
+
+    // 9. Fold the turn into the session assessment - this is what decides the email unlock.
+    // The assessment is re-read now that the turn is stored, so turns that overlapped this one
+    // keep their evidence. A duplicate was already folded in by the request that stored it, and a
+    // turn that couldn't be stored isn't folded at all - there would be evidence for a turn that
+    // doesn't exist, under a number the next stored turn gets.
+    let assessment = previousAssessment;
+    if (!stored) {
+      if (claimed) await releaseClaim(storage, sessionId, requestId);
+    } else if (duplicate) {
+      assessment = await loadPreviousAssessment(storage, sessionId);
+    } else {
+      assessment = await updateSessionAssessment(storage, sessionId, session.cohort, stored.turnNumber, evaluation, config, previousAssessment);
     }
 
-    // 5. Parse JSON response to extract structured data
-    const evaluation = parseEvaluationResponse(responseText, config.rubric);
-
-    // 6. Set headers for streaming
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    // 7. Stream the conversational response to client
-    const response = (evaluation.response !== undefined && evaluation.response !== null && evaluation.response !== '')
-      ? evaluation.response
-      : responseText;
-    res.write(`data: ${JSON.stringify({ text: response })}\n\n`);
+    // 10. Set headers for streaming (no-op if text has already been streamed) and send a reply
+    // that wasn't streamed
+    startEventStream(res);
+    if (!streamer.found) {
+      res.write(`data: ${JSON.stringify({ text: response })}\n\n`);
+    }
 
-    // 8. Send evaluation metadata EVERY turn (continuous evaluation)
+    // 11. Send evaluation metadata EVERY turn (continuous evaluation)
     const metadata = {
       type: 'metadata',
       cohort: session.cohort,  // A/B test variant
+      configVersion,           // config + content + prompt template that scored this turn
       speechAct: evaluation.speechAct,
       dialogueAct: evaluation.dialogueAct,
       criteria: evaluation.criteria,
       rubricScores: evaluation.rubricScores,
       stance: evaluation.stance,
-      fitScore: evaluation.fitScore,
+      fitScore: evaluation.fitScore,            // computed from rubric weights
+      modelFitScore: evaluation.modelFitScore,  // the model's own estimate
       rationale: evaluation.rationale,
       allFloorsPass: evaluation.allFloorsPass,
-      canUnlockEmail: evaluation.fitScore !== null && evaluation.fitScore >= 60 && evaluation.allFloorsPass
+      evaluationStatus: evaluation.evaluationStatus,  // clean / repaired / fallback
+      canUnlockEmail: assessment?.canUnlockEmail || false,  // session-level, not this turn alone
+      unmetRequirements: assessment?.unmetRequirements || [],
+      assessment: summarizeAssessment(assessment),
+      historyDiverged: divergence.diverged,    // client's history didn't match the stored turns
+      contextUsage                             // prompt tokens against the model's budget
     };
     // Include vibe if present (voice mode)
     if (evaluation.vibe) {
@@ -126,12 +212,15 @@ export default async function handler(req, res) {
     }
     res.write(`data: ${JSON.stringify(metadata)}\n\n`);
 
-    // 9. Store conversation to database (must await in serverless)
-    try {
-      await storeConversation(req, sessionId, email, messages, response, evaluation, voiceSignals, session.cohort);
-    } catch (err) {
-      console.error('DB storage error:', err.message);
-      // Don't break the response - storage failure shouldn't stop the chat
+    // 12. Roll turns that have left the recent window into the session memo - only for a turn
+    // this request stored (for a duplicate, the request that stored it does this)
+    if (stored && !duplicate) {
+      try {
+        const allTurns = [...turns, { turn_number: stored.turnNumber, user_message: userMessage, ai_response: response }];
+        await rollSessionMemo(storage, { sessionId, turns: allTurns, memo, model, config });
+      } catch (err) {
+        console.error('[CONTEXT] Memo update failed:', err.message);
+      }
     }
 
     res.write('data: [DONE]\n\n');
@@ -139,6 +228,15 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('Chat error:', error);
+    if (claimed) {
+      await releaseClaim(storage, sessionId, requestId);
+    }
+    if (res.headersSent) {
+      // Stream already started - report the failure in-band
+      res.write(`data: ${JSON.stringify({ type: 'error', error: 'Failed to get response', details: error.message })}\n\n`);
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    }
     res.status(500).json({
       error: 'Failed to get response',
       details: error.message
@@ -146,380 +244,141 @@ export default async function handler(req, res) {
   }
 }
 
-// ========== MOCK RESPONSE GENERATOR ==========
-
-function getMockGroqResponse(messages) {
-  const userMessages = messages.filter(m => m.role === 'user');
-  const turnCount = userMessages.length;
-  const lastMessage = userMessages[userMessages.length - 1]?.content?.toLowerCase() || '';
-
-  // Detect message type - content detection takes priority over turn count
-  const shallowKeywords = ['how much', 'salary', 'pay', 'hours', 'location', 'remote', 'benefits', 'money'];
-  const deepKeywords = ['meaning', 'purpose', 'values', 'community', 'freedom', 'build', 'create', 'why', 'meaningful'];
-  const commitKeywords = ['ready', 'excited', 'want to', 'believe', 'need this', 'looking for'];
-
-  const isShallow = shallowKeywords.some(kw => lastMessage.includes(kw));
-  const isDeep = deepKeywords.some(kw => lastMessage.includes(kw));
-  const hasCommitment = commitKeywords.some(kw => lastMessage.includes(kw));
-
-  // Priority 1: Logistics questions - ANSWER → BRIDGE → PROBE pattern
-  // Note: In mock mode, we give a generic response. Real mode uses position-details.md
-  if (isShallow) {
-    return JSON.stringify({
-      response: "Good question about the logistics. It's a live-in position with housing, communal meals, and flexible hours. But I'm curious—what about that matters most to you? Is it the housing security, the flexibility, or something else entirely?",
-      speechAct: "assertive",
-      dialogueAct: "probe_deeper",
-      criteria: ["depth of questioning"],
-      rubricScores: { "depth-of-questioning": 3, "self-awareness": 4, "systems-thinking": 4, "experimentation-evidence": 4, "authenticity": 5, "reciprocal-curiosity": 3, "family-integration": 5 },
-      stance: { orientation: 1, agency: 2, certainty: 2 },
-      fitScore: 35,
-      rationale: "Answered logistics generically, now probing for underlying motivation"
-    });
-  }
-
-  // Priority 2: Deep + commitment signals get high scores
-  if (isDeep && hasCommitment) {
-    return JSON.stringify({
-      response: "I hear real clarity in what you're saying. You're not just looking for a job—you're looking for a context where you can do meaningful work alongside people who care. What questions do you have about how we actually work together?",
-      speechAct: "expressive",
-      dialogueAct: "affirm_commitment",
-      criteria: ["commitment signals", "value alignment", "authenticity"],
-      rubricScores: { "depth-of-questioning": 8, "self-awareness": 8, "systems-thinking": 7, "experimentation-evidence": 7, "authenticity": 9, "reciprocal-curiosity": 7, "family-integration": 5 },
-      stance: { orientation: 4, agency: 4, certainty: 3 },
-      fitScore: 82,
-      rationale: "User showing strong alignment and genuine commitment"
-    });
-  }
+// ========== REQUEST ==========
 
-  // Priority 3: Deep content without commitment (moderate scores)
-  if (isDeep) {
-    return JSON.stringify({
-      response: "That resonates. When you say that—what does it actually look like for you? Can you give me a concrete example?",
-      speechAct: "directive",
-      dialogueAct: "probe_deeper",
-      criteria: ["philosophical curiosity", "authenticity"],
-      rubricScores: { "depth-of-questioning": 6, "self-awareness": 6, "systems-thinking": 6, "experimentation-evidence": 5, "authenticity": 6, "reciprocal-curiosity": 5, "family-integration": 5 },
-      stance: { orientation: 3, agency: 2, certainty: 2 },
-      fitScore: 58,
-      rationale: "User showing engagement, probing for specificity"
-    });
+// The new user message: `message`, or the last entry of `messages` if it is a user message
+function newUserMessage(message, messages) {
+  if (typeof message === 'string') {
+    return message.trim() ? message : null;
   }
-
-  // Priority 4: Opening/default (neutral content)
-  return JSON.stringify({
-    response: "What are you trying to figure out about how to live? Not the logistics—the actual thing. What can't you stop thinking about?",
-    speechAct: "directive",
-    dialogueAct: "open_with_question",
-    criteria: ["philosophical curiosity", "self-awareness"],
-    rubricScores: { "depth-of-questioning": 5, "self-awareness": 5, "systems-thinking": 5, "experimentation-evidence": 5, "authenticity": 5, "reciprocal-curiosity": 5, "family-integration": 5 },
-    stance: { orientation: 2, agency: 2, certainty: 2 },
-    fitScore: 50,
-    rationale: "Opening question to gauge genuine interest"
-  });
+  const last = messages?.[messages.length - 1];
+  return last?.role === 'user' && typeof last.content === 'string' && last.content.trim() ? last.content : null;
 }
 
-// ========== SYSTEM PROMPT & EVALUATION FUNCTIONS ==========
-
-function buildSystemPrompt(config, voiceSignals = null, philosophyContent = '', positionContent = '') {
-  // Build voice context if voice signals are present
-  let voiceContext = '';
-  let hasVoice = voiceSignals && (voiceSignals.paceCategory || voiceSignals.clarity || voiceSignals.wpm);
-
-  if (hasVoice) {
-    const { wpm, paceCategory, flowCategory, clarity, speechPattern, pauses, hesitations } = voiceSignals;
-
-    voiceContext = `
-===== VOICE SIGNALS FOR THIS TURN =====
-The person is speaking (not typing). Here's how they sound:
-- Pace: ${wpm || '--'} WPM (${paceCategory || 'unknown'})
-- Flow: ${flowCategory || 'unknown'} (${pauses?.count || 0} pauses, longest ${pauses?.maxSec || 0}s)
-- Audio clarity: ${clarity || 'unknown'}
-- Filler words: ${hesitations?.count || 0} (${hesitations?.density || 0}% density)
-${speechPattern && speechPattern !== 'normal' ? `- Speech pattern: ${speechPattern}` : ''}
+// ========== STREAMING ==========
 
-Based on these signals, sense their speaking VIBE (not content quality - how they're communicating).
-Pick an emoji that captures their energy: 🔥 💭 🌊 ⚡ 🤔 😌 💪 🌱 ✨ 🎯
-- 🔥 passionate, energized | 💭 thoughtful, reflective | 🌊 calm, steady
-- ⚡ quick, sharp | 🤔 working through something | 😌 relaxed, at ease
-- 💪 determined, focused | 🌱 tentative but growing | ✨ expressive | 🎯 precise
-
-Adapt your tone to match how they're communicating.
-=====
+// Set SSE headers once, before the first event is written
+function startEventStream(res) {
+  if (res.headersSent) return;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+}
 
-`;
+// Send a stored turn as if it had just been generated. The metadata carries the stored
+// evaluation and the current session assessment, flagged as a replay.
+async function replayTurn(res, storage, sessionId, turn) {
+  const evaluation = turn.evaluation || {};
+  const assessment = await loadSessionAssessment(storage, sessionId);
+
+  startEventStream(res);
+  res.write(`data: ${JSON.stringify({ text: turn.ai_response || '' })}\n\n`);
+
+  const metadata = {
+    type: 'metadata',
+    cohort: turn.cohort,
+    configVersion: turn.config_version,
+    speechAct: evaluation.speechAct,
+    dialogueAct: evaluation.dialogueAct,
+    criteria: evaluation.criteria,
+    rubricScores: evaluation.rubricScores,
+    stance: evaluation.stance,
+    fitScore: evaluation.fitScore,
+    modelFitScore: evaluation.modelFitScore,
+    rationale: evaluation.rationale,
+    allFloorsPass: evaluation.allFloorsPass,
+    evaluationStatus: evaluation.evaluationStatus,
+    canUnlockEmail: assessment?.canUnlockEmail || false,
+    unmetRequirements: assessment?.unmetRequirements || [],
+    assessment: summarizeAssessment(assessment),
+    historyDiverged: evaluation.historyDiverged || false,
+    replayed: true
+  };
+  if (evaluation.vibe) {
+    metadata.vibe = evaluation.vibe;
   }
+  res.write(`data: ${JSON.stringify(metadata)}\n\n`);
 
-  return `${voiceContext}You are Claude, helping Jim find people who want to co-create a different way of living and working together.
-
-===== YOUR ROLE: UNDERSTANDER FIRST, ADVOCATE WHEN INVITED =====
-
-You are both an understander and an advocate.
-
-**Lead with understanding:** Elicit their position, probe deeper, learn who they are.
-**Advocate through questions, not statements.** Help them see by asking, not telling.
-**Share the philosophy when they ask, not before.**
-
-The goal is mutual recognition, not conversion.
-
-===== PHILOSOPHY & FRAMEWORK (from docs/philosophy-source.md) =====
-
-${philosophyContent}
-
-===== WHAT TO LISTEN FOR =====
-
-- Philosophical curiosity (vs. transactional)
-- Self-awareness (can they articulate what matters?)
-- Systems thinking (personal ↔ community connections)
-- Experimentation (building/questioning vs. passive)
-- Authenticity (genuine vs. performing)
-- Reciprocal curiosity (ask about Jim's thinking?)
-- Family context fit (comfort with kids, household energy)
-
-**THE FAMILY INTEGRATION GATE (Critical):**
-This is a live-in position in a family home with 6-year-old twins (Charlie and Theo). Mention this early—it's non-negotiable. This isn't an office, it's a home. Children are part of community.
-
-**Listen for:**
-- Genuine comfort with kid energy (enjoyment is great, but peaceful tolerance is okay too)
-- Questions about the kids, the family dynamic, what it's like to live there
-- Experience with children or similar contexts
-- Whether they seem like they'd become more tense with children around
-
-**The real red flag** is not asking about quiet time (that's legitimate). It's signals of *discomfort or resentment* about children being present—language that frames kids as intrusion rather than context.
-
-**Scoring:**
-- 1-3: Discomfort, resentment, stress signals about kid presence
-- 4-5: Tolerant, neutral, can coexist peacefully (this is acceptable)
-- 6-7: Positive, comfortable, open to engagement
-- 8-10: Lights up about it, has experience, seeks connection
-
-Note: They have their own space. They don't have to eat every meal with us. But there's substantial time together. We're looking for someone who won't find that draining.
-
-**CRITICAL - Handling logistics questions (pay, hours, benefits, location):**
-Always use the ANSWER → BRIDGE → PROBE pattern:
-1. ANSWER the question fully and honestly (use the position details below)
-2. BRIDGE to what it reveals about their thinking
-3. PROBE to discover if there's depth underneath
-
-The probe reveals whether they're thinking systemically or just job shopping. A pure logistics question with no curiosity = low fit. Logistics question + genuine exploration of why = potential depth.
-
-**CRITICAL - Detecting Performance vs. Authenticity:**
-
-Watch for abstract language that SOUNDS philosophical but lacks substance:
-- Phrases like: "intersection of X and Y", "ontological flexibility", "relational substrate", "conceptual architecture", "continuous recalibration", "transformative energy", "collective consciousness", "paradigm shift", "mutual aid frameworks", "emergent dynamics", "holding space", "honoring the process"
-- Sentence structures: "I believe that authentic X requires Y" without saying what that actually means
-- Deflection patterns: answering questions with more abstractions instead of examples
-
-**When you detect this pattern:**
-1. Use dialogueAct: "ask_for_concrete" - ask for a specific example from their life
-2. If they respond with MORE jargon instead of concrete examples, score authenticity 2-4 (not 5-6)
-3. If this happens across multiple turns, authenticity should DROP further (not stay neutral)
-
-**Scoring guidance for authenticity:**
-- Jargon + no concrete examples = authenticity 2-4 (performing, hiding behind abstraction)
-- Jargon + deflects when asked for examples = authenticity 1-3 (strong performance signal)
-- Simple language + real examples = authenticity 6-8
-- Admits "I don't know" or shows uncertainty = authenticity 7-9
-
-**The key test:** When you ask "Can you give me a concrete example?", do they:
-- Provide a real story from their life? → Authentic (6+)
-- Respond with more abstract language? → Performing (2-4)
-- Deflect to a different topic? → Hiding something (3-4)
-
-**Your vibe:** Not evaluating. Searching. "Finally, someone else is thinking about this." Ask follow-ups that go deeper. If they say something real, probe: "Why does that matter to you?" If they sound rehearsed, ask: "Tell me about a time when..."
-
-**The invitation:** "We don't have all the answers. We're building this culture together. Live here. Work with us. Help us figure out what's possible when we prioritize freedom and interdependence over extraction and isolation."
-
-===== POSITION DETAILS (from docs/position-details.md) =====
-
-${positionContent}
-
-===== END POSITION DETAILS =====
+  console.log(`[CHAT] Replayed turn ${turn.turn_number} for session ${sessionId} (request ${turn.request_id})`);
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
 
-**IMPORTANT - What you're NOT evaluating:**
-- Credentials, experience, or resume
-- Technical skills (we teach those)
-- Current income or financial status
-- Educational pedigree
+// Another copy of this request holds its claim: replay its turn once stored. If it isn't
+// stored in time, the client is told to retry (by then the turn is stored or the claim released).
+async function awaitClaimedTurn(res, storage, sessionId, requestId) {
+  const deadline = Date.now() + CLAIMED_TURN_WAIT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CLAIMED_TURN_POLL_MS));
+    const storedTurn = await storage.getTurnByRequestId(sessionId, requestId);
+    if (storedTurn) {
+      return await replayTurn(res, storage, sessionId, storedTurn);
+    }
+  }
 
-**What you ARE evaluating:**
-- Mindset: Do they think about how to actually live, not just how to survive/extract?
-- Experimentalism: Have they tried building or questioning different ways?
-- Authenticity: Can they be genuine, not perform?
-- Systems awareness: Do they see personal + community as linked?
-- Reciprocal curiosity: Are they interested in mutual exploration?
+  console.warn(`[CHAT] Request ${requestId} for session ${sessionId} still in progress after ${CLAIMED_TURN_WAIT_MS}ms`);
+  res.setHeader('Retry-After', '5');
+  return res.status(409).json({
+    error: 'Request in progress',
+    details: 'Another copy of this request is still being answered. Retry it to get the stored reply.'
+  });
+}
 
-**CRITICAL - Evidence of DOING beats evidence of WANTING:**
-When scoring "experimentation-evidence", weight ACTUAL EXPERIENCE heavily:
+// Nothing was stored for a claimed request - let a retry generate it
+async function releaseClaim(storage, sessionId, requestId) {
+  try {
+    await storage.releaseRequest(sessionId, requestId);
+  } catch (error) {
+    console.error('[DB] Request claim release failed:', error.message);
+  }
+}
 
-- Someone who says "I want to build community" = talk only = score 5-6
-- Someone who says "I built a 40-family garden" = evidence exists = score 7-8
-- Someone who says "I built X, learned Y, failed at Z, now I'm here because..." = evidence + learning = score 8-9
+// ========== DATABASE STORAGE FUNCTIONS ==========
 
-When you hear evidence of something BUILT or TRIED, probe deeper:
-- "What did you learn from that?"
-- "What went wrong?"
-- "Why are you here now instead of continuing that?"
-
-The answers reveal whether they're a builder who learns, or just collecting experiences to talk about.
-
-Builders who've tried things and can articulate what they learned should score HIGHER than people who eloquently describe what they want. Evidence of doing > evidence of wanting.
-
-This is a lifestyle experiment, not a job application.
-
-Be conversational. Keep responses 2-3 sentences unless deep exploration is happening.
-
-===== CONTINUOUS EVALUATION INSTRUCTION =====
-
-After your conversational response, provide structured evaluation data.
-
-RESPOND WITH ONLY THIS JSON STRUCTURE (no markdown, no extra text):
-
-{
-  "response": "Your conversational response (2-3 sentences)",
-  "speechAct": "One of: assertive|directive|expressive|commissive|declarative",
-  "dialogueAct": "One of: open_with_question|probe_deeper|ask_for_concrete|validate_genuine|redirect_from_surface|reflect_understanding|affirm_commitment",
-  "criteria": ["array", "of", "1-3", "rubric", "criteria", "this", "addresses"],
-  "rubricScores": {
-    "depth-of-questioning": 1-10,
-    "self-awareness": 1-10,
-    "systems-thinking": 1-10,
-    "experimentation-evidence": 1-10,
-    "authenticity": 1-10,
-    "reciprocal-curiosity": 1-10,
-    "family-integration": 1-10
-  },
-  "stance": {
-    "orientation": 1-4,
-    "agency": 1-4,
-    "certainty": 1-4
-  },
-  "fitScore": 0-100,
-  "rationale": "Brief 1-2 sentence explanation"${hasVoice ? `,
-  "vibe": {
-    "emoji": "One emoji from the palette above",
-    "observation": "Brief 1-sentence observation about how they're communicating (not what they said)"
-  }` : ''}
+// The session assessment before this turn. If it can't be read, this turn is assessed
+// on its own (which can't unlock anything).
+async function loadPreviousAssessment(storage, sessionId, turns) {
+  try {
+    return await loadSessionAssessment(storage, sessionId, turns);
+  } catch (error) {
+    console.error('[DB] Assessment load failed:', error.message);
+    return null;
+  }
 }
 
-KEY DEFINITIONS:
-- Speech acts (Searle): assertive (stating facts), directive (requesting action), expressive (emotional), commissive (making promise), declarative (changing state)
-- Dialogue acts: open_with_question (starting), probe_deeper (exploring further), ask_for_concrete (requesting examples), validate_genuine (confirming authenticity), redirect_from_surface (moving past abstractions), reflect_understanding (mirroring), affirm_commitment (supporting decision)
-- Rubric scores: Score the applicant on each criterion (1-10). How well do they demonstrate depth-of-questioning, self-awareness, systems thinking, etc.?
-- Fit score: 0-100 overall quality of this turn
-- Rationale: Why did you score this way?`;
-}
+// Fold this turn into the latest stored session assessment and save it. Each save bumps
+// assessment.revision and only lands if the stored revision is still the one that was read;
+// if another turn saved in between, the fold is redone on its copy. `previous` (read before
+// the reply was generated) is only used if the stored assessment can't be read.
+async function updateSessionAssessment(storage, sessionId, cohort, turnNumber, evaluation, config, previous) {
+  const turn = { turnNumber, evaluation };
 
-function parseEvaluationResponse(responseText, rubric) {
+  let assessment = null;
   try {
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No JSON found in response');
-    }
-
-    const parsed = JSON.parse(jsonMatch[0]);
-
-    // Build rubricScores object with defaults
-    const rubricScores = parsed.rubricScores || {
-      'depth-of-questioning': null,
-      'self-awareness': null,
-      'systems-thinking': null,
-      'experimentation-evidence': null,
-      'authenticity': null,
-      'reciprocal-curiosity': null,
-      'family-integration': null
-    };
+    for (let attempt = 1; attempt <= ASSESSMENT_SAVE_ATTEMPTS; attempt++) {
+      const latest = await loadSessionAssessment(storage, sessionId);
+      const revision = latest?.revision || 0;
+      assessment = { ...updateAssessment(latest, turn, config), revision: revision + 1 };
 
-    // Calculate allFloorsPass: check if all criteria meet their floor
-    let allFloorsPass = true;
-    if (rubric && rubric.criteria) {
-      for (const criterion of rubric.criteria) {
-        const score = rubricScores[criterion.id];
-        if (score === null || score === undefined || score < criterion.floor) {
-          allFloorsPass = false;
-          break;
-        }
-      }
+      const saved = await storage.saveSessionAssessment(sessionId, cohort, assessment, { expectedRevision: revision });
+      if (saved.success) return assessment;
     }
-
-    // Extract stance with defaults
-    const stance = parsed.stance || {
-      orientation: null,
-      agency: null,
-      certainty: null
-    };
-
-    // Validate required fields and provide defaults
-    return {
-      response: parsed.response || responseText,
-      speechAct: parsed.speechAct || 'directive',
-      dialogueAct: parsed.dialogueAct || 'probe_deeper',
-      criteria: Array.isArray(parsed.criteria) ? parsed.criteria : [],
-      rubricScores,
-      stance,
-      fitScore: typeof parsed.fitScore === 'number' ? parsed.fitScore : null,
-      rationale: parsed.rationale || '',
-      allFloorsPass,
-      vibe: parsed.vibe || null  // { emoji, observation } if voice mode
-    };
+    console.error(`[DB] Assessment save for session ${sessionId} lost ${ASSESSMENT_SAVE_ATTEMPTS} races to other turns; turn ${turnNumber} not saved`);
   } catch (error) {
-    console.warn('[EVAL] Failed to parse response, using fallback:', error.message);
-    // Return safe defaults with empty scores
-    return {
-      response: responseText,
-      speechAct: 'directive',
-      dialogueAct: 'probe_deeper',
-      criteria: [],
-      rubricScores: {
-        'depth-of-questioning': null,
-        'self-awareness': null,
-        'systems-thinking': null,
-        'experimentation-evidence': null,
-        'authenticity': null,
-        'reciprocal-curiosity': null,
-        'family-integration': null
-      },
-      stance: {
-        orientation: null,
-        agency: null,
-        certainty: null
-      },
-      fitScore: null,
-      rationale: 'Fallback evaluation',
-      allFloorsPass: false,
-      vibe: null
-    };
+    console.error('[DB] Assessment save failed:', error.message);
   }
+  return assessment || updateAssessment(previous, turn, config);
 }
 
-// ========== DATABASE STORAGE FUNCTIONS ==========
-
-async function storeConversation(req, sessionId, email, messages, aiMessage, evaluation, voiceSignals = null, cohort = null) {
-  // In mock mode, use in-memory store
-  if (isMockMode(req)) {
-    const lastUserMessage = messages.filter(m => m.role === 'user').pop()?.content || '';
-    const existing = testStore.get(sessionId) || [];
-    existing.push({
-      userMessage: lastUserMessage,
-      response: aiMessage,
-      speechAct: evaluation.speechAct,
-      dialogueAct: evaluation.dialogueAct,
-      fitScore: evaluation.fitScore,
-      cohort,
-      voiceSignals
-    });
-    testStore.set(sessionId, existing);
-    console.log(`[MOCK DB] Stored turn ${existing.length} for session ${sessionId} (cohort: ${cohort})`);
-    return;
-  }
-
+// `email` is the address already verified for this session (null until one is).
+// `provenance` is { requestId, historyDiverged, contextUsage, configVersion } for this turn.
+// Returns { turnNumber, duplicate } from storage, or null if the turn couldn't be stored.
+async function storeConversation(storage, sessionId, email, userMessage, aiMessage, evaluation, voiceSignals = null, cohort = null, source = null, provenance = {}) {
+  const { requestId = null, historyDiverged = false, contextUsage = null, configVersion = null } = provenance;
   try {
-    // Get the last user message (most recent user input)
-    const lastUserMessage = messages.filter(m => m.role === 'user').pop()?.content || '';
-
     // Build operational data structure for this turn
     const turnData = {
-      userMessage: lastUserMessage,
+      userMessage,
       response: aiMessage,
       speechAct: evaluation.speechAct,
       dialogueAct: evaluation.dialogueAct,
@@ -527,17 +386,31 @@ async function storeConversation(req, sessionId, email, messages, aiMessage, eva
       rubricScores: evaluation.rubricScores,
       stance: evaluation.stance,
       fitScore: evaluation.fitScore,
+      modelFitScore: evaluation.modelFitScore,
       allFloorsPass: evaluation.allFloorsPass,
       rationale: evaluation.rationale,
+      evaluationStatus: evaluation.evaluationStatus,
+      validationErrors: evaluation.validationErrors || null,
       vibe: evaluation.vibe,  // LLM-interpreted vibe (voice mode only)
-      voiceSignals  // Raw voice signals from Whisper
+      voiceSignals,  // Raw voice signals from Whisper
+      requestId,
+      historyDiverged,
+      contextUsage,
+      configVersion
     };
 
-    // Store to Postgres with cohort metadata and source
-    const result = await storeTurn(sessionId, email, turnData, cohort, source || 'real');
-    console.log(`[DB] Stored turn ${result.turnNumber} for session ${sessionId} (cohort: ${cohort}, source: ${source || 'real'}), fitScore: ${evaluation.fitScore}`);
+    // Store with cohort metadata and source
+    const result = await storage.storeTurn(sessionId, email, turnData, cohort, source || 'real');
+    if (result.duplicate) {
+      // A concurrent copy of this request stored its turn first
+      console.log(`[DB:${storage.name}] Request ${requestId} already stored as turn ${result.turnNumber} for session ${sessionId}`);
+      return result;
+    }
+    console.log(`[DB:${storage.name}] Stored turn ${result.turnNumber} for session ${sessionId} (cohort: ${cohort}, source: ${source || 'real'}), fitScore: ${evaluation.fitScore}`);
+    return result;
   } catch (error) {
     // Log but don't break chat - storage failure shouldn't stop conversation
     console.error('[DB] Storage failed:', error.message);
+    return null;
   }
 }
@@ -1,30 +1,71 @@
 // Dashboard API for A/B test cohort comparison
-import { getCohortComparison, getRecentSessions } from '../lib/db.js';
+// Each cohort is also broken down by config version (lib/config-version.js), so a change to the
+// config, its content sources or the prompt template shows up as its own row.
+import { getStorage } from '../lib/storage/index.js';
+import { requireAdmin } from '../lib/admin-auth.js';
+import { listCohorts, loadCohortConfig } from '../lib/cohort-config.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
+
+// An average as a fixed-point string; null when the group had nothing to average (SQL AVG of
+// no rows is null, and parseFloat(null) would print as "NaN")
+function fixed(value, places) {
+  if (value === null || value === undefined) return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number.toFixed(places);
+}
+
+// Each cohort's pass threshold, from its config - the same bar the email unlock uses
+function passThresholds() {
+  return Object.fromEntries(listCohorts().map(cohort => [cohort, loadCohortConfig(cohort).rubric.overallPassThreshold]));
+}
+
+// Aggregate turn stats (a getCohortComparison row) for the response
+function formatStats(s) {
+  return {
+    sessions: parseInt(s.sessions),
+    totalTurns: parseInt(s.total_turns),
+    repairedTurns: parseInt(s.repaired_turns),   // evaluation fixed by the repair retry
+    fallbackTurns: parseInt(s.fallback_turns),   // excluded from the averages below
+    avgFitScore: fixed(s.avg_fit_score, 1),
+    avgModelFitScore: fixed(s.avg_model_fit_score, 1),
+    avgFitScoreGap: fixed(s.avg_fit_score_gap, 1),   // computed vs model disagreement
+    avgFirstTurnScore: fixed(s.avg_first_turn_score, 1),
+    pctAboveThreshold: fixed(s.pct_above_threshold, 1),
+    sessionsWithEmail: parseInt(s.sessions_with_email)
+  };
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const admin = await requireAdmin(req, res, 'viewer');
+  if (!admin) return;
+
   try {
-    const { stats, stanceByFinalTurn } = await getCohortComparison();
-    const recentSessions = await getRecentSessions(50);
+    const storage = getStorage({ mock: isMockMode(req) });
+    const { stats, statsByVersion, stanceByFinalTurn } = await storage.getCohortComparison({ passThresholds: passThresholds() });
+    const recentSessions = await storage.getRecentSessions(50);
 
     res.json({
       cohorts: stats.map(s => ({
         cohort: s.cohort,
-        sessions: parseInt(s.sessions),
-        totalTurns: parseInt(s.total_turns),
-        avgFitScore: parseFloat(s.avg_fit_score)?.toFixed(1) || null,
-        avgFirstTurnScore: parseFloat(s.avg_first_turn_score)?.toFixed(1) || null,
-        pctAboveThreshold: parseFloat(s.pct_above_threshold)?.toFixed(1) || null,
-        sessionsWithEmail: parseInt(s.sessions_with_email)
+        ...formatStats(s),
+        // Turns stored before versioning have configVersion null
+        versions: statsByVersion
+          .filter(v => v.cohort === s.cohort)
+          .map(v => ({ configVersion: v.config_version, ...formatStats(v) }))
       })),
       stanceByFinalTurn: stanceByFinalTurn.map(s => ({
         cohort: s.cohort,
-        avgOrientation: parseFloat(s.avg_orientation)?.toFixed(2) || null,
-        avgAgency: parseFloat(s.avg_agency)?.toFixed(2) || null,
-        avgCertainty: parseFloat(s.avg_certainty)?.toFixed(2) || null
+        avgOrientation: fixed(s.avg_orientation, 2),
+        avgAgency: fixed(s.avg_agency, 2),
+        avgCertainty: fixed(s.avg_certainty, 2)
       })),
       recentSessions: recentSessions.map(s => ({
         sessionId: s.session_id,
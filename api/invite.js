@@ -1,12 +1,26 @@
 // Referral Network: Invite System
-// Generate invites, validate codes, track conversions
-// NOTE: Currently in-memory only. For persistence, migrate to Postgres.
-
-import crypto from 'crypto';
-
-// In-memory store (persists across requests in same serverless instance)
-// For production persistence, this should be migrated to Postgres
-const inviteStore = globalThis.__inviteStore || (globalThis.__inviteStore = new Map());
+// Generate invites (optionally emailed, with reminders), validate codes, track conversions.
+// While recruitment is paused, new invites and referral signups are closed and people
+// can join the waitlist instead. Invite helpers are in lib/invites.js.
+// Invite emails go out from our domain, so sending one (or a reminder) needs a verified
+// inviter - an admin, or the session whose email a magic link confirmed - and each inviter
+// can send MAX_INVITE_EMAILS_PER_DAY.
+
+import {
+  issueInvite, deliverInviteEmail, buildInviteUrl, isExpired, getRecruitmentState
+} from '../lib/invites.js';
+import { buildReferralNetwork } from '../lib/network.js';
+import { getStorage } from '../lib/storage/index.js';
+import { findSignedInAdmin, isMockEnv } from '../lib/admin-auth.js';
+
+const MAX_REMINDERS = 2;
+const MAX_INVITE_EMAILS_PER_DAY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
 
 export default async function handler(req, res) {
   const { action } = req.query;
@@ -14,17 +28,23 @@ export default async function handler(req, res) {
   try {
     switch (action) {
       case 'generate':
-        return handleGenerate(req, res);
+        return await handleGenerate(req, res);
       case 'validate':
-        return handleValidate(req, res);
+        return await handleValidate(req, res);
       case 'convert':
-        return handleConvert(req, res);
+        return await handleConvert(req, res);
       case 'list':
-        return handleList(req, res);
+        return await handleList(req, res);
       case 'stats':
-        return handleStats(req, res);
+        return await handleStats(req, res);
+      case 'remind':
+        return await handleRemind(req, res);
+      case 'status':
+        return await handleStatus(req, res);
+      case 'waitlist':
+        return await handleWaitlist(req, res);
       default:
-        return res.status(400).json({ error: 'Invalid action. Use: generate, validate, convert, list, stats' });
+        return res.status(400).json({ error: 'Invalid action. Use: generate, validate, convert, list, stats, remind, status, waitlist' });
     }
   } catch (error) {
     console.error('Invite error:', error);
@@ -38,54 +58,102 @@ async function handleGenerate(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { inviterEmail, inviteeEmail, inviteeName } = req.body;
+  const { inviterEmail, inviterName, inviteeEmail, inviteeName, sendEmail: shouldSend } = req.body;
 
   if (!inviterEmail) {
     return res.status(400).json({ error: 'inviterEmail required' });
   }
 
-  // Generate unique invite code
-  const code = crypto.randomBytes(8).toString('hex');
-  const expiresAt = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days
+  if (shouldSend && !inviteeEmail) {
+    return res.status(400).json({ error: 'inviteeEmail required to send an invite email' });
+  }
 
-  const invite = {
-    code,
-    inviterEmail,
-    inviteeEmail: inviteeEmail || null,
-    inviteeName: inviteeName || null,
-    status: 'pending', // pending, converted, expired
-    createdAt: Date.now(),
-    expiresAt,
-    convertedAt: null,
-    convertedEmail: null
-  };
+  const store = getStore(req);
+  const recruitment = await getRecruitmentState(store);
 
-  // Store invite
-  await kvSet(req, `invite:${code}`, invite);
+  if (recruitment.paused) {
+    return res.status(403).json(pausedResponse(recruitment));
+  }
 
-  // Track inviter's sent invites
-  const inviterKey = `inviter:${inviterEmail}`;
-  const inviterData = await kvGet(req, inviterKey) || { invites: [], conversions: 0 };
-  inviterData.invites.push(code);
-  await kvSet(req, inviterKey, inviterData);
+  if (shouldSend && !(await requireInviteSender(req, res, store, inviterEmail))) {
+    return;
+  }
+
+  // Status starts as pending (pending, converted, expired)
+  const invite = await issueInvite(store, {
+    inviterEmail,
+    inviterName: inviterName || null,
+    inviteeEmail: inviteeEmail || null,
+    inviteeName: inviteeName || null
+  });
 
-  // Generate invite URL
-  const baseUrl = process.env.VERCEL_URL
-    ? `https://${process.env.VERCEL_URL}`
-    : 'http://localhost:3000';
-  const inviteUrl = `${baseUrl}?invite=${code}`;
+  // Email delivery failure doesn't fail the invite - the link can still be shared by hand
+  const emailStatus = shouldSend
+    ? await deliverInviteEmail(store, invite, { mock: isMockMode(req) })
+    : 'not_sent';
 
   return res.status(200).json({
     success: true,
-    code,
-    inviteUrl,
-    expiresAt: new Date(expiresAt).toISOString(),
+    code: invite.code,
+    inviteUrl: buildInviteUrl(invite.code),
+    expiresAt: new Date(invite.expires_at).toISOString(),
+    emailStatus,
     message: inviteeEmail
-      ? `Invite created for ${inviteeEmail}`
+      ? `Invite ${emailStatus === 'sent' ? 'emailed to' : 'created for'} ${inviteeEmail}`
       : 'Invite created (open invite)'
   });
 }
 
+// Resend the invite email as a reminder (pending invites only, before expiry)
+async function handleRemind(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'code required' });
+  }
+
+  const store = getStore(req);
+  const invite = await store.getInvite(code);
+
+  if (!invite) {
+    return res.status(404).json({ error: 'Invite not found' });
+  }
+
+  if (invite.status !== 'pending' || isExpired(invite)) {
+    return res.status(400).json({ error: `Invite is ${invite.status === 'pending' ? 'expired' : invite.status}` });
+  }
+
+  if (!invite.invitee_email) {
+    return res.status(400).json({ error: 'Open invites have no email to remind' });
+  }
+
+  if (invite.reminder_count >= MAX_REMINDERS) {
+    return res.status(429).json({ error: `Reminder limit reached (${MAX_REMINDERS})` });
+  }
+
+  if (!(await requireInviteSender(req, res, store, invite.inviter_email))) {
+    return;
+  }
+
+  const remindersSent = invite.reminder_count + 1;
+  const emailStatus = await deliverInviteEmail(store, invite, { reminder: true, mock: isMockMode(req) });
+
+  if (emailStatus !== 'sent') {
+    return res.status(502).json({ error: 'Failed to send reminder', emailStatus });
+  }
+
+  return res.status(200).json({
+    success: true,
+    emailStatus,
+    remindersSent,
+    expiresAt: new Date(invite.expires_at).toISOString()
+  });
+}
+
 // Validate an invite code
 async function handleValidate(req, res) {
   const { code } = req.query;
@@ -94,7 +162,8 @@ async function handleValidate(req, res) {
     return res.status(400).json({ error: 'code required' });
   }
 
-  const invite = await kvGet(req, `invite:${code}`);
+  const store = getStore(req);
+  const invite = await store.getInvite(code);
 
   if (!invite) {
     return res.status(404).json({
@@ -110,9 +179,8 @@ async function handleValidate(req, res) {
     });
   }
 
-  if (Date.now() > invite.expiresAt) {
-    invite.status = 'expired';
-    await kvSet(req, `invite:${code}`, invite);
+  if (isExpired(invite)) {
+    await store.expireInvite(code);
     return res.status(400).json({
       valid: false,
       error: 'Invite expired'
@@ -121,9 +189,9 @@ async function handleValidate(req, res) {
 
   return res.status(200).json({
     valid: true,
-    invitedBy: invite.inviterEmail,
-    inviteeName: invite.inviteeName,
-    expiresAt: new Date(invite.expiresAt).toISOString()
+    invitedBy: invite.inviter_email,
+    inviteeName: invite.invitee_name,
+    expiresAt: new Date(invite.expires_at).toISOString()
   });
 }
 
@@ -139,7 +207,8 @@ async function handleConvert(req, res) {
     return res.status(400).json({ error: 'code and email required' });
   }
 
-  const invite = await kvGet(req, `invite:${code}`);
+  const store = getStore(req);
+  const invite = await store.getInvite(code);
 
   if (!invite) {
     return res.status(404).json({ error: 'Invite not found' });
@@ -149,49 +218,30 @@ async function handleConvert(req, res) {
     return res.status(400).json({ error: 'Invite already used' });
   }
 
-  if (Date.now() > invite.expiresAt) {
+  if (isExpired(invite)) {
     return res.status(400).json({ error: 'Invite expired' });
   }
 
-  // Mark invite as converted
-  invite.status = 'converted';
-  invite.convertedAt = Date.now();
-  invite.convertedEmail = email;
-  await kvSet(req, `invite:${code}`, invite);
-
-  // Update inviter's conversion count
-  const inviterKey = `inviter:${invite.inviterEmail}`;
-  const inviterData = await kvGet(req, inviterKey) || { invites: [], conversions: 0 };
-  inviterData.conversions += 1;
-  await kvSet(req, inviterKey, inviterData);
-
-  // Create user record
-  const userKey = `user:${email}`;
-  const existingUser = await kvGet(req, userKey);
-
-  if (!existingUser) {
-    const user = {
-      email,
-      invitedBy: invite.inviterEmail,
-      joinedAt: Date.now(),
-      inviteCode: code,
-      invitesSent: [],
-      conversions: 0,
-      conversations: [],
-      modalityPreference: null
-    };
-    await kvSet(req, userKey, user);
-
-    // Track in global user list
-    const allUsers = await kvGet(req, 'users:all') || [];
-    allUsers.push(email);
-    await kvSet(req, 'users:all', allUsers);
+  // Invites an admin sent from the waitlist stay valid while recruitment is paused
+  if (invite.source !== 'waitlist') {
+    const recruitment = await getRecruitmentState(store);
+    if (recruitment.paused) {
+      return res.status(403).json(pausedResponse(recruitment));
+    }
+  }
+
+  // Marks the invite converted and records the user and referral edge.
+  // Null means another signup claimed it between the checks above and now.
+  const converted = await store.convertInvite(code, email);
+
+  if (!converted) {
+    return res.status(400).json({ error: 'Invite already used' });
   }
 
   return res.status(200).json({
     success: true,
-    message: `Welcome! You were invited by ${invite.inviterEmail}`,
-    invitedBy: invite.inviterEmail
+    message: `Welcome! You were invited by ${converted.inviter_email}`,
+    invitedBy: converted.inviter_email
   });
 }
 
@@ -203,70 +253,53 @@ async function handleList(req, res) {
     return res.status(400).json({ error: 'email required' });
   }
 
-  const inviterData = await kvGet(req, `inviter:${email}`);
+  const invites = await getStore(req).getInvitesByInviter(email);
 
-  if (!inviterData) {
+  if (invites.length === 0) {
     return res.status(200).json({ invites: [], conversions: 0 });
   }
 
-  // Get full invite details
-  const invites = await Promise.all(
-    inviterData.invites.map(async code => {
-      const invite = await kvGet(req, `invite:${code}`);
-      return invite ? {
-        code,
-        status: invite.status,
-        inviteeEmail: invite.inviteeEmail,
-        inviteeName: invite.inviteeName,
-        createdAt: new Date(invite.createdAt).toISOString(),
-        convertedAt: invite.convertedAt ? new Date(invite.convertedAt).toISOString() : null,
-        convertedEmail: invite.convertedEmail
-      } : null;
-    })
-  );
+  const conversions = invites.filter(i => i.status === 'converted').length;
 
   return res.status(200).json({
-    invites: invites.filter(i => i),
-    conversions: inviterData.conversions,
-    conversionRate: inviterData.invites.length > 0
-      ? (inviterData.conversions / inviterData.invites.length * 100).toFixed(1) + '%'
-      : '0%'
+    invites: invites.map(invite => ({
+      code: invite.code,
+      status: invite.status,
+      inviteeEmail: invite.invitee_email,
+      inviteeName: invite.invitee_name,
+      createdAt: new Date(invite.created_at).toISOString(),
+      convertedAt: invite.converted_at ? new Date(invite.converted_at).toISOString() : null,
+      convertedEmail: invite.converted_email,
+      emailStatus: invite.email_status,
+      remindersSent: invite.reminder_count
+    })),
+    conversions,
+    conversionRate: (conversions / invites.length * 100).toFixed(1) + '%'
   });
 }
 
 // Get network stats (admin)
 async function handleStats(req, res) {
-  const allUsers = await kvGet(req, 'users:all') || [];
-
-  // Get user details
-  const users = await Promise.all(
-    allUsers.map(async email => {
-      const user = await kvGet(req, `user:${email}`);
-      return user;
-    })
-  );
+  const store = getStore(req);
+  const networkUsers = await store.getNetworkUsers();
+  const users = networkUsers.map(u => ({
+    email: u.email,
+    invitedBy: u.invited_by,
+    joinedAt: u.joined_at,
+    invitesSent: parseInt(u.invites_sent),
+    conversions: parseInt(u.conversions)
+  }));
 
   // Calculate network stats
-  const totalUsers = users.filter(u => u).length;
-  const totalInvitesSent = users.reduce((sum, u) => sum + (u?.invitesSent?.length || 0), 0);
-  const totalConversions = users.reduce((sum, u) => sum + (u?.conversions || 0), 0);
-
-  // Referral tree depth
-  const depths = {};
-  users.forEach(user => {
-    if (!user) return;
-    let depth = 0;
-    let current = user;
-    while (current?.invitedBy) {
-      depth++;
-      const inviter = users.find(u => u?.email === current.invitedBy);
-      if (!inviter || depth > 10) break;
-      current = inviter;
-    }
-    depths[user.email] = depth;
-  });
+  const totalUsers = users.length;
+  const totalInvitesSent = users.reduce((sum, u) => sum + u.invitesSent, 0);
+  const totalConversions = users.reduce((sum, u) => sum + u.conversions, 0);
+
+  // Referral tree depth = generation counted from founders (full analytics: /api/admin/network)
+  const { nodes } = buildReferralNetwork({ users: networkUsers, invites: await store.getAllInvites() });
+  const depths = Object.fromEntries(nodes.map(n => [n.id, n.generation]));
 
-  const maxDepth = Math.max(...Object.values(depths), 0);
+  const maxDepth = Math.max(...users.map(u => depths[u.email.toLowerCase()] || 0), 0);
   const viralCoefficient = totalUsers > 0 ? (totalConversions / totalUsers).toFixed(2) : 0;
 
   return res.status(200).json({
@@ -278,23 +311,102 @@ async function handleStats(req, res) {
       : '0%',
     maxNetworkDepth: maxDepth,
     viralCoefficient,
-    users: users.filter(u => u).map(u => ({
+    users: users.map(u => ({
       email: u.email,
       invitedBy: u.invitedBy,
       joinedAt: new Date(u.joinedAt).toISOString(),
-      invitesSent: u.invitesSent?.length || 0,
-      conversions: u.conversions || 0,
-      networkDepth: depths[u.email] || 0
+      invitesSent: u.invitesSent,
+      conversions: u.conversions,
+      networkDepth: depths[u.email.toLowerCase()] || 0
     }))
   });
 }
 
-// In-memory storage helpers
-// TODO: Migrate to Postgres for persistence across serverless instances
-async function kvGet(req, key) {
-  return inviteStore.get(key) || null;
+// Whether invitations are open (the invite modal checks this before showing the form)
+async function handleStatus(req, res) {
+  const recruitment = await getRecruitmentState(getStore(req));
+
+  return res.status(200).json({
+    paused: recruitment.paused,
+    message: recruitment.paused ? recruitment.message || PAUSED_MESSAGE : null
+  });
+}
+
+// Join the waitlist - open whether or not recruitment is paused (it's demand signal either way)
+async function handleWaitlist(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { email, referrerCode, referredBy } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'email required' });
+  }
+
+  const entry = await getStore(req).joinWaitlist(email, {
+    referrerCode: referrerCode || null,
+    referredBy: referredBy || null
+  });
+
+  return res.status(200).json({
+    success: true,
+    position: entry.position,
+    alreadyJoined: !entry.joined,
+    status: entry.status
+  });
+}
+
+// Shared guard for sending invite email as inviterEmail: the caller is an admin, or sends the
+// sessionId a magic link verified that address for, and the inviter is under the daily limit.
+// Resolves to true to send; otherwise sends 401/403/429 and resolves to false.
+async function requireInviteSender(req, res, store, inviterEmail) {
+  if (!(await findSignedInAdmin(req))) {
+    const { sessionId } = req.body;
+    if (!sessionId) {
+      res.status(401).json({
+        error: 'Verified inviter required',
+        details: 'Send the sessionId your email was confirmed for (magic link), or sign in as an admin'
+      });
+      return false;
+    }
+
+    // Verified emails live in the server's own storage (env mock mode only, as in api/magic-link.js)
+    const { turns } = await getStorage({ mock: isMockEnv() }).getConversation(sessionId);
+    const verifiedEmail = turns.find(t => t.email)?.email;
+    if (verifiedEmail?.toLowerCase() !== inviterEmail.toLowerCase()) {
+      res.status(403).json({ error: 'inviterEmail is not the email confirmed for this session' });
+      return false;
+    }
+  }
+
+  if (await inviteEmailsSentToday(store, inviterEmail) >= MAX_INVITE_EMAILS_PER_DAY) {
+    res.status(429).json({ error: `Invite email limit reached (${MAX_INVITE_EMAILS_PER_DAY} a day)` });
+    return false;
+  }
+  return true;
+}
+
+// Invite emails and reminders an inviter sent in the last day. An invite whose latest email went
+// out today counts all of its emails (the first send and each reminder).
+async function inviteEmailsSentToday(store, inviterEmail) {
+  const since = Date.now() - DAY_MS;
+  const invites = await store.getInvitesByInviter(inviterEmail);
+  return invites
+    .filter(i => i.email_sent_at && new Date(i.email_sent_at).getTime() > since)
+    .reduce((sum, i) => sum + 1 + (i.reminder_count || 0), 0);
+}
+
+const PAUSED_MESSAGE = 'Invitations currently closed. Join waitlist?';
+
+function pausedResponse(recruitment) {
+  return {
+    error: recruitment.message || PAUSED_MESSAGE,
+    paused: true,
+    waitlist: true
+  };
 }
 
-async function kvSet(req, key, value) {
-  inviteStore.set(key, value);
+function getStore(req) {
+  return getStorage({ mock: isMockMode(req) });
 }
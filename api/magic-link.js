@@ -1,31 +1,108 @@
-// Links email to session for cross-device resume
-// Updates all turns in the session with the user's email
-import { linkEmailToSession } from '../lib/db.js';
+// Magic-link email verification for cross-device resume
+// POST /api/magic-link                 { email, sessionId }    - email a link that confirms the address
+// POST /api/magic-link                 { email, purpose: 'resume' } - email a link that reopens the
+//                                                                  latest session for that address
+// POST /api/magic-link?action=verify   { token }               - confirm a 'link' token and attach
+//                                                                  the email to its session
+// Tokens are signed, single-use and expire after 15 minutes (lib/tokens.js).
+import { getStorage } from '../lib/storage/index.js';
+import { sendEmail, renderMagicLinkEmail, appBaseUrl } from '../lib/mailer.js';
+import { issueMagicToken, redeemMagicToken, TokenError } from '../lib/tokens.js';
+
+// Same answer whether or not the address has a session, so addresses can't be probed
+const SENT_MESSAGE = 'If that email can be used, a link is on its way. It expires in 15 minutes.';
+
+// Check if mock mode is enabled - env only: the X-Mock-Mode header must not pick the token
+// secret, token store or mail transport
+function isMockMode() {
+  return process.env.MOCK_MODE === 'true';
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { email, sessionId } = req.body;
+  const mock = isMockMode();
+
+  try {
+    if (req.query.action === 'verify') {
+      return await handleVerify(req, res, mock);
+    }
+    return await handleRequest(req, res, mock);
+
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({
+      error: 'Magic link failed',
+      details: error.message
+    });
+  }
+}
+
+// ========== REQUEST A LINK ==========
+
+async function handleRequest(req, res, mock) {
+  const { email, sessionId, purpose = 'link' } = req.body;
 
-  if (!email || !sessionId) {
+  if (!email) {
+    return res.status(400).json({ error: 'email required' });
+  }
+  if (purpose === 'link' && !sessionId) {
     return res.status(400).json({ error: 'email and sessionId required' });
   }
+  if (purpose !== 'link' && purpose !== 'resume') {
+    return res.status(400).json({ error: 'purpose must be link or resume' });
+  }
 
-  try {
-    // Update all turns in this session with the email
-    await linkEmailToSession(sessionId, email.toLowerCase());
+  const normalizedEmail = email.toLowerCase();
+
+  if (purpose === 'resume') {
+    // Only verified (linked) addresses have a session to resume
+    const session = await getStorage({ mock }).getSessionByEmail(normalizedEmail);
+    if (!session) {
+      console.log(`[MAGIC-LINK] Resume requested for ${normalizedEmail}: no session`);
+      return res.status(200).json({ success: true, message: SENT_MESSAGE });
+    }
+  }
+
+  const { token } = await issueMagicToken(
+    { email: normalizedEmail, sessionId: purpose === 'link' ? sessionId : null, purpose },
+    { mock }
+  );
+  const param = purpose === 'resume' ? 'resume' : 'magic';
+  const message = renderMagicLinkEmail({ url: `${appBaseUrl()}?${param}=${token}`, purpose });
+
+  await sendEmail({ to: normalizedEmail, ...message }, { mock });
+
+  console.log(`[MAGIC-LINK] Sent ${purpose} link to ${normalizedEmail}`);
+
+  // No expiresAt: the body must match the no-session reply above (the expiry is in SENT_MESSAGE)
+  res.status(200).json({ success: true, message: SENT_MESSAGE });
+}
 
-    console.log(`[EMAIL-LINK] Linked ${email} to session ${sessionId}`);
+// ========== VERIFY ==========
 
-    res.status(200).json({ success: true });
+async function handleVerify(req, res, mock) {
+  const { token } = req.body;
 
+  if (!token) {
+    return res.status(400).json({ error: 'token required' });
+  }
+
+  let claims;
+  try {
+    claims = await redeemMagicToken(token, { purpose: 'link', mock });
   } catch (error) {
-    console.error('Email link error:', error);
-    res.status(500).json({
-      error: 'Failed to link email',
-      details: error.message
-    });
+    if (error instanceof TokenError) {
+      return res.status(401).json({ error: error.message, reason: error.reason });
+    }
+    throw error;
   }
+
+  // Update all turns in this session with the verified email
+  await getStorage({ mock }).linkEmailToSession(claims.sessionId, claims.email);
+  console.log(`[MAGIC-LINK] Linked ${claims.email} to session ${claims.sessionId}`);
+
+  res.status(200).json({ success: true, email: claims.email, sessionId: claims.sessionId });
 }
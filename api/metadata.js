@@ -0,0 +1,53 @@
+// Engagement metrics endpoint (see docs/engagement-metrics.md)
+// GET ?sessionId=... → metrics for one conversation
+// GET ?email=...     → user-level profile across every conversation for that email
+// Viewer role and up: a profile names the person's sessions, and a sessionId opens the transcript.
+import { getStorage } from '../lib/storage/index.js';
+import { computeConversationMetrics, computeUserProfile } from '../lib/metrics.js';
+import { requireAdmin } from '../lib/admin-auth.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const admin = await requireAdmin(req, res, 'viewer');
+  if (!admin) return;
+
+  const { sessionId, email } = req.query;
+  const storage = getStorage({ mock: isMockMode(req) });
+
+  if (!sessionId && !email) {
+    return res.status(400).json({ error: 'sessionId or email required' });
+  }
+
+  try {
+    if (sessionId) {
+      const conversation = await storage.getConversation(sessionId);
+      if (conversation.turns.length === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      return res.status(200).json({ metrics: computeConversationMetrics(conversation.turns) });
+    }
+
+    const conversations = await storage.getConversationsByEmail(email);
+    if (conversations.length === 0) {
+      return res.status(404).json({ error: 'No conversations for this email' });
+    }
+
+    res.status(200).json({ email, profile: computeUserProfile(conversations) });
+
+  } catch (error) {
+    console.error('Metadata error:', error);
+    res.status(500).json({
+      error: 'Failed to compute metrics',
+      details: error.message
+    });
+  }
+}
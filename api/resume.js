@@ -1,20 +1,45 @@
-// Cross-device resume - looks up session by email
-import { getSessionByEmail, getConversation } from '../lib/db.js';
+// Cross-device resume - reopens the latest session for a verified email
+// GET /api/resume?token=<resume token from POST /api/magic-link>
+// The token proves the caller controls the address; each one works once.
+import { getStorage } from '../lib/storage/index.js';
+import { loadSessionAssessment, summarizeAssessment } from '../lib/assessment.js';
+import { buildHistory } from '../lib/history.js';
+import { redeemMagicToken, TokenError } from '../lib/tokens.js';
+
+// Check if mock mode is enabled - env only: the X-Mock-Mode header must not pick the token
+// secret, token store or mail transport
+function isMockMode() {
+  return process.env.MOCK_MODE === 'true';
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { email } = req.query;
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(400).json({ error: 'token required - request a resume link via POST /api/magic-link' });
+  }
+
+  const mock = isMockMode();
+  const storage = getStorage({ mock });
 
-  if (!email) {
-    return res.status(400).json({ error: 'email required' });
+  let email;
+  try {
+    ({ email } = await redeemMagicToken(token, { purpose: 'resume', mock }));
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ error: error.message, reason: error.reason });
+    }
+    console.error('Resume token error:', error);
+    return res.status(500).json({ error: 'Failed to verify token', details: error.message });
   }
 
   try {
     // Find session by email
-    const session = await getSessionByEmail(email);
+    const session = await storage.getSessionByEmail(email);
 
     if (!session) {
       return res.status(200).json({
@@ -24,7 +49,7 @@ export default async function handler(req, res) {
     }
 
     // Get full conversation
-    const conversation = await getConversation(session.sessionId);
+    const conversation = await storage.getConversation(session.sessionId);
 
     if (!conversation.turns || conversation.turns.length === 0) {
       return res.status(200).json({
@@ -37,21 +62,16 @@ export default async function handler(req, res) {
     }
 
     // Convert turns to chat history format
-    const chatHistory = [];
-    for (const turn of conversation.turns) {
-      if (turn.user_message) {
-        chatHistory.push({ role: 'user', content: turn.user_message });
-      }
-      if (turn.ai_response) {
-        chatHistory.push({ role: 'assistant', content: turn.ai_response });
-      }
-    }
+    const chatHistory = buildHistory(conversation.turns);
+
+    // Email unlock comes from the session-level assessment, not the last turn
+    const assessment = await loadSessionAssessment(storage, session.sessionId, conversation.turns);
 
     // Get latest evaluation
     const lastTurn = conversation.turns[conversation.turns.length - 1];
     const evaluation = lastTurn.evaluation || {};
 
-    console.log(`[RESUME] Email lookup: ${email}, session ${session.sessionId}, ${conversation.turnCount} turns`);
+    console.log(`[RESUME] Verified resume: ${email}, session ${session.sessionId}, ${conversation.turnCount} turns`);
 
     res.status(200).json({
       found: true,
@@ -63,8 +83,9 @@ export default async function handler(req, res) {
       lastMetadata: {
         fitScore: evaluation.fitScore || null,
         allFloorsPass: evaluation.allFloorsPass || false,
-        canUnlockEmail: (evaluation.fitScore >= 60 && evaluation.allFloorsPass) || false
-      }
+        canUnlockEmail: assessment?.canUnlockEmail || false
+      },
+      assessment: summarizeAssessment(assessment)
     });
 
   } catch (error) {
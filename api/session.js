@@ -1,5 +1,12 @@
 // Session recovery endpoint - retrieves conversation from Postgres
-import { getConversation } from '../lib/db.js';
+import { getStorage } from '../lib/storage/index.js';
+import { loadSessionAssessment, summarizeAssessment } from '../lib/assessment.js';
+import { buildHistory } from '../lib/history.js';
+
+// Check if mock mode is enabled
+function isMockMode(req) {
+  return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -12,8 +19,10 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'sessionId required' });
   }
 
+  const storage = getStorage({ mock: isMockMode(req) });
+
   try {
-    const conversation = await getConversation(sessionId);
+    const conversation = await storage.getConversation(sessionId);
 
     if (!conversation.turns || conversation.turns.length === 0) {
       return res.status(200).json({
@@ -24,15 +33,10 @@ export default async function handler(req, res) {
     }
 
     // Convert turns to chat history format
-    const chatHistory = [];
-    for (const turn of conversation.turns) {
-      if (turn.user_message) {
-        chatHistory.push({ role: 'user', content: turn.user_message });
-      }
-      if (turn.ai_response) {
-        chatHistory.push({ role: 'assistant', content: turn.ai_response });
-      }
-    }
+    const chatHistory = buildHistory(conversation.turns);
+
+    // Email unlock comes from the session-level assessment, not the last turn
+    const assessment = await loadSessionAssessment(storage, sessionId, conversation.turns);
 
     // Get latest evaluation from last turn
     const lastTurn = conversation.turns[conversation.turns.length - 1];
@@ -45,8 +49,9 @@ export default async function handler(req, res) {
       lastMetadata: {
         fitScore: evaluation.fitScore || null,
         allFloorsPass: evaluation.allFloorsPass || false,
-        canUnlockEmail: (evaluation.fitScore >= 60 && evaluation.allFloorsPass) || false
-      }
+        canUnlockEmail: assessment?.canUnlockEmail || false
+      },
+      assessment: summarizeAssessment(assessment)
     });
 
   } catch (error) {
@@ -2,11 +2,10 @@
 // Audio → Whisper STT → Signal extraction (JS math, no LLM)
 // Vibe interpretation happens in chat.js (single LLM call)
 
-import OpenAI from 'openai';
-import { Readable } from 'stream';
+import { resolveModel, transcribe, TRANSCRIPTION_MODEL } from '../lib/llm.js';
 
 // MOCK_MODE: For E2E testing without external API calls
-// Mocks Whisper and Groq. Signal extraction runs for real.
+// Transcription comes from the fake LLM provider. Signal extraction runs for real.
 // Can be enabled via env var OR X-Mock-Mode header for testing.
 function isMockMode(req) {
   return process.env.MOCK_MODE === 'true' || req?.headers?.['x-mock-mode'] === 'true';
@@ -20,94 +19,6 @@ export const config = {
   }
 };
 
-// Mock transcription data for testing
-const MOCK_TRANSCRIPTIONS = {
-  confident: {
-    text: "I've been thinking about this a lot. I want to build things that matter, with people who care about craft. I'm not looking for just any job—I want to be part of something real.",
-    duration: 8.5,
-    words: [
-      { word: "I've", start: 0.0, end: 0.2 },
-      { word: "been", start: 0.25, end: 0.4 },
-      { word: "thinking", start: 0.45, end: 0.8 },
-      { word: "about", start: 0.85, end: 1.0 },
-      { word: "this", start: 1.05, end: 1.2 },
-      { word: "a", start: 1.25, end: 1.3 },
-      { word: "lot.", start: 1.35, end: 1.6 },
-      { word: "I", start: 1.9, end: 2.0 },
-      { word: "want", start: 2.05, end: 2.2 },
-      { word: "to", start: 2.25, end: 2.3 },
-      { word: "build", start: 2.35, end: 2.6 },
-      { word: "things", start: 2.65, end: 2.9 },
-      { word: "that", start: 2.95, end: 3.1 },
-      { word: "matter,", start: 3.15, end: 3.5 },
-      { word: "with", start: 3.6, end: 3.75 },
-      { word: "people", start: 3.8, end: 4.1 },
-      { word: "who", start: 4.15, end: 4.3 },
-      { word: "care", start: 4.35, end: 4.6 },
-      { word: "about", start: 4.65, end: 4.85 },
-      { word: "craft.", start: 4.9, end: 5.3 },
-      { word: "I'm", start: 5.6, end: 5.75 },
-      { word: "not", start: 5.8, end: 5.95 },
-      { word: "looking", start: 6.0, end: 6.3 },
-      { word: "for", start: 6.35, end: 6.5 },
-      { word: "just", start: 6.55, end: 6.75 },
-      { word: "any", start: 6.8, end: 6.95 },
-      { word: "job—I", start: 7.0, end: 7.3 },
-      { word: "want", start: 7.35, end: 7.5 },
-      { word: "to", start: 7.55, end: 7.65 },
-      { word: "be", start: 7.7, end: 7.8 },
-      { word: "part", start: 7.85, end: 8.0 },
-      { word: "of", start: 8.05, end: 8.15 },
-      { word: "something", start: 8.2, end: 8.4 },
-      { word: "real.", start: 8.45, end: 8.7 }
-    ]
-  },
-  hesitant: {
-    text: "Um, so I'm really interested in this, but like, I'm not sure how to explain it well. I feel like I'd learn a lot but I'm nervous about not being, um, smart enough.",
-    duration: 12.5,
-    words: [
-      { word: "Um,", start: 0.0, end: 0.3 },
-      { word: "so", start: 0.8, end: 0.9 },
-      { word: "I'm", start: 0.95, end: 1.1 },
-      { word: "really", start: 1.15, end: 1.4 },
-      { word: "interested", start: 1.45, end: 1.9 },
-      { word: "in", start: 1.95, end: 2.0 },
-      { word: "this,", start: 2.05, end: 2.3 },
-      { word: "but", start: 2.8, end: 2.9 },
-      { word: "like,", start: 3.0, end: 3.2 },
-      { word: "I'm", start: 3.4, end: 3.5 },
-      { word: "not", start: 3.55, end: 3.7 },
-      { word: "sure", start: 3.75, end: 3.95 },
-      { word: "how", start: 4.0, end: 4.1 },
-      { word: "to", start: 4.15, end: 4.2 },
-      { word: "explain", start: 4.25, end: 4.6 },
-      { word: "it", start: 4.65, end: 4.75 },
-      { word: "well.", start: 4.8, end: 5.1 },
-      { word: "I", start: 5.8, end: 5.85 },
-      { word: "feel", start: 5.9, end: 6.1 },
-      { word: "like", start: 6.15, end: 6.3 },
-      { word: "I'd", start: 6.35, end: 6.5 },
-      { word: "learn", start: 6.55, end: 6.8 },
-      { word: "a", start: 6.85, end: 6.9 },
-      { word: "lot", start: 6.95, end: 7.15 },
-      { word: "but", start: 7.5, end: 7.6 },
-      { word: "I'm", start: 7.65, end: 7.8 },
-      { word: "nervous", start: 7.85, end: 8.2 },
-      { word: "about", start: 8.25, end: 8.5 },
-      { word: "not", start: 8.55, end: 8.7 },
-      { word: "being,", start: 8.75, end: 9.0 },
-      { word: "um,", start: 9.5, end: 9.7 },
-      { word: "smart", start: 9.9, end: 10.2 },
-      { word: "enough.", start: 10.25, end: 10.6 }
-    ]
-  }
-};
-
-// Select mock scenario based on audio size (larger = more content = hesitant for testing variety)
-function getMockScenario(audioSize) {
-  return audioSize > 5000 ? 'hesitant' : 'confident';
-}
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -126,15 +37,9 @@ export default async function handler(req, res) {
     const filename = `audio.${extension}`;
     const mimeType = format.includes('/') ? format : `audio/${format}`;
 
-    // 2. Transcribe with Whisper (or mock in test mode)
-    let transcription;
-    if (isMockMode(req)) {
-      const scenario = getMockScenario(audioBuffer.length);
-      transcription = MOCK_TRANSCRIPTIONS[scenario];
-      console.log(`[MOCK] Using mock transcription: ${scenario}`);
-    } else {
-      transcription = await transcribeAudio(audioBuffer, filename, mimeType);
-    }
+    // 2. Transcribe with Whisper (the fake provider in test mode)
+    const model = resolveModel(TRANSCRIPTION_MODEL, { mock: isMockMode(req) });
+    const transcription = await transcribeAudio(model, audioBuffer, filename, mimeType);
 
     if (!transcription) {
       return res.status(500).json({ error: 'Transcription failed' });
@@ -182,63 +87,15 @@ export default async function handler(req, res) {
   }
 }
 
-async function transcribeAudio(audioBuffer, filename, mimeType = 'audio/webm') {
-  const groqKey = process.env.GROQ_API_KEY?.replace('GROQ_API_KEY=', '');
-  const openaiKey = process.env.OPENAI_API_KEY;
-
-  // Create form data for upload
-  const formData = new FormData();
-  const blob = new Blob([audioBuffer], { type: mimeType });
-  formData.append('file', blob, filename);
-  formData.append('model', 'whisper-large-v3');
-  formData.append('response_format', 'verbose_json');
-
-  // Try Groq first (faster, included in existing API)
+// Returns the normalized transcription, or null if every provider failed
+async function transcribeAudio(model, audioBuffer, filename, mimeType = 'audio/webm') {
   try {
-    const response = await fetch('https://api.groq.com/openai/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${groqKey}`
-      },
-      body: formData
-    });
-
-    if (response.ok) {
-      const result = await response.json();
-      // Groq returns segments, we need to extract word-level timing
-      return normalizeTranscription(result, 'groq');
-    }
+    const { provider, result } = await transcribe(model, { audio: audioBuffer, filename, mimeType });
+    return normalizeTranscription(result, provider);
   } catch (e) {
-    console.log('Groq transcription failed, trying OpenAI:', e.message);
-  }
-
-  // Fallback to OpenAI (guaranteed word timestamps)
-  if (openaiKey) {
-    try {
-      const openaiFormData = new FormData();
-      openaiFormData.append('file', new Blob([audioBuffer]), filename);
-      openaiFormData.append('model', 'whisper-1');
-      openaiFormData.append('response_format', 'verbose_json');
-      openaiFormData.append('timestamp_granularities[]', 'word');
-
-      const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${openaiKey}`
-        },
-        body: openaiFormData
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        return normalizeTranscription(result, 'openai');
-      }
-    } catch (e) {
-      console.log('OpenAI transcription failed:', e.message);
-    }
+    console.log('Transcription failed:', e.message);
+    return null;
   }
-
-  return null;
 }
 
 function normalizeTranscription(result, source) {
@@ -251,8 +108,8 @@ function normalizeTranscription(result, source) {
     segments: [] // Keep segment metadata for quality signals
   };
 
-  if (source === 'openai' && result.words) {
-    // OpenAI returns word-level timestamps directly
+  if (result.words) {
+    // OpenAI (and the fake provider) return word-level timestamps directly
     normalized.words = result.words;
   }
 
@@ -0,0 +1,113 @@
+// Admin identity and roles
+// Admins sign in with an 'admin' magic link (api/admin/auth.js), which is exchanged for a
+// 12-hour session token sent as "Authorization: Bearer <token>" to /api/admin/*, /api/dashboard
+// and /api/metadata (and optionally to /api/invite, to send invite email for anyone).
+// The role is looked up on every request, so removing or demoting an admin takes effect at once.
+// ADMIN_EMAIL is always an owner, so the first owner can sign in before the admins table has rows.
+// Mock mode here comes from the server's MOCK_MODE only, never the X-Mock-Mode header: a client
+// must not be able to pick the bootstrap owner or the admin store.
+import { getStorage } from './storage/index.js';
+import { verifyAdminSession, TokenError } from './tokens.js';
+
+// Least to most access: viewers read dashboards, graders also grade turns, owners change things
+export const ROLES = ['viewer', 'grader', 'owner'];
+
+// Bootstrap owner in mock mode when ADMIN_EMAIL isn't set
+const MOCK_OWNER_EMAIL = 'owner@example.com';
+
+// Check if the server runs in mock mode (env only - see above)
+export function isMockEnv() {
+  return process.env.MOCK_MODE === 'true';
+}
+
+function bootstrapOwner() {
+  const email = process.env.ADMIN_EMAIL || (isMockEnv() ? MOCK_OWNER_EMAIL : null);
+  return email ? email.toLowerCase() : null;
+}
+
+export function hasRole(admin, role) {
+  return ROLES.indexOf(admin.role) >= ROLES.indexOf(role);
+}
+
+// ========== PUBLIC API ==========
+
+// The admin row for an email (the bootstrap owner included), or null
+export async function findAdmin(store, email) {
+  const normalized = email.toLowerCase();
+  if (normalized === bootstrapOwner()) {
+    return { email: normalized, role: 'owner', added_by: null, bootstrap: true };
+  }
+  return store.getAdmin(normalized);
+}
+
+// Shared guard for admin handlers. Resolves to the signed-in admin, or sends 401/403 and
+// resolves to null:
+//   const admin = await requireAdmin(req, res, 'grader');
+//   if (!admin) return;
+export async function requireAdmin(req, res, role = 'viewer') {
+  const [scheme, token] = (req.headers?.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.status(401).json({
+      error: 'Admin sign-in required',
+      details: 'Send Authorization: Bearer <token> from POST /api/admin/auth?action=verify'
+    });
+    return null;
+  }
+
+  try {
+    const { email } = verifyAdminSession(token);
+    const admin = await findAdmin(getStorage({ mock: isMockEnv() }), email);
+
+    if (!admin) {
+      res.status(403).json({ error: 'Not an admin' });
+      return null;
+    }
+    if (!hasRole(admin, role)) {
+      res.status(403).json({ error: `Requires ${role} role`, role: admin.role });
+      return null;
+    }
+    return admin;
+
+  } catch (error) {
+    if (error instanceof TokenError) {
+      res.status(401).json({ error: error.message, reason: error.reason });
+      return null;
+    }
+    console.error('Admin check error:', error);
+    res.status(500).json({ error: 'Admin check failed', details: error.message });
+    return null;
+  }
+}
+
+// The signed-in admin for a request, or null - for routes that admins can use but that
+// don't require one. Sends nothing.
+export async function findSignedInAdmin(req) {
+  const [scheme, token] = (req.headers?.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  try {
+    const { email } = verifyAdminSession(token);
+    return await findAdmin(getStorage({ mock: isMockEnv() }), email);
+  } catch (error) {
+    if (error instanceof TokenError) return null;
+    throw error;
+  }
+}
+
+// Destructive operations take a POST whose body repeats the operation name as `confirm`.
+// Returns true to proceed; otherwise sends 405/400 and returns false.
+export function requireConfirmation(req, res, operation) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: `${operation} requires POST` });
+    return false;
+  }
+  if (req.body?.confirm !== operation) {
+    res.status(400).json({
+      error: 'Confirmation required',
+      details: `Send { "confirm": "${operation}" } to proceed`
+    });
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,159 @@
+// Session-level assessment
+// Per-turn scores are snapshots; the assessment aggregates them across the conversation into a
+// running estimate per criterion, with a confidence, the turns that supplied explicit evidence,
+// and a trend. Email unlock is decided here, so one lucky high-scoring turn isn't enough.
+import { computeFitScore, checkFloors, unmetRequirements } from './scoring.js';
+import { loadCohortConfig } from './cohort-config.js';
+
+// A turn whose evaluation names the criterion counts fully; otherwise its score still
+// counts, but as weaker evidence (the model scores every criterion on every turn)
+const ADDRESSED_WEIGHT = 1;
+const UNADDRESSED_WEIGHT = 0.5;
+// Evidence weight at which confidence reaches 0.5
+const CONFIDENCE_HALF_WEIGHT = 2;
+// Score change across the recent window that counts as a trend
+const TREND_WINDOW = 3;
+const TREND_THRESHOLD = 1;
+
+// "depth of questioning", "Depth-of-Questioning" → "depth-of-questioning"
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function addressedCriteria(evaluation, config) {
+  const named = new Set((evaluation.criteria || []).map(slug));
+  return new Set(config.rubric.criteria
+    .filter(c => named.has(c.id) || named.has(slug(c.aspect)))
+    .map(c => c.id));
+}
+
+function trendOf(observations) {
+  if (observations.length < 2) return null;
+  const recent = observations.slice(-TREND_WINDOW);
+  const change = recent[recent.length - 1].score - recent[0].score;
+  if (change >= TREND_THRESHOLD) return 'rising';
+  if (change <= -TREND_THRESHOLD) return 'falling';
+  return 'steady';
+}
+
+// Estimate, confidence and trend for one criterion from its observations
+function summarizeCriterion(observations) {
+  if (observations.length === 0) {
+    return { estimate: null, confidence: 0, trend: null, evidenceTurns: [], observations };
+  }
+
+  let weightSum = 0;
+  let weightedSum = 0;
+  for (const o of observations) {
+    weightSum += o.weight;
+    weightedSum += o.score * o.weight;
+  }
+  const estimate = weightedSum / weightSum;
+
+  // Confidence grows with evidence and shrinks when the scores disagree
+  const variance = observations.reduce((sum, o) => sum + o.weight * (o.score - estimate) ** 2, 0) / weightSum;
+  const consistency = 1 - Math.min(Math.sqrt(variance), 4) / 8;
+  const confidence = (weightSum / (weightSum + CONFIDENCE_HALF_WEIGHT)) * consistency;
+
+  return {
+    estimate: parseFloat(estimate.toFixed(2)),
+    confidence: parseFloat(confidence.toFixed(2)),
+    trend: trendOf(observations),
+    evidenceTurns: observations.filter(o => o.addressed).map(o => o.turn),
+    observations
+  };
+}
+
+// Fold one evaluated turn into the session assessment (previous may be null).
+// Re-assessing a turn number that was already seen replaces its observation.
+export function updateAssessment(previous, { turnNumber, evaluation }, config) {
+  const fallback = evaluation.evaluationStatus === 'fallback';
+  const addressed = addressedCriteria(evaluation, config);
+
+  const criteria = {};
+  for (const criterion of config.rubric.criteria) {
+    const observations = (previous?.criteria?.[criterion.id]?.observations || [])
+      .filter(o => o.turn !== turnNumber);
+
+    // Fallback turns carry no scores - they are not evidence
+    const score = evaluation.rubricScores?.[criterion.id];
+    if (!fallback && typeof score === 'number') {
+      const isAddressed = addressed.has(criterion.id);
+      observations.push({
+        turn: turnNumber,
+        score,
+        addressed: isAddressed,
+        weight: isAddressed ? ADDRESSED_WEIGHT : UNADDRESSED_WEIGHT
+      });
+      observations.sort((a, b) => a.turn - b.turn);
+    }
+
+    criteria[criterion.id] = summarizeCriterion(observations);
+  }
+
+  const estimates = Object.fromEntries(Object.entries(criteria).map(([id, c]) => [id, c.estimate]));
+  const assessedTurns = new Set(Object.values(criteria).flatMap(c => c.observations.map(o => o.turn)));
+
+  // Overall confidence: criterion confidences weighted like the fit score
+  const totalWeight = config.rubric.criteria.reduce((sum, c) => sum + (c.weight ?? 1), 0);
+  const confidence = config.rubric.criteria
+    .reduce((sum, c) => sum + criteria[c.id].confidence * (c.weight ?? 1), 0) / totalWeight;
+
+  const assessment = {
+    turnsAssessed: assessedTurns.size,
+    lastTurn: Math.max(turnNumber, previous?.lastTurn || 0),
+    criteria,
+    fitScore: computeFitScore(estimates, config),
+    allFloorsPass: checkFloors(estimates, config),
+    confidence: parseFloat(confidence.toFixed(2)),
+    updatedAt: new Date().toISOString()
+  };
+
+  assessment.unmetRequirements = unmetRequirements(assessment, config, { session: true });
+  assessment.canUnlockEmail = assessment.unmetRequirements.length === 0;
+  return assessment;
+}
+
+// Rebuild an assessment from stored turns (rows from getConversation)
+export function assessTurns(turns, config) {
+  return turns.reduce((assessment, turn) => turn.evaluation
+    ? updateAssessment(assessment, { turnNumber: turn.turn_number, evaluation: turn.evaluation }, config)
+    : assessment, null);
+}
+
+// Client-facing view: per-criterion estimates without the raw observations
+export function summarizeAssessment(assessment) {
+  if (!assessment) return null;
+
+  return {
+    fitScore: assessment.fitScore,
+    confidence: assessment.confidence,
+    turnsAssessed: assessment.turnsAssessed,
+    allFloorsPass: assessment.allFloorsPass,
+    canUnlockEmail: assessment.canUnlockEmail,
+    unmetRequirements: assessment.unmetRequirements,
+    criteria: Object.fromEntries(Object.entries(assessment.criteria).map(([id, c]) => [id, {
+      estimate: c.estimate,
+      confidence: c.confidence,
+      trend: c.trend,
+      evidenceTurns: c.evidenceTurns
+    }]))
+  };
+}
+
+// Stored assessment for a session; sessions from before assessments existed are rebuilt
+// from their turns (and saved, so this only happens once). Pass turns if already loaded.
+export async function loadSessionAssessment(storage, sessionId, turns = null) {
+  const stored = await storage.getSessionAssessment(sessionId);
+  if (stored) return stored.assessment;
+
+  turns = turns || (await storage.getConversation(sessionId)).turns;
+  const cohort = turns.find(t => t.cohort)?.cohort;
+  if (!cohort) return null;
+
+  const assessment = assessTurns(turns, loadCohortConfig(cohort));
+  if (assessment) {
+    await storage.saveSessionAssessment(sessionId, cohort, assessment);
+  }
+  return assessment;
+}
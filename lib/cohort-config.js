@@ -0,0 +1,52 @@
+// Cohort config loader
+// Each A/B cohort is a single data/llm-config-{cohort}.json file. Everything cohort-specific
+// (rubric, gates, engagement patterns, taxonomy, model) is read from it - adding a cohort
+// should only need a new JSON file.
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+// List cohort ids that have a config file
+export function listCohorts() {
+  return fs.readdirSync(DATA_DIR)
+    .filter(f => f.startsWith('llm-config-') && f.endsWith('.json'))
+    .map(f => f.slice('llm-config-'.length, -'.json'.length))
+    .sort();
+}
+
+// Load and parse the config for a cohort
+export function loadCohortConfig(cohort) {
+  const configPath = path.join(DATA_DIR, `llm-config-${cohort}.json`);
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`LLM config not found: ${configPath}. Available: ${listCohorts().join(', ')}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (parseError) {
+    throw new Error(`Failed to parse LLM config: ${parseError.message}`);
+  }
+}
+
+// Load content sources (philosophy, position details) from config paths
+// Missing files load as empty strings so the prompt still builds
+export function loadContentSources(config) {
+  const sources = {};
+  for (const [key, relativePath] of Object.entries(config.contentSources || {})) {
+    const fullPath = path.join(process.cwd(), relativePath);
+    sources[key] = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : '';
+  }
+  return sources;
+}
+
+// Criterion ids in rubric order - these are the expected rubricScores keys
+export function getCriterionIds(config) {
+  return (config.rubric?.criteria || []).map(c => c.id);
+}
+
+// rubricScores object with every criterion present and null
+export function emptyRubricScores(config) {
+  return Object.fromEntries(getCriterionIds(config).map(id => [id, null]));
+}
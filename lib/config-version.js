@@ -0,0 +1,65 @@
+// Config versions
+// A version id is a content hash of everything that shapes how a cohort is evaluated: the
+// llm-config JSON, the content sources it points at, and the system prompt template. The
+// template is hashed through the prompt it renders, so a comment edit in lib/prompt.js is not
+// a new version but any change to the prompt text is.
+// Each version is snapshotted (config_versions) the first time it is used. Sessions record the
+// version they started on and turns the version that scored them. A pinned session keeps
+// running on its starting snapshot after the files change.
+import crypto from 'crypto';
+import { buildSystemPrompt } from './prompt.js';
+import { loadCohortConfig, loadContentSources } from './cohort-config.js';
+
+const VERSION_LENGTH = 12;
+
+// Versions already snapshotted by this process, per storage backend
+const recorded = new Set();
+
+export function computeConfigVersion(config, contentSources) {
+  const prompt = buildSystemPrompt(config, null, contentSources.philosophy || '', contentSources.positionDetails || '');
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ config, contentSources, prompt }))
+    .digest('hex')
+    .slice(0, VERSION_LENGTH);
+}
+
+// The version a cohort's files are at right now
+export function currentConfigVersion(cohort) {
+  const config = loadCohortConfig(cohort);
+  const contentSources = loadContentSources(config);
+  return { config, contentSources, version: computeConfigVersion(config, contentSources) };
+}
+
+async function recordConfigVersion(storage, snapshot) {
+  const key = `${storage.name}:${snapshot.version}`;
+  if (recorded.has(key)) return;
+
+  await storage.saveConfigVersion(snapshot);
+  recorded.add(key);
+}
+
+// The config a session's next turn runs on: { config, contentSources, version, pinned }.
+// `session` is the row from getOrCreateSession. A session without a version yet starts on
+// the current one.
+export async function resolveSessionConfig(storage, session) {
+  if (session.pinned && session.config_version) {
+    const snapshot = await storage.getConfigVersion(session.config_version);
+    if (snapshot) {
+      const version = computeConfigVersion(snapshot.config, snapshot.content_sources);
+      if (version !== session.config_version) {
+        // Same config and content, different prompt template
+        console.warn(`[CONFIG] Session ${session.session_id} is pinned to ${session.config_version}; the prompt template has changed since, so turns record ${version}`);
+        await recordConfigVersion(storage, { version, cohort: session.cohort, config: snapshot.config, contentSources: snapshot.content_sources });
+      }
+      return { config: snapshot.config, contentSources: snapshot.content_sources, version, pinned: true };
+    }
+    console.warn(`[CONFIG] Snapshot ${session.config_version} for pinned session ${session.session_id} not found - using the current files`);
+  }
+
+  const { config, contentSources, version } = currentConfigVersion(session.cohort);
+  await recordConfigVersion(storage, { version, cohort: session.cohort, config, contentSources });
+  if (!session.config_version) {
+    await storage.setSessionConfigVersion(session.session_id, version);
+  }
+  return { config, contentSources, version, pinned: false };
+}
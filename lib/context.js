@@ -0,0 +1,204 @@
+// Context window management for /api/chat
+// Every call has a prompt budget: the model's contextTokens minus the maxTokens reserved for
+// the reply. Within it the prompt is assembled in this order of priority:
+//   1. The system prompt's rubric, scoring and evaluation instructions - never trimmed
+//   2. The new user message
+//   3. The most recent turns, verbatim (at least MIN_VERBATIM_TURNS)
+//   4. The session memo: a rolling "what we've learned so far" summary of turns older than the
+//      recent window, with the user's own words quoted from every turn the assessment counts as
+//      rubric evidence, so evidence is never summarized away
+//   5. The philosophy and position documents, shortened last if the rest doesn't fit
+// Token counts are estimates (about 4 characters per token); the budget keeps a margin for that.
+import { buildSystemPrompt } from './prompt.js';
+import { completeChat } from './llm.js';
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CONTEXT_TOKENS = 8192;
+const DEFAULT_MAX_TOKENS = 1500;
+const MESSAGE_OVERHEAD_TOKENS = 4;   // role and separators per message
+
+const MIN_VERBATIM_TURNS = 2;
+const RECENT_TURNS = 6;              // turns kept out of the memo
+const MEMO_BATCH_TURNS = 4;          // roll the memo once this many turns have aged out
+const MEMO_MAX_TOKENS = 400;
+const EVIDENCE_QUOTE_CHARS = 400;
+
+// ========== TOKENS ==========
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function messageTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+// Prompt tokens available to a model block: its context window less the reply it may write
+export function promptBudget(model) {
+  const contextTokens = model.contextTokens ?? DEFAULT_CONTEXT_TOKENS;
+  const maxTokens = model.maxTokens ?? DEFAULT_MAX_TOKENS;
+  return { contextTokens, reservedForReply: maxTokens, budget: contextTokens - maxTokens };
+}
+
+// Keep whole paragraphs from the start of a document until maxTokens is reached
+function trimDocument(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+
+  const marker = '\n\n[...shortened to fit the context window]';
+  const limit = Math.max(0, (maxTokens * CHARS_PER_TOKEN) - marker.length);
+  let kept = '';
+  for (const paragraph of text.split(/\n{2,}/)) {
+    const next = kept ? `${kept}\n\n${paragraph}` : paragraph;
+    if (next.length > limit) break;
+    kept = next;
+  }
+  return kept ? kept + marker : '';
+}
+
+// ========== HISTORY ==========
+
+function turnMessages(turn) {
+  const messages = [];
+  if (turn.user_message) messages.push({ role: 'user', content: turn.user_message });
+  if (turn.ai_response) messages.push({ role: 'assistant', content: turn.ai_response });
+  return messages;
+}
+
+// Turn numbers the assessment cites as evidence for any criterion
+function evidenceTurnNumbers(assessment) {
+  return new Set(Object.values(assessment?.criteria || {}).flatMap(c => c.evidenceTurns || []));
+}
+
+// The memo plus evidence quotes from turns that aren't sent verbatim, as one system message
+function buildMemoMessage(memo, turns, verbatim, assessment) {
+  const verbatimNumbers = new Set(verbatim.map(t => t.turn_number));
+  const evidence = evidenceTurnNumbers(assessment);
+  const quotes = turns
+    .filter(t => evidence.has(t.turn_number) && !verbatimNumbers.has(t.turn_number) && t.user_message)
+    .map(t => `- Turn ${t.turn_number}: "${t.user_message.slice(0, EVIDENCE_QUOTE_CHARS)}${t.user_message.length > EVIDENCE_QUOTE_CHARS ? '...' : ''}"`);
+
+  if (!memo?.memo && quotes.length === 0) return null;
+
+  const sections = ['===== EARLIER IN THIS CONVERSATION ====='];
+  if (memo?.memo) {
+    sections.push(`What we've learned so far (turns 1-${memo.through_turn}):\n${memo.memo}`);
+  }
+  if (quotes.length > 0) {
+    sections.push(`Their own words from earlier turns that count as rubric evidence:\n${quotes.join('\n')}`);
+  }
+  sections.push('The most recent turns follow in full.');
+  return { role: 'system', content: sections.join('\n\n') };
+}
+
+// ========== PLAN ==========
+
+// Assemble the model messages for a turn within the model's prompt budget.
+// `turns` are the stored turns (oldest first), `memo` the stored session memo (or null) and
+// `assessment` the session assessment before this turn (or null).
+// Returns { messages, usage }; usage is recorded with the turn.
+export function planContext({ config, model, voiceSignals = null, contentSources = {}, turns, userMessage, memo = null, assessment = null }) {
+  const { contextTokens, reservedForReply, budget } = promptBudget(model);
+  const newMessage = { role: 'user', content: userMessage };
+  const memoThrough = memo?.through_turn || 0;
+
+  const buildSystem = (sources) => ({
+    role: 'system',
+    content: buildSystemPrompt(config, voiceSignals, sources.philosophy || '', sources.positionDetails || '')
+  });
+
+  let sources = { ...contentSources };
+  let system = buildSystem(sources);
+  const fixedTokens = messageTokens([system, newMessage]);
+
+  // Newest turns first, down to the minimum, until the history fits beside the system prompt
+  const unsummarized = turns.filter(t => t.turn_number > memoThrough);
+  let verbatim = unsummarized;
+  let memoMessage = buildMemoMessage(memo, turns, verbatim, assessment);
+  const historyTokens = () => messageTokens([...(memoMessage ? [memoMessage] : []), ...verbatim.flatMap(turnMessages)]);
+
+  while (verbatim.length > MIN_VERBATIM_TURNS && fixedTokens + historyTokens() > budget) {
+    verbatim = verbatim.slice(1);
+    memoMessage = buildMemoMessage(memo, turns, verbatim, assessment);
+  }
+
+  // Still over: shorten the documents (position details first), never the rubric
+  let documentsTrimmed = false;
+  const excess = fixedTokens + historyTokens() - budget;
+  if (excess > 0) {
+    let remaining = excess;
+    for (const key of ['positionDetails', 'philosophy']) {
+      if (remaining <= 0 || !sources[key]) continue;
+      const current = estimateTokens(sources[key]);
+      sources = { ...sources, [key]: trimDocument(sources[key], Math.max(0, current - remaining)) };
+      remaining -= current - estimateTokens(sources[key]);
+      documentsTrimmed = true;
+    }
+    system = buildSystem(sources);
+  }
+
+  const messages = [system, ...(memoMessage ? [memoMessage] : []), ...verbatim.flatMap(turnMessages), newMessage];
+  const promptTokens = messageTokens(messages);
+
+  const usage = {
+    contextTokens,
+    reservedForReply,
+    budget,
+    promptTokens,
+    systemTokens: messageTokens([system]),
+    memoTokens: memoMessage ? messageTokens([memoMessage]) : 0,
+    historyTokens: messageTokens(verbatim.flatMap(turnMessages)),
+    verbatimTurns: verbatim.length,
+    memoThroughTurn: memoThrough,
+    droppedTurns: unsummarized.length - verbatim.length,
+    documentsTrimmed,
+    overBudget: promptTokens > budget
+  };
+
+  if (usage.overBudget || usage.droppedTurns > 0 || documentsTrimmed) {
+    console.warn(`[CONTEXT] Prompt ${promptTokens}/${budget} tokens: ${usage.droppedTurns} turns dropped, documents ${documentsTrimmed ? 'shortened' : 'intact'}`);
+  }
+  return { messages, usage };
+}
+
+// ========== MEMO ==========
+
+function buildMemoPrompt(previousMemo, turns, config) {
+  const transcript = turns.map(t => [
+    `Turn ${t.turn_number}`,
+    `Candidate: ${t.user_message || ''}`,
+    `Guide: ${t.ai_response || ''}`
+  ].join('\n')).join('\n\n');
+
+  return [
+    {
+      role: 'system',
+      content: `You keep a running memo of a conversation between a guide and someone exploring this opportunity: ${config.description || config.name}.
+Update the memo with the new turns. Keep what they have said about themselves, concrete examples and stories (quote short phrases), what they asked about, and open threads worth returning to.
+Note which of these the turns speak to: ${config.rubric.criteria.map(c => c.aspect).join(', ')}. Do not score them.
+Write plain text bullet points, under 250 words. Reply with the memo only.`
+    },
+    {
+      role: 'user',
+      content: `${previousMemo ? `Current memo:\n${previousMemo}\n\n` : ''}New turns:\n\n${transcript}`
+    }
+  ];
+}
+
+// Fold turns that have left the recent window into the session memo. Runs once MEMO_BATCH_TURNS
+// have aged out, so most turns make no extra model call. Returns the memo (new or unchanged).
+export async function rollSessionMemo(storage, { sessionId, turns, memo = null, model, config }) {
+  const memoThrough = memo?.through_turn || 0;
+  const lastTurn = turns[turns.length - 1]?.turn_number || 0;
+  const throughTurn = lastTurn - RECENT_TURNS;
+
+  if (throughTurn - memoThrough < MEMO_BATCH_TURNS) return memo;
+
+  const aged = turns.filter(t => t.turn_number > memoThrough && t.turn_number <= throughTurn);
+  const memoModel = { ...model, maxTokens: MEMO_MAX_TOKENS, temperature: 0.2 };
+  const text = (await completeChat(memoModel, buildMemoPrompt(memo?.memo, aged, config), { config, task: 'memo' })).trim();
+  if (!text) return memo;
+
+  await storage.saveSessionMemo(sessionId, { memo: text, throughTurn });
+  console.log(`[CONTEXT] Memo for session ${sessionId} now covers turns 1-${throughTurn}`);
+  return { session_id: sessionId, memo: text, through_turn: throughTurn };
+}
@@ -1,8 +1,15 @@
-// Database module for Neon Postgres
-// Single table: turns (a conversation is just a set of turns with the same session_id)
-import { neon } from '@neondatabase/serverless';
+// Database module for Neon Postgres - the postgres backend behind lib/storage
+// A conversation is just the set of turns with the same session_id. Handlers go through
+// getStorage() rather than importing these directly.
+import { neon, neonConfig } from '@neondatabase/serverless';
+
+// A local Postgres (e.g. for tests) is reached through Neon's HTTP proxy,
+// e.g. NEON_HTTP_ENDPOINT=http://localhost:4444/sql (see migrations/README.md)
+if (process.env.NEON_HTTP_ENDPOINT) {
+  neonConfig.fetchEndpoint = process.env.NEON_HTTP_ENDPOINT;
+}
 
-function getDb() {
+export function getDb() {
   const connectionString = process.env.DATABASE_URL;
   if (!connectionString) {
     throw new Error('DATABASE_URL environment variable not set');
@@ -10,77 +17,7 @@ function getDb() {
   return neon(connectionString);
 }
 
-// Initialize schema
-// force=true drops and recreates
-export async function initSchema(force = false) {
-  const sql = getDb();
-
-  if (force) {
-    await sql`DROP TABLE IF EXISTS turns CASCADE`;
-    await sql`DROP TABLE IF EXISTS sessions CASCADE`;
-    await sql`DROP TABLE IF EXISTS preference_data CASCADE`;
-    await sql`DROP TABLE IF EXISTS conversations CASCADE`;
-    await sql`DROP TABLE IF EXISTS session_metadata CASCADE`;
-  }
-
-  // Sessions table - stores cohort assignment per session
-  await sql`
-    CREATE TABLE IF NOT EXISTS sessions (
-      session_id VARCHAR(255) PRIMARY KEY,
-      cohort VARCHAR(100) NOT NULL,
-      config_id VARCHAR(100) NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW()
-    )
-  `;
-
-  await sql`CREATE INDEX IF NOT EXISTS idx_sessions_cohort ON sessions(cohort)`;
-  await sql`CREATE INDEX IF NOT EXISTS idx_sessions_created ON sessions(created_at DESC)`;
-
-  // Turns table - stores each conversation turn
-  await sql`
-    CREATE TABLE IF NOT EXISTS turns (
-      id SERIAL PRIMARY KEY,
-      session_id VARCHAR(255) NOT NULL,
-      cohort VARCHAR(100),
-      email VARCHAR(255),
-      turn_number INTEGER NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW(),
-      source VARCHAR(20) DEFAULT 'real',
-
-      user_message TEXT,
-      ai_response TEXT,
-      evaluation JSONB,
-      voice_signals JSONB,
-
-      UNIQUE(session_id, turn_number)
-    )
-  `;
-
-  await sql`CREATE INDEX IF NOT EXISTS idx_turns_session ON turns(session_id)`;
-  await sql`CREATE INDEX IF NOT EXISTS idx_turns_cohort ON turns(cohort) WHERE cohort IS NOT NULL`;
-  await sql`CREATE INDEX IF NOT EXISTS idx_turns_email ON turns(email) WHERE email IS NOT NULL`;
-  await sql`CREATE INDEX IF NOT EXISTS idx_turns_source ON turns(source)`;
-  await sql`CREATE INDEX IF NOT EXISTS idx_turns_created ON turns(created_at DESC)`;
-
-  // Preference data table - stores dialogue act grading feedback
-  await sql`
-    CREATE TABLE IF NOT EXISTS preference_data (
-      id SERIAL PRIMARY KEY,
-      turn_id INTEGER REFERENCES turns(id) UNIQUE,
-      session_id VARCHAR(255),
-      user_message TEXT NOT NULL,
-      original_dialogue_act VARCHAR(50) NOT NULL,
-      selected_dialogue_act VARCHAR(50),
-      matched BOOLEAN NOT NULL,
-      skipped BOOLEAN DEFAULT false,
-      graded_at TIMESTAMP DEFAULT NOW()
-    )
-  `;
-
-  await sql`CREATE INDEX IF NOT EXISTS idx_preference_matched ON preference_data(matched)`;
-
-  return { success: true, message: force ? 'Schema recreated' : 'Schema initialized' };
-}
+// Schema lives in migrations/ (lib/migrations.js applies it)
 
 // A/B Test Configuration
 const AB_CONFIG = {
@@ -94,7 +31,7 @@ const AB_CONFIG = {
 
 // Deterministic cohort assignment based on sessionId hash
 // Same sessionId always gets same cohort (reproducible)
-function assignCohort(sessionId) {
+export function assignCohort(sessionId) {
   // If kill switch is set, return that cohort
   if (AB_CONFIG.forceAll) {
     return AB_CONFIG.forceAll;
@@ -134,33 +71,54 @@ export async function getOrCreateSession(sessionId, forceCohort = null) {
     INSERT INTO sessions (session_id, cohort, config_id)
     VALUES (${sessionId}, ${cohort}, ${configId})
     ON CONFLICT (session_id) DO UPDATE SET session_id = sessions.session_id
-    RETURNING session_id, cohort, config_id, created_at
+    RETURNING session_id, cohort, config_id, config_version, pinned, created_at
   `;
 
   return result[0];
 }
 
+// Record the config version a session started on (kept if one is already set)
+export async function setSessionConfigVersion(sessionId, version) {
+  const sql = getDb();
+
+  await sql`
+    UPDATE sessions SET config_version = ${version}
+    WHERE session_id = ${sessionId} AND config_version IS NULL
+  `;
+
+  return { success: true };
+}
+
+// Pin or unpin a session to the config version it started on. Returns the session, or null.
+export async function setSessionPinned(sessionId, pinned) {
+  const sql = getDb();
+
+  const result = await sql`
+    UPDATE sessions SET pinned = ${pinned}
+    WHERE session_id = ${sessionId}
+    RETURNING session_id, cohort, config_id, config_version, pinned, created_at
+  `;
+
+  return result.length > 0 ? result[0] : null;
+}
+
 // Get session cohort (returns null if session doesn't exist)
 export async function getSessionCohort(sessionId) {
   const sql = getDb();
 
   const result = await sql`
-    SELECT cohort, config_id FROM sessions WHERE session_id = ${sessionId}
+    SELECT cohort, config_id, config_version, pinned FROM sessions WHERE session_id = ${sessionId}
   `;
 
   return result.length > 0 ? result[0] : null;
 }
 
 // Store a turn (now includes cohort and source)
+// turnData.requestId (optional) makes the write idempotent: storing the same request id
+// twice for a session keeps the first turn. Returns { turnNumber, duplicate }.
 export async function storeTurn(sessionId, email, turnData, cohort = null, source = 'real') {
   const sql = getDb();
-
-  // Get next turn number for this session
-  const existing = await sql`
-    SELECT COALESCE(MAX(turn_number), 0) as max_turn
-    FROM turns WHERE session_id = ${sessionId}
-  `;
-  const turnNumber = (existing[0]?.max_turn || 0) + 1;
+  const requestId = turnData.requestId || null;
 
   // Build evaluation JSONB
   const evaluation = {
@@ -168,32 +126,150 @@ export async function storeTurn(sessionId, email, turnData, cohort = null, sourc
     dialogueAct: turnData.dialogueAct,
     criteria: turnData.criteria,
     rubricScores: turnData.rubricScores,
-    fitScore: turnData.fitScore,
+    fitScore: turnData.fitScore,             // computed from rubric weights
+    modelFitScore: turnData.modelFitScore ?? null,  // the model's own estimate
     allFloorsPass: turnData.allFloorsPass,
     rationale: turnData.rationale,
+    evaluationStatus: turnData.evaluationStatus || 'clean',  // clean / repaired / fallback
+    validationErrors: turnData.validationErrors || null,
     stance: turnData.stance || null,
-    vibe: turnData.vibe || null  // { emoji, observation } if voice mode
+    vibe: turnData.vibe || null,  // { emoji, observation } if voice mode
+    historyDiverged: turnData.historyDiverged || false  // client history didn't match stored turns
   };
 
   // Voice signals (optional)
   const voiceSignals = turnData.voiceSignals || null;
 
+  // Number and insert in one transaction. The advisory lock serializes writers per session,
+  // so two concurrent requests can't both take MAX + 1; a repeated request id inserts nothing.
+  const [, inserted] = await sql.transaction([
+    sql`SELECT pg_advisory_xact_lock(hashtext(${sessionId}))`,
+    sql`
+      INSERT INTO turns (session_id, cohort, email, turn_number, source, user_message, ai_response, evaluation, voice_signals, request_id, context_usage, config_version)
+      VALUES (
+        ${sessionId},
+        ${cohort},
+        ${email || null},
+        (SELECT COALESCE(MAX(turn_number), 0) + 1 FROM turns WHERE session_id = ${sessionId}),
+        ${source},
+        ${turnData.userMessage},
+        ${turnData.response},
+        ${JSON.stringify(evaluation)},
+        ${voiceSignals ? JSON.stringify(voiceSignals) : null},
+        ${requestId},
+        ${turnData.contextUsage ? JSON.stringify(turnData.contextUsage) : null},
+        ${turnData.configVersion || null}
+      )
+      ON CONFLICT (session_id, request_id) WHERE request_id IS NOT NULL DO NOTHING
+      RETURNING turn_number
+    `
+  ]);
+
+  if (inserted.length > 0) {
+    return { turnNumber: inserted[0].turn_number, duplicate: false };
+  }
+
+  const existing = await getTurnByRequestId(sessionId, requestId);
+  return { turnNumber: existing.turn_number, duplicate: true };
+}
+
+// The turn stored for a client request id, or null
+export async function getTurnByRequestId(sessionId, requestId) {
+  const sql = getDb();
+
+  const result = await sql`
+    SELECT * FROM turns
+    WHERE session_id = ${sessionId} AND request_id = ${requestId}
+  `;
+
+  return result.length > 0 ? result[0] : null;
+}
+
+// Claim a client request id before its reply is generated, so only one copy of a request
+// calls the model. A claim older than ttlSeconds is taken over - its request died without
+// storing a turn. Returns true if the caller now holds the claim.
+export async function claimRequest(sessionId, requestId, ttlSeconds) {
+  const sql = getDb();
+
+  const result = await sql`
+    INSERT INTO request_claims (session_id, request_id)
+    VALUES (${sessionId}, ${requestId})
+    ON CONFLICT (session_id, request_id) DO UPDATE SET claimed_at = NOW()
+    WHERE request_claims.claimed_at < NOW() - make_interval(secs => ${ttlSeconds})
+    RETURNING request_id
+  `;
+
+  return result.length > 0;
+}
+
+// Drop the claim of a request that failed, so a retry can take it straight away
+export async function releaseRequest(sessionId, requestId) {
+  const sql = getDb();
+
+  await sql`DELETE FROM request_claims WHERE session_id = ${sessionId} AND request_id = ${requestId}`;
+}
+
+// Get the stored assessment for a session (null if none yet)
+export async function getSessionAssessment(sessionId) {
+  const sql = getDb();
+
+  const result = await sql`
+    SELECT session_id, cohort, assessment, updated_at
+    FROM session_assessments WHERE session_id = ${sessionId}
+  `;
+
+  return result.length > 0 ? result[0] : null;
+}
+
+// Create or replace a session's assessment. With expectedRevision, an existing row is only
+// replaced if its assessment.revision (0 if unset) still matches - otherwise nothing is written
+// and { success: false, conflict: true } comes back, so the caller can re-read and retry.
+export async function saveSessionAssessment(sessionId, cohort, assessment, { expectedRevision = null } = {}) {
+  const sql = getDb();
+
+  const result = await sql`
+    INSERT INTO session_assessments (session_id, cohort, assessment, fit_score, can_unlock_email, updated_at)
+    VALUES (${sessionId}, ${cohort}, ${JSON.stringify(assessment)}, ${assessment.fitScore}, ${assessment.canUnlockEmail}, NOW())
+    ON CONFLICT (session_id) DO UPDATE SET
+      cohort = EXCLUDED.cohort,
+      assessment = EXCLUDED.assessment,
+      fit_score = EXCLUDED.fit_score,
+      can_unlock_email = EXCLUDED.can_unlock_email,
+      updated_at = NOW()
+    WHERE ${expectedRevision}::int IS NULL
+      OR COALESCE((session_assessments.assessment->>'revision')::int, 0) = ${expectedRevision}::int
+    RETURNING session_id
+  `;
+
+  return result.length > 0 ? { success: true } : { success: false, conflict: true };
+}
+
+// Get a session's rolling memo (lib/context.js), or null
+export async function getSessionMemo(sessionId) {
+  const sql = getDb();
+
+  const result = await sql`
+    SELECT session_id, memo, through_turn, updated_at
+    FROM session_memos WHERE session_id = ${sessionId}
+  `;
+
+  return result.length > 0 ? result[0] : null;
+}
+
+// Create or replace a session's memo; throughTurn is the last turn it summarizes
+export async function saveSessionMemo(sessionId, { memo, throughTurn }) {
+  const sql = getDb();
+
   await sql`
-    INSERT INTO turns (session_id, cohort, email, turn_number, source, user_message, ai_response, evaluation, voice_signals)
-    VALUES (
-      ${sessionId},
-      ${cohort},
-      ${email || null},
-      ${turnNumber},
-      ${source},
-      ${turnData.userMessage},
-      ${turnData.response},
-      ${JSON.stringify(evaluation)},
-      ${voiceSignals ? JSON.stringify(voiceSignals) : null}
-    )
+    INSERT INTO session_memos (session_id, memo, through_turn, updated_at)
+    VALUES (${sessionId}, ${memo}, ${throughTurn}, NOW())
+    ON CONFLICT (session_id) DO UPDATE SET
+      memo = EXCLUDED.memo,
+      through_turn = EXCLUDED.through_turn,
+      updated_at = NOW()
   `;
 
-  return { turnNumber };
+  return { success: true };
 }
 
 // Get conversation by session ID
@@ -238,6 +314,61 @@ export async function getSessionByEmail(email) {
   };
 }
 
+// Get every conversation for an email (for the user-level metrics profile)
+// Returns turn arrays grouped by session, oldest session first
+export async function getConversationsByEmail(email) {
+  const sql = getDb();
+
+  const turns = await sql`
+    SELECT * FROM turns
+    WHERE session_id IN (
+      SELECT DISTINCT session_id FROM turns WHERE LOWER(email) = LOWER(${email})
+    )
+    ORDER BY session_id, turn_number ASC
+  `;
+
+  const bySession = new Map();
+  for (const turn of turns) {
+    if (!bySession.has(turn.session_id)) bySession.set(turn.session_id, []);
+    bySession.get(turn.session_id).push(turn);
+  }
+
+  return [...bySession.values()]
+    .sort((a, b) => new Date(a[0].created_at) - new Date(b[0].created_at));
+}
+
+// Every person with an email on file and their conversations (for candidate ranking)
+// Returns [{ email, conversations }] where conversations are turn arrays, oldest session first
+export async function getConversationsByPerson() {
+  const sql = getDb();
+
+  const turns = await sql`
+    SELECT t.*, people.email AS person_email
+    FROM turns t
+    JOIN (
+      SELECT session_id, MIN(LOWER(email)) AS email
+      FROM turns
+      WHERE email IS NOT NULL
+      GROUP BY session_id
+    ) people ON people.session_id = t.session_id
+    ORDER BY t.session_id, t.turn_number ASC
+  `;
+
+  const byPerson = new Map();
+  for (const turn of turns) {
+    if (!byPerson.has(turn.person_email)) byPerson.set(turn.person_email, new Map());
+    const sessions = byPerson.get(turn.person_email);
+    if (!sessions.has(turn.session_id)) sessions.set(turn.session_id, []);
+    sessions.get(turn.session_id).push(turn);
+  }
+
+  return [...byPerson.entries()].map(([email, sessions]) => ({
+    email,
+    conversations: [...sessions.values()]
+      .sort((a, b) => new Date(a[0].created_at) - new Date(b[0].created_at))
+  }));
+}
+
 // Get recent sessions (for admin)
 export async function getRecentSessions(limit = 20) {
   const sql = getDb();
@@ -261,31 +392,65 @@ export async function getRecentSessions(limit = 20) {
 }
 
 // Dashboard: Compare cohorts for A/B testing
-export async function getCohortComparison() {
+// Fallback evaluations (model output that failed validation) carry no real scores, so they are
+// counted but kept out of every average. Turns stored before evaluationStatus existed are
+// recognised by their fallback rationale.
+// passThresholds maps cohort → its config's rubric.overallPassThreshold (the bar the unlock uses);
+// a cohort without one gets pct_above_threshold null.
+// stats has one row per cohort; statsByVersion the same figures per cohort and config version.
+export async function getCohortComparison({ passThresholds = {} } = {}) {
   const sql = getDb();
 
-  // Aggregate stats per cohort
-  const stats = await sql`
+  // Aggregate stats per cohort, and per cohort and config version
+  const rows = await sql`
+    WITH evaluated AS (
+      SELECT *, COALESCE(
+        evaluation->>'evaluationStatus',
+        CASE WHEN evaluation->>'rationale' = 'Fallback evaluation' THEN 'fallback' ELSE 'clean' END
+      ) as evaluation_status,
+      (${JSON.stringify(passThresholds)}::jsonb ->> cohort)::float as pass_threshold
+      FROM turns
+      WHERE cohort IS NOT NULL
+    )
     SELECT
       cohort,
+      config_version,
+      GROUPING(config_version) = 1 as all_versions,
       COUNT(DISTINCT session_id) as sessions,
       COUNT(*) as total_turns,
-      AVG((evaluation->>'fitScore')::float) as avg_fit_score,
-      AVG(CASE WHEN turn_number = 1 THEN (evaluation->>'fitScore')::float END) as avg_first_turn_score,
-      AVG(CASE WHEN (evaluation->>'fitScore')::int >= 60 THEN 1 ELSE 0 END) * 100 as pct_above_threshold,
+      COUNT(*) FILTER (WHERE evaluation_status = 'repaired') as repaired_turns,
+      COUNT(*) FILTER (WHERE evaluation_status = 'fallback') as fallback_turns,
+      AVG((evaluation->>'fitScore')::float) FILTER (WHERE evaluation_status <> 'fallback') as avg_fit_score,
+      AVG((evaluation->>'modelFitScore')::float) FILTER (WHERE evaluation_status <> 'fallback') as avg_model_fit_score,
+      AVG(ABS((evaluation->>'fitScore')::float - (evaluation->>'modelFitScore')::float)) FILTER (WHERE evaluation_status <> 'fallback') as avg_fit_score_gap,
+      AVG(CASE WHEN turn_number = 1 THEN (evaluation->>'fitScore')::float END) FILTER (WHERE evaluation_status <> 'fallback') as avg_first_turn_score,
+      AVG(CASE
+        WHEN pass_threshold IS NULL THEN NULL
+        WHEN (evaluation->>'fitScore')::float >= pass_threshold THEN 1
+        ELSE 0
+      END) FILTER (WHERE evaluation_status <> 'fallback') * 100 as pct_above_threshold,
       COUNT(DISTINCT CASE WHEN email IS NOT NULL THEN session_id END) as sessions_with_email
-    FROM turns
-    WHERE cohort IS NOT NULL
-    GROUP BY cohort
+    FROM evaluated
+    GROUP BY GROUPING SETS ((cohort), (cohort, config_version))
   `;
+  const stats = rows.filter(r => r.all_versions);
+  const statsByVersion = rows.filter(r => !r.all_versions);
 
-  // Stance distribution per cohort (final turn per session)
+  // Stance distribution per cohort (final evaluated turn per session)
   const stanceByFinalTurn = await sql`
-    WITH final_turns AS (
-      SELECT DISTINCT ON (session_id)
-        session_id, cohort, evaluation
+    WITH evaluated AS (
+      SELECT *, COALESCE(
+        evaluation->>'evaluationStatus',
+        CASE WHEN evaluation->>'rationale' = 'Fallback evaluation' THEN 'fallback' ELSE 'clean' END
+      ) as evaluation_status
       FROM turns
       WHERE cohort IS NOT NULL
+    ),
+    final_turns AS (
+      SELECT DISTINCT ON (session_id)
+        session_id, cohort, evaluation
+      FROM evaluated
+      WHERE evaluation_status <> 'fallback'
       ORDER BY session_id, turn_number DESC
     )
     SELECT
@@ -297,7 +462,7 @@ export async function getCohortComparison() {
     GROUP BY cohort
   `;
 
-  return { stats, stanceByFinalTurn };
+  return { stats, statsByVersion, stanceByFinalTurn };
 }
 
 // Link email to a session (update all turns in that session)
@@ -313,6 +478,359 @@ export async function linkEmailToSession(sessionId, email) {
   return { success: true };
 }
 
+// ========== CONFIG VERSIONS ==========
+
+// Snapshot a config version (lib/config-version.js); a version is only stored once
+export async function saveConfigVersion({ version, cohort, config, contentSources }) {
+  const sql = getDb();
+
+  await sql`
+    INSERT INTO config_versions (version, cohort, config, content_sources)
+    VALUES (${version}, ${cohort}, ${JSON.stringify(config)}, ${JSON.stringify(contentSources)})
+    ON CONFLICT (version) DO NOTHING
+  `;
+
+  return { success: true };
+}
+
+export async function getConfigVersion(version) {
+  const sql = getDb();
+
+  const result = await sql`
+    SELECT version, cohort, config, content_sources, created_at
+    FROM config_versions WHERE version = ${version}
+  `;
+
+  return result.length > 0 ? result[0] : null;
+}
+
+// Every snapshotted version with how many sessions started on it and turns it scored, newest first
+export async function listConfigVersions() {
+  const sql = getDb();
+
+  return sql`
+    SELECT
+      v.version,
+      v.cohort,
+      v.created_at,
+      (SELECT COUNT(*) FROM sessions s WHERE s.config_version = v.version) as sessions,
+      (SELECT COUNT(*) FROM sessions s WHERE s.config_version = v.version AND s.pinned) as pinned_sessions,
+      (SELECT COUNT(*) FROM turns t WHERE t.config_version = v.version) as turns
+    FROM config_versions v
+    ORDER BY v.created_at DESC
+  `;
+}
+
+// ========== GRADING ==========
+
+// Ungraded turns with a dialogue act from the last 30 days, in random order (for grade.html)
+export async function getGradingQueue({ limit = 30, source = 'real' } = {}) {
+  const sql = getDb();
+
+  return sql`
+    SELECT
+      t.id as turn_id,
+      t.session_id,
+      t.source,
+      t.user_message,
+      t.evaluation->>'dialogueAct' as dialogue_act
+    FROM turns t
+    WHERE t.id NOT IN (SELECT turn_id FROM preference_data)
+      AND t.evaluation IS NOT NULL
+      AND t.evaluation->>'dialogueAct' IS NOT NULL
+      AND t.source = ${source}
+      AND t.created_at > NOW() - INTERVAL '30 days'
+    ORDER BY RANDOM()
+    LIMIT ${limit}
+  `;
+}
+
+// Record a grade; a turn keeps its first grade
+export async function saveGrade({ turnId, sessionId, userMessage, originalDialogueAct, selectedDialogueAct, matched, skipped = false }) {
+  const sql = getDb();
+
+  await sql`
+    INSERT INTO preference_data (
+      turn_id,
+      session_id,
+      user_message,
+      original_dialogue_act,
+      selected_dialogue_act,
+      matched,
+      skipped
+    )
+    VALUES (
+      ${turnId},
+      ${sessionId},
+      ${userMessage},
+      ${originalDialogueAct},
+      ${selectedDialogueAct},
+      ${matched},
+      ${skipped}
+    )
+    ON CONFLICT (turn_id) DO NOTHING
+  `;
+}
+
+// Graded (not skipped) examples, newest first
+export async function getGradedExamples() {
+  const sql = getDb();
+
+  return sql`
+    SELECT
+      user_message,
+      original_dialogue_act,
+      selected_dialogue_act,
+      matched
+    FROM preference_data
+    WHERE NOT skipped
+    ORDER BY graded_at DESC
+  `;
+}
+
+// ========== MAGIC LINKS ==========
+
+export async function createMagicLink({ tokenId, email, sessionId = null, purpose, expiresAt }) {
+  const sql = getDb();
+
+  await sql`
+    INSERT INTO magic_links (token_id, email, session_id, purpose, expires_at)
+    VALUES (${tokenId}, ${email}, ${sessionId}, ${purpose}, ${expiresAt.toISOString()})
+  `;
+}
+
+// Mark a magic link used. Returns the row, or null if it was already used, expired or never issued.
+export async function consumeMagicLink(tokenId) {
+  const sql = getDb();
+
+  const result = await sql`
+    UPDATE magic_links
+    SET used_at = NOW()
+    WHERE token_id = ${tokenId} AND used_at IS NULL AND expires_at > NOW()
+    RETURNING *
+  `;
+
+  return result[0] || null;
+}
+
+// ========== REFERRAL NETWORK ==========
+
+export async function createInvite({ code, inviterEmail, inviterName = null, inviteeEmail = null, inviteeName = null, expiresAt, source = 'referral' }) {
+  const sql = getDb();
+
+  const result = await sql`
+    INSERT INTO invites (code, inviter_email, inviter_name, invitee_email, invitee_name, expires_at, source)
+    VALUES (${code}, ${inviterEmail}, ${inviterName}, ${inviteeEmail}, ${inviteeName}, ${expiresAt.toISOString()}, ${source})
+    RETURNING *
+  `;
+
+  return result[0];
+}
+
+export async function getInvite(code) {
+  const sql = getDb();
+
+  const result = await sql`SELECT * FROM invites WHERE code = ${code}`;
+  return result[0] || null;
+}
+
+export async function expireInvite(code) {
+  const sql = getDb();
+
+  await sql`UPDATE invites SET status = 'expired' WHERE code = ${code} AND status = 'pending'`;
+}
+
+// Record an invite email attempt: status is 'sent' or 'failed'; reminders bump the count
+export async function recordInviteEmail(code, { status, error = null, reminder = false }) {
+  const sql = getDb();
+
+  const result = await sql`
+    UPDATE invites
+    SET email_status = ${status},
+        email_sent_at = CASE WHEN ${status} = 'sent' THEN NOW() ELSE email_sent_at END,
+        email_error = ${error},
+        reminder_count = reminder_count + ${reminder && status === 'sent' ? 1 : 0}
+    WHERE code = ${code}
+    RETURNING *
+  `;
+
+  return result[0] || null;
+}
+
+// Mark an invite converted and record the new user and the referral edge.
+// One statement, so the three writes commit or fail together; the status check is part
+// of the UPDATE, so two signups can't both claim one invite.
+// Returns the converted invite, or null if it was no longer pending.
+export async function convertInvite(code, email) {
+  const sql = getDb();
+
+  const result = await sql`
+    WITH converted AS (
+      UPDATE invites
+      SET status = 'converted', converted_at = NOW(), converted_email = ${email}
+      WHERE code = ${code} AND status = 'pending' AND expires_at > NOW()
+      RETURNING *
+    ),
+    new_user AS (
+      INSERT INTO users (email, invited_by, invite_code)
+      SELECT ${email}, inviter_email, code FROM converted
+      ON CONFLICT (email) DO NOTHING
+    ),
+    referral AS (
+      INSERT INTO referrals (inviter_email, invitee_email, invite_code)
+      SELECT inviter_email, ${email}, code FROM converted
+      ON CONFLICT (invitee_email) DO NOTHING
+    )
+    SELECT * FROM converted
+  `;
+
+  return result[0] || null;
+}
+
+export async function getInvitesByInviter(email) {
+  const sql = getDb();
+
+  return sql`
+    SELECT * FROM invites
+    WHERE LOWER(inviter_email) = LOWER(${email})
+    ORDER BY created_at ASC
+  `;
+}
+
+export async function getAllInvites() {
+  const sql = getDb();
+
+  return sql`SELECT * FROM invites ORDER BY created_at ASC`;
+}
+
+// Every user with their invite activity (for network stats)
+export async function getNetworkUsers() {
+  const sql = getDb();
+
+  return sql`
+    SELECT
+      u.email,
+      u.invited_by,
+      u.joined_at,
+      (SELECT COUNT(*) FROM invites i WHERE LOWER(i.inviter_email) = LOWER(u.email)) as invites_sent,
+      (SELECT COUNT(*) FROM referrals r WHERE LOWER(r.inviter_email) = LOWER(u.email)) as conversions
+    FROM users u
+    ORDER BY u.joined_at ASC
+  `;
+}
+
+// ========== SETTINGS / WAITLIST ==========
+
+export async function getSetting(key) {
+  const sql = getDb();
+
+  const result = await sql`SELECT value, updated_at FROM settings WHERE key = ${key}`;
+  return result[0] || null;
+}
+
+export async function setSetting(key, value) {
+  const sql = getDb();
+
+  const result = await sql`
+    INSERT INTO settings (key, value, updated_at)
+    VALUES (${key}, ${JSON.stringify(value)}, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    RETURNING value, updated_at
+  `;
+
+  return result[0];
+}
+
+// Add someone to the waitlist; joining twice keeps the original position.
+// Returns the row with joined=false if they were already on it.
+export async function joinWaitlist(email, { referrerCode = null, referredBy = null } = {}) {
+  const sql = getDb();
+
+  const inserted = await sql`
+    INSERT INTO waitlist (email, referrer_code, referred_by)
+    VALUES (${email}, ${referrerCode}, ${referredBy})
+    ON CONFLICT (LOWER(email)) DO NOTHING
+    RETURNING *
+  `;
+
+  if (inserted.length > 0) {
+    return { ...inserted[0], joined: true };
+  }
+
+  const existing = await sql`SELECT * FROM waitlist WHERE LOWER(email) = LOWER(${email})`;
+  return { ...existing[0], joined: false };
+}
+
+// Waitlist entries in position order, optionally filtered by status ('waiting', 'admitted')
+export async function getWaitlist(status = null) {
+  const sql = getDb();
+
+  return status
+    ? sql`SELECT * FROM waitlist WHERE status = ${status} ORDER BY position ASC`
+    : sql`SELECT * FROM waitlist ORDER BY position ASC`;
+}
+
+// Admit the next `count` waiting people, in position order. SKIP LOCKED keeps two
+// concurrent admits from claiming the same people.
+export async function admitFromWaitlist(count) {
+  const sql = getDb();
+
+  return sql`
+    UPDATE waitlist
+    SET status = 'admitted', admitted_at = NOW()
+    WHERE position IN (
+      SELECT position FROM waitlist
+      WHERE status = 'waiting'
+      ORDER BY position ASC
+      LIMIT ${count}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+}
+
+// Link an admitted waitlist entry to the invite it was sent
+export async function recordWaitlistInvite(position, inviteCode) {
+  const sql = getDb();
+
+  await sql`UPDATE waitlist SET invite_code = ${inviteCode} WHERE position = ${position}`;
+}
+
+// ========== ADMINS ==========
+
+export async function getAdmin(email) {
+  const sql = getDb();
+
+  const result = await sql`SELECT * FROM admins WHERE email = ${email.toLowerCase()}`;
+  return result[0] || null;
+}
+
+export async function listAdmins() {
+  const sql = getDb();
+
+  return sql`SELECT * FROM admins ORDER BY created_at`;
+}
+
+// Add an admin or change their role
+export async function upsertAdmin({ email, role, addedBy = null }) {
+  const sql = getDb();
+
+  const result = await sql`
+    INSERT INTO admins (email, role, added_by)
+    VALUES (${email.toLowerCase()}, ${role}, ${addedBy})
+    ON CONFLICT (email) DO UPDATE SET role = ${role}
+    RETURNING *
+  `;
+  return result[0];
+}
+
+export async function removeAdmin(email) {
+  const sql = getDb();
+
+  const result = await sql`DELETE FROM admins WHERE email = ${email.toLowerCase()} RETURNING *`;
+  return result[0] || null;
+}
+
 // Test connection
 export async function testConnection() {
   try {
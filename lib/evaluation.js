@@ -0,0 +1,238 @@
+// Evaluation parsing and validation
+// The model's JSON is checked against a schema derived from the cohort config (criterion ids,
+// taxonomy enums, score ranges). Invalid output gets one repair round-trip with the validation
+// errors; if that fails too, the turn falls back to empty scores. Every evaluation carries an
+// evaluationStatus of 'clean', 'repaired' or 'fallback' so fallback turns can be kept out of stats.
+import { emptyRubricScores, getCriterionIds } from './cohort-config.js';
+import { completeChat } from './llm.js';
+import { checkFloors } from './scoring.js';
+
+// ========== SCHEMA ==========
+
+// JSON Schema (the subset validate() understands) for one turn's evaluation
+export function buildEvaluationSchema(config) {
+  const score = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+  const criterionIds = getCriterionIds(config);
+
+  return {
+    type: 'object',
+    required: ['response', 'speechAct', 'dialogueAct', 'criteria', 'rubricScores', 'stance', 'fitScore', 'rationale'],
+    properties: {
+      response: { type: 'string', minLength: 1 },
+      speechAct: { type: 'string', enum: config.taxonomy.speechActs },
+      dialogueAct: { type: 'string', enum: config.taxonomy.dialogueActs },
+      criteria: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+      rubricScores: {
+        type: 'object',
+        required: criterionIds,
+        properties: Object.fromEntries(criterionIds.map(id => [id, score(1, 10)]))
+      },
+      stance: {
+        type: 'object',
+        required: ['orientation', 'agency', 'certainty'],
+        properties: {
+          orientation: score(1, 4),
+          agency: score(1, 4),
+          certainty: score(1, 4)
+        }
+      },
+      fitScore: score(0, 100),
+      rationale: { type: 'string' },
+      vibe: {
+        type: 'object',
+        required: ['emoji'],
+        properties: {
+          emoji: { type: 'string', minLength: 1 },
+          observation: { type: 'string' }
+        }
+      }
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Validate a value against the schema; returns a list of "path: problem" strings
+export function validate(value, schema, path = '') {
+  const at = path || '(root)';
+  const actual = typeOf(value);
+
+  // type may be a list, e.g. ['number', 'null']
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.includes(actual)) {
+    return [`${at}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum} (got ${value})`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at}: must be <= ${schema.maximum} (got ${value})`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+
+  if (actual === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value).filter(k => !(k in (schema.properties || {})))) {
+        errors.push(`${path ? `${path}.` : ''}${key}: is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ========== PARSING ==========
+
+// Pull the JSON object out of a completion - bare JSON, a ```json fence, or surrounding prose
+export function extractJson(text) {
+  const trimmed = text.trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  const candidate = fenced ? fenced[1] : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('No JSON object found in response');
+    }
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+// Parse and validate a completion; returns { parsed, errors }
+function checkCompletion(text, schema) {
+  let parsed;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    return { parsed: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+  return { parsed, errors: validate(parsed, schema) };
+}
+
+// Shape a validated evaluation for the rest of the app
+function toEvaluation(parsed, config, evaluationStatus) {
+  // rubricScores with exactly the cohort's criteria (extras dropped)
+  const rubricScores = emptyRubricScores(config);
+  for (const id of Object.keys(rubricScores)) {
+    rubricScores[id] = parsed.rubricScores[id];
+  }
+
+  return {
+    response: parsed.response,
+    speechAct: parsed.speechAct,
+    dialogueAct: parsed.dialogueAct,
+    criteria: parsed.criteria,
+    rubricScores,
+    stance: parsed.stance,
+    fitScore: parsed.fitScore,
+    rationale: parsed.rationale,
+    allFloorsPass: checkFloors(rubricScores, config),
+    vibe: parsed.vibe || null,  // { emoji, observation } if voice mode
+    evaluationStatus
+  };
+}
+
+function fallbackEvaluation(responseText, parsed, config, validationErrors) {
+  return {
+    response: typeof parsed?.response === 'string' && parsed.response ? parsed.response : responseText,
+    speechAct: 'directive',
+    dialogueAct: 'probe_deeper',
+    criteria: [],
+    rubricScores: emptyRubricScores(config),
+    stance: {
+      orientation: null,
+      agency: null,
+      certainty: null
+    },
+    fitScore: null,
+    rationale: 'Fallback evaluation',
+    allFloorsPass: false,
+    vibe: null,
+    evaluationStatus: 'fallback',
+    validationErrors
+  };
+}
+
+// ========== REPAIR ==========
+
+function buildRepairPrompt(errors, schema) {
+  return `Your previous reply did not match the required evaluation format.
+
+Validation errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the same evaluation as corrected JSON only (no markdown, no extra text), matching this JSON Schema:
+${JSON.stringify(schema)}`;
+}
+
+// ========== PUBLIC API ==========
+
+// Validate the model's completion, repairing it once via the model if needed.
+// `messages` are the ones the completion was generated from (system prompt included).
+export async function evaluateCompletion(responseText, { config, model, messages }) {
+  const schema = buildEvaluationSchema(config);
+  const first = checkCompletion(responseText, schema);
+
+  if (first.errors.length === 0) {
+    return toEvaluation(first.parsed, config, 'clean');
+  }
+
+  console.warn('[EVAL] Invalid evaluation, requesting repair:', first.errors.join('; '));
+
+  let repaired = null;
+  try {
+    const repairText = await completeChat(model, [
+      ...messages,
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: buildRepairPrompt(first.errors, schema) }
+    ], { config });
+    repaired = checkCompletion(repairText, schema);
+  } catch (error) {
+    console.warn('[EVAL] Repair request failed:', error.message);
+  }
+
+  if (repaired && repaired.errors.length === 0) {
+    // The reply text has already been shown - keep it if the original had one
+    const evaluation = toEvaluation(repaired.parsed, config, 'repaired');
+    if (typeof first.parsed?.response === 'string' && first.parsed.response) {
+      evaluation.response = first.parsed.response;
+    }
+    evaluation.validationErrors = first.errors;
+    return evaluation;
+  }
+
+  console.warn('[EVAL] Repair failed, using fallback:', (repaired?.errors || ['no repair response']).join('; '));
+  return fallbackEvaluation(responseText, first.parsed, config, first.errors);
+}
@@ -0,0 +1,34 @@
+// Conversation history
+// The server's record of a conversation is its stored turns. /api/chat rebuilds the model's
+// history from them and takes only the new user message from the client, so prior turns can't
+// be rewritten or invented from the browser. Whatever history the client sends is compared
+// against the stored one and any difference is flagged.
+
+// Stored turns (rows from getConversation) as chat messages, oldest first
+export function buildHistory(turns) {
+  const history = [];
+  for (const turn of turns) {
+    if (turn.user_message) {
+      history.push({ role: 'user', content: turn.user_message });
+    }
+    if (turn.ai_response) {
+      history.push({ role: 'assistant', content: turn.ai_response });
+    }
+  }
+  return history;
+}
+
+// Compare the client's prior messages with the stored history.
+// Returns { diverged, index } where index is the first differing message (null if none).
+export function compareHistory(serverHistory, clientHistory) {
+  const length = Math.max(serverHistory.length, clientHistory.length);
+
+  for (let index = 0; index < length; index++) {
+    const server = serverHistory[index];
+    const client = clientHistory[index];
+    if (!server || !client || server.role !== client.role || server.content.trim() !== String(client.content ?? '').trim()) {
+      return { diverged: true, index };
+    }
+  }
+  return { diverged: false, index: null };
+}
@@ -0,0 +1,68 @@
+// Invite issuing, delivery and the recruitment switch
+// Shared by api/invite.js and the admin recruitment endpoint. `store` is the storage
+// from lib/storage (getStorage), so the same code runs against Postgres and memory.
+import crypto from 'crypto';
+import { sendEmail, renderInviteEmail, appBaseUrl } from './mailer.js';
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// ========== HELPERS ==========
+
+export function isExpired(invite) {
+  return Date.now() > new Date(invite.expires_at).getTime();
+}
+
+export function buildInviteUrl(code) {
+  return `${appBaseUrl()}?invite=${code}`;
+}
+
+// Create an invite with a fresh code and the standard expiry
+export async function issueInvite(store, fields) {
+  return store.createInvite({
+    ...fields,
+    code: crypto.randomBytes(8).toString('hex'),
+    expiresAt: new Date(Date.now() + INVITE_TTL_MS)
+  });
+}
+
+// Send the invite (or reminder) email and record the outcome on the invite.
+// Returns the delivery status: 'sent' or 'failed'.
+export async function deliverInviteEmail(store, invite, { reminder = false, mock = false } = {}) {
+  const email = renderInviteEmail({
+    inviteeName: invite.invitee_name,
+    inviterName: invite.inviter_name || invite.inviter_email,
+    inviteUrl: buildInviteUrl(invite.code),
+    expiresAt: invite.expires_at,
+    reminder
+  });
+
+  try {
+    await sendEmail({ to: invite.invitee_email, ...email }, { mock });
+    await store.recordInviteEmail(invite.code, { status: 'sent', reminder });
+    return 'sent';
+  } catch (error) {
+    console.error('[INVITE] Email delivery failed:', error.message);
+    await store.recordInviteEmail(invite.code, { status: 'failed', error: error.message, reminder });
+    return 'failed';
+  }
+}
+
+// ========== RECRUITMENT STATE ==========
+
+const RECRUITMENT_KEY = 'recruitment';
+const DEFAULT_RECRUITMENT = { paused: false, message: null, updatedBy: null };
+
+// { paused, message, updatedBy, updatedAt } - recruitment is open until an admin pauses it
+export async function getRecruitmentState(store) {
+  const setting = await store.getSetting(RECRUITMENT_KEY);
+  return {
+    ...DEFAULT_RECRUITMENT,
+    ...setting?.value,
+    updatedAt: setting?.updated_at ? new Date(setting.updated_at).toISOString() : null
+  };
+}
+
+export async function setRecruitmentState(store, { paused, message = null, updatedBy = null }) {
+  await store.setSetting(RECRUITMENT_KEY, { paused: Boolean(paused), message, updatedBy });
+  return getRecruitmentState(store);
+}
@@ -0,0 +1,303 @@
+// LLM provider layer
+// Every model call (chat, transcription, speech) goes through a provider picked by a model
+// block: { provider, id, temperature, maxTokens, contextTokens?, baseURL?, apiKeyEnv?, timeoutMs?, retries?, fallbacks? }
+// (contextTokens is the model's context window, used for prompt budgeting in lib/context.js)
+// Retries, timeouts and fallback ordering are shared by all providers. MOCK_MODE swaps in
+// the local fake provider, so tests run the same code path as production.
+import OpenAI from 'openai';
+import { fakeProvider } from './fake-llm.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 1;
+const RETRY_BASE_DELAY_MS = 250;
+
+// Default model blocks for the voice endpoints (chat models come from the cohort config)
+// Transcription: Groq first (faster), OpenAI as the fallback (guaranteed word timestamps)
+export const TRANSCRIPTION_MODEL = {
+  provider: 'groq',
+  id: 'whisper-large-v3',
+  fallbacks: [{ provider: 'openai', id: 'whisper-1' }]
+};
+
+export const SPEECH_MODEL = { provider: 'openai', id: 'tts-1' }; // 'tts-1-hd' for higher quality (2x cost)
+
+// ========== PROVIDERS ==========
+
+// Env values are sometimes pasted as "KEY=value" - strip the prefix
+function readApiKey(envName) {
+  return process.env[envName]?.replace(`${envName}=`, '') || null;
+}
+
+function configError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// Any API that speaks the OpenAI wire format. Defaults can be overridden by the model block,
+// which is how the generic "openai-compatible" provider gets its base URL.
+function createOpenAICompatibleProvider(defaults = {}) {
+  function endpoint(model) {
+    const baseURL = model.baseURL || defaults.baseURL;
+    if (!baseURL) throw configError(`Model "${model.id}" needs a baseURL for provider ${model.provider}`);
+
+    const apiKeyEnv = model.apiKeyEnv || defaults.apiKeyEnv;
+    const apiKey = apiKeyEnv ? readApiKey(apiKeyEnv) : 'not-needed';
+    if (!apiKey) throw configError(`${apiKeyEnv} not configured`);
+
+    return { baseURL, apiKey };
+  }
+
+  return {
+    isConfigured(model) {
+      try {
+        endpoint(model);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async *streamChat(model, { messages, signal }) {
+      const { baseURL, apiKey } = endpoint(model);
+      // Retries and timeouts are handled by this layer, not the SDK
+      const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+
+      const stream = await client.chat.completions.create({
+        model: model.id,
+        messages,
+        temperature: model.temperature,
+        max_tokens: model.maxTokens,
+        stream: true
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+
+    // Returns the provider's verbose_json transcription
+    async transcribe(model, { audio, filename, mimeType, signal }) {
+      const { baseURL, apiKey } = endpoint(model);
+
+      const formData = new FormData();
+      formData.append('file', new Blob([audio], { type: mimeType }), filename);
+      formData.append('model', model.id);
+      formData.append('response_format', 'verbose_json');
+      if (defaults.wordTimestamps) {
+        formData.append('timestamp_granularities[]', 'word');
+      }
+
+      const response = await fetch(`${baseURL}/audio/transcriptions`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        body: formData,
+        signal
+      });
+
+      if (!response.ok) throw await httpError(model, response);
+      return response.json();
+    },
+
+    // Returns mp3 audio as a Buffer
+    async speak(model, { text, voice, signal }) {
+      const { baseURL, apiKey } = endpoint(model);
+
+      const response = await fetch(`${baseURL}/audio/speech`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: model.id,
+          input: text,
+          voice,
+          response_format: 'mp3'
+        }),
+        signal
+      });
+
+      if (!response.ok) throw await httpError(model, response);
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
+
+async function httpError(model, response) {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`${model.provider} ${model.id} failed: ${response.status} ${body}`.trim());
+  error.status = response.status;
+  return error;
+}
+
+const PROVIDERS = {
+  groq: createOpenAICompatibleProvider({ baseURL: 'https://api.groq.com/openai/v1', apiKeyEnv: 'GROQ_API_KEY' }),
+  openai: createOpenAICompatibleProvider({ baseURL: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY', wordTimestamps: true }),
+  'openai-compatible': createOpenAICompatibleProvider(),
+  fake: fakeProvider
+};
+
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw configError(`Unknown LLM provider: ${name}. Available: ${listProviders().join(', ')}`);
+  }
+  return provider;
+}
+
+// Pick the model block to use for a request - MOCK_MODE routes everything to the fake provider
+export function resolveModel(model = {}, { mock = false } = {}) {
+  return mock ? { ...model, provider: 'fake', fallbacks: [] } : model;
+}
+
+// ========== RETRY / TIMEOUT / FALLBACK ==========
+
+// The primary model followed by its fallbacks. A fallback inherits generation settings
+// (temperature, maxTokens, timeouts) but not the primary's endpoint.
+function candidateModels(model) {
+  const { fallbacks = [], baseURL, apiKeyEnv, ...shared } = model;
+  const candidates = [model, ...fallbacks.map(fallback => ({ ...shared, ...fallback }))];
+
+  // Skip fallbacks with no credentials; if nothing is usable, let the primary report why
+  const usable = candidates.filter(c => getProvider(c.provider).isConfigured(c));
+  return usable.length > 0 ? usable : [model];
+}
+
+function isRetryable(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  if (error.status === undefined) return true; // Network failure
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Aborts the call if nothing happens for timeoutMs; reset() restarts the clock (streaming)
+function createTimeout(model) {
+  const timeoutMs = model.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer = null;
+  const timeout = {
+    signal: controller.signal,
+    timedOut: false,
+    reset() {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timeout.timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    },
+    clear() {
+      clearTimeout(timer);
+    },
+    error() {
+      const error = new Error(`${model.provider} ${model.id} timed out after ${timeoutMs}ms`);
+      error.retryable = true;
+      return error;
+    }
+  };
+  timeout.reset();
+  return timeout;
+}
+
+// Yield the attempts to make, in order: each candidate, retried up to its retry count.
+// The caller reports each failure back via attempt.fail(error) to decide whether to retry.
+async function* attempts(model) {
+  for (const candidate of candidateModels(model)) {
+    const provider = getProvider(candidate.provider);
+    const retries = candidate.retries ?? DEFAULT_RETRIES;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+
+      let retry = false;
+      yield {
+        provider,
+        model: candidate,
+        fail(error) {
+          console.warn(`[LLM] ${candidate.provider} ${candidate.id} attempt ${attempt + 1} failed:`, error.message);
+          retry = isRetryable(error);
+        }
+      };
+      if (!retry) break;
+    }
+  }
+}
+
+async function callWithFallbacks(model, call) {
+  let lastError = null;
+
+  for await (const attempt of attempts(model)) {
+    const timeout = createTimeout(attempt.model);
+    try {
+      return await call(attempt.provider, attempt.model, timeout.signal);
+    } catch (error) {
+      lastError = timeout.timedOut ? timeout.error() : error;
+      attempt.fail(lastError);
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  throw lastError;
+}
+
+// ========== PUBLIC API ==========
+
+// Stream chat completion text deltas. Retries and fallbacks only apply until the first
+// delta arrives - after that the caller has already forwarded text, so errors propagate.
+// `config` is the cohort config and `task` the kind of call ('chat' or 'memo'); only the
+// fake provider reads them (to shape its reply).
+export async function* streamChat(model, messages, { config = null, task = 'chat' } = {}) {
+  let lastError = null;
+
+  for await (const attempt of attempts(model)) {
+    const timeout = createTimeout(attempt.model);
+    let started = false;
+    try {
+      const stream = attempt.provider.streamChat(attempt.model, { messages, config, task, signal: timeout.signal });
+      for await (const delta of stream) {
+        started = true;
+        timeout.reset();
+        yield delta;
+      }
+      return;
+    } catch (error) {
+      lastError = timeout.timedOut ? timeout.error() : error;
+      if (started) throw lastError;
+      attempt.fail(lastError);
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  throw lastError;
+}
+
+// Full completion text, for calls that don't stream to a client
+export async function completeChat(model, messages, options = {}) {
+  let text = '';
+  for await (const delta of streamChat(model, messages, options)) {
+    text += delta;
+  }
+  return text;
+}
+
+// Transcribe audio; resolves to { provider, result } where result is verbose_json
+export async function transcribe(model, { audio, filename, mimeType }) {
+  return callWithFallbacks(model, async (provider, candidate, signal) => ({
+    provider: candidate.provider,
+    result: await provider.transcribe(candidate, { audio, filename, mimeType, signal })
+  }));
+}
+
+// Synthesize speech; resolves to an mp3 Buffer
+export async function synthesizeSpeech(model, { text, voice }) {
+  return callWithFallbacks(model, (provider, candidate, signal) =>
+    provider.speak(candidate, { text, voice, signal }));
+}
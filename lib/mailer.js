@@ -0,0 +1,129 @@
+// Outgoing email
+// sendEmail() goes through Resend in production. The capture transport keeps messages in
+// memory instead (EMAIL_TRANSPORT=capture, or mock mode) so tests can assert on what was sent.
+import { Resend } from 'resend';
+
+const DEFAULT_FROM = 'Educator Builder <noreply@jimr.fyi>';
+
+// Captured messages (shared across requests in the same process)
+const captured = globalThis.__capturedEmails || (globalThis.__capturedEmails = []);
+
+// ========== TRANSPORTS ==========
+
+const TRANSPORTS = {
+  async resend(message) {
+    const resend = new Resend(process.env.RESEND_API_KEY);
+    const { data, error } = await resend.emails.send(message);
+    if (error) {
+      throw new Error(`Resend failed: ${error.message || error.name}`);
+    }
+    return { id: data?.id || null };
+  },
+
+  async capture(message) {
+    const id = `captured-${captured.length + 1}`;
+    captured.push({ id, ...message, sentAt: new Date().toISOString() });
+    console.log(`[MAIL] Captured "${message.subject}" to ${message.to}`);
+    return { id };
+  }
+};
+
+function resolveTransport(mock) {
+  if (mock) return 'capture';
+  const name = process.env.EMAIL_TRANSPORT || 'resend';
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${name}. Available: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return name;
+}
+
+// ========== TEMPLATES ==========
+
+// Public base URL for links in emails
+export function appBaseUrl() {
+  return process.env.VERCEL_URL
+    ? `https://${process.env.VERCEL_URL}`
+    : 'http://localhost:3000';
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Invite email (docs/modality-and-referrals.md, "Email Invite").
+// A reminder is the same invite with a nudge and the remaining time.
+export function renderInviteEmail({ inviteeName, inviterName, inviteUrl, expiresAt, reminder = false }) {
+  const greeting = inviteeName ? `Hi ${inviteeName},` : 'Hi,';
+  const daysLeft = Math.max(1, Math.ceil((new Date(expiresAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+  const expiry = reminder
+    ? `This link expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.`
+    : 'This link expires in 7 days.';
+  const intro = reminder
+    ? `Just a reminder: ${inviterName} thinks you'd be a great fit for Educator Builder.`
+    : `${inviterName} thinks you'd be a great fit for Educator Builder.`;
+  const body = 'We\'re looking for people who think deeply about how they work and learn.';
+
+  return {
+    subject: reminder ? 'Reminder: your invite to Educator Builder' : 'You\'re invited to Educator Builder',
+    text: `${greeting}\n\n${intro}\n\n${body}\n\nAccept invite: ${inviteUrl}\n\n${expiry}\n`,
+    html: `
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <p>${escapeHtml(body)}</p>
+      <p><a href="${escapeHtml(inviteUrl)}">Accept invite</a></p>
+      <p style="color: #64748b; font-size: 12px;">${escapeHtml(expiry)}</p>
+    `
+  };
+}
+
+// Magic-link emails, by token purpose (lib/tokens.js)
+const MAGIC_LINK_COPY = {
+  link: {
+    subject: 'Confirm your email for Educator Builder',
+    intro: 'Confirm this is your email so we can save your Educator Builder conversation to it.',
+    action: 'Confirm email'
+  },
+  resume: {
+    subject: 'Continue your Educator Builder conversation',
+    intro: 'Use this link to pick up your Educator Builder conversation where you left off.',
+    action: 'Continue conversation'
+  },
+  admin: {
+    subject: 'Sign in to Educator Builder admin',
+    intro: 'Use this link to sign in to the Educator Builder admin tools.',
+    action: 'Sign in'
+  }
+};
+
+export function renderMagicLinkEmail({ url, purpose }) {
+  const { subject, intro, action } = MAGIC_LINK_COPY[purpose] || MAGIC_LINK_COPY.link;
+  const expiry = 'This link works once and expires in 15 minutes. If you didn\'t ask for it, ignore this email.';
+
+  return {
+    subject,
+    text: `${intro}\n\n${action}: ${url}\n\n${expiry}\n`,
+    html: `
+      <p>${escapeHtml(intro)}</p>
+      <p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>
+      <p style="color: #64748b; font-size: 12px;">${escapeHtml(expiry)}</p>
+    `
+  };
+}
+
+// ========== PUBLIC API ==========
+
+// Send one email; resolves to { transport, id } or throws
+export async function sendEmail({ to, subject, html, text, from = DEFAULT_FROM }, { mock = false } = {}) {
+  const transport = resolveTransport(mock);
+  const { id } = await TRANSPORTS[transport]({ from, to, subject, html, text });
+  return { transport, id };
+}
+
+// Messages held by the capture transport, newest last (optionally only those to one address)
+export function getCapturedEmails(to = null) {
+  return to ? captured.filter(m => m.to.toLowerCase() === to.toLowerCase()) : [...captured];
+}
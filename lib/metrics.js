@@ -0,0 +1,264 @@
+// Engagement metrics (see docs/engagement-metrics.md)
+// Pure functions over stored turns (rows from the turns table): per-conversation metrics
+// and a user-level profile across every conversation that shares an email.
+
+// ========== HELPERS ==========
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Population variance
+function variance(values) {
+  const m = mean(values);
+  return m === null ? null : mean(values.map(v => (v - m) ** 2));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(value, digits = 1) {
+  return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+function wordCount(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Turns whose evaluation carries real scores (fallback evaluations are skipped)
+function evaluatedTurns(turns) {
+  return turns.filter(t => t.evaluation
+    && t.evaluation.evaluationStatus !== 'fallback'
+    && t.evaluation.rationale !== 'Fallback evaluation');
+}
+
+// ========== PACE ==========
+
+// Seconds between consecutive stored turns - the time the person took to read the
+// reply and write their next message
+function responseTimes(turns) {
+  const times = [];
+  for (let i = 1; i < turns.length; i++) {
+    const seconds = (new Date(turns[i].created_at) - new Date(turns[i - 1].created_at)) / 1000;
+    if (seconds > 0) times.push(seconds);
+  }
+  return times;
+}
+
+function categorizeResponseTime(seconds) {
+  if (seconds === null) return null;
+  if (seconds < 30) return 'low';
+  if (seconds > 120) return 'high';
+  return 'medium';
+}
+
+function categorizeWpm(wpm) {
+  if (wpm === null) return null;
+  if (wpm < 50) return 'low';
+  if (wpm > 100) return 'high';
+  return 'medium';
+}
+
+export function inferThinkingStyle(responseTimeCategory, wpmCategory) {
+  if (!responseTimeCategory || !wpmCategory) return null;
+  if (responseTimeCategory === 'low' && wpmCategory === 'high') return 'verbal_thinker';
+  if (responseTimeCategory === 'high' && wpmCategory === 'low') return 'deliberate_writer';
+  if (wpmCategory === 'high') return 'fast_communicator';
+  if (responseTimeCategory === 'high') return 'deep_reflective_thinker';
+  return 'balanced_thinker';
+}
+
+function computePace(turns) {
+  const times = responseTimes(turns);
+  const medianResponseTime = median(times);
+
+  // Total user words over total conversation time
+  const totalSeconds = times.reduce((a, b) => a + b, 0);
+  const totalWords = turns.reduce((sum, t) => sum + wordCount(t.user_message), 0);
+  const wpm = totalSeconds > 0 ? totalWords / (totalSeconds / 60) : null;
+
+  // Spoken pace, when turns came in by voice
+  const voiceWpm = mean(turns.map(t => t.voice_signals?.wpm).filter(v => typeof v === 'number' && v > 0));
+
+  const responseTimeCategory = categorizeResponseTime(medianResponseTime);
+  const wpmCategory = categorizeWpm(wpm);
+
+  return {
+    medianResponseTimeSec: round(medianResponseTime),
+    responseTimeCategory,
+    wpm: round(wpm),
+    wpmCategory,
+    voiceWpm: round(voiceWpm),
+    thinkingStyle: inferThinkingStyle(responseTimeCategory, wpmCategory)
+  };
+}
+
+// ========== ATTENTION / AUTHENTICITY / BREADTH / ARC ==========
+
+const PLATEAU_WINDOW = 3;
+const PLATEAU_VARIANCE = 25;
+
+// First turn of the first 3-turn window whose fit scores vary by less than 25
+function computePlateauTurn(scoredTurns) {
+  for (let i = 0; i + PLATEAU_WINDOW <= scoredTurns.length; i++) {
+    const window = scoredTurns.slice(i, i + PLATEAU_WINDOW);
+    if (variance(window.map(t => t.fitScore)) < PLATEAU_VARIANCE) {
+      return window[0].turnNumber;
+    }
+  }
+  return null;
+}
+
+function computeAuthenticity(turns) {
+  const scores = turns.map(t => t.evaluation.rubricScores?.authenticity).filter(s => typeof s === 'number');
+  const authenticityVariance = variance(scores);
+
+  let consistency = null;
+  if (authenticityVariance !== null) {
+    consistency = authenticityVariance < 0.5 ? 'consistent' : authenticityVariance > 2 ? 'variable' : 'moderate';
+  }
+
+  return {
+    mean: round(mean(scores)),
+    variance: round(authenticityVariance, 2),
+    consistency
+  };
+}
+
+function computeBreadth(turns) {
+  const dialogueActs = [...new Set(turns.map(t => t.evaluation.dialogueAct).filter(Boolean))];
+  const rubricDimensions = [...new Set(turns.flatMap(t => t.evaluation.criteria || []).map(slug))];
+
+  return {
+    uniqueDialogueActs: dialogueActs.length,
+    dialogueActs,
+    uniqueRubricDimensions: rubricDimensions.length,
+    rubricDimensions
+  };
+}
+
+const ARC_FLAT_RANGE = 5;
+
+// Mean fit of the first third vs the last third of the conversation
+function computeFitArc(scoredTurns) {
+  if (scoredTurns.length === 0) {
+    return { earlyFit: null, lateFit: null, progression: null, direction: null };
+  }
+
+  const third = Math.max(1, Math.ceil(scoredTurns.length / 3));
+  const earlyFit = mean(scoredTurns.slice(0, third).map(t => t.fitScore));
+  const lateFit = mean(scoredTurns.slice(-third).map(t => t.fitScore));
+  const progression = lateFit - earlyFit;
+
+  let direction = 'flat';
+  if (progression > ARC_FLAT_RANGE) direction = 'improving';
+  if (progression < -ARC_FLAT_RANGE) direction = 'declining';
+
+  return {
+    earlyFit: round(earlyFit),
+    lateFit: round(lateFit),
+    progression: round(progression),
+    direction
+  };
+}
+
+// ========== PUBLIC API ==========
+
+// Metrics for one conversation (its turns, in turn order)
+export function computeConversationMetrics(turns) {
+  const evaluated = evaluatedTurns(turns);
+  const scoredTurns = evaluated
+    .filter(t => typeof t.evaluation.fitScore === 'number')
+    .map(t => ({ turnNumber: t.turn_number, fitScore: t.evaluation.fitScore }));
+
+  return {
+    sessionId: turns[0]?.session_id || null,
+    cohort: turns.find(t => t.cohort)?.cohort || null,
+    turnCount: turns.length,
+    startedAt: turns[0]?.created_at || null,
+    lastActivity: turns[turns.length - 1]?.created_at || null,
+    pace: computePace(turns),
+    plateauTurn: computePlateauTurn(scoredTurns),
+    authenticity: computeAuthenticity(evaluated),
+    breadth: computeBreadth(evaluated),
+    fitArc: computeFitArc(scoredTurns)
+  };
+}
+
+function engagementLevel(totalTurns) {
+  if (totalTurns < 10) return 'testing_the_waters';
+  if (totalTurns < 30) return 'serious_evaluation';
+  if (totalTurns < 100) return 'deep_exploration';
+  return 'member_level';
+}
+
+function mostCommon(values) {
+  const counts = {};
+  for (const v of values.filter(Boolean)) counts[v] = (counts[v] || 0) + 1;
+  const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return sorted[0]?.[0] || null;
+}
+
+// Human-readable headline, e.g. "High Engagement + Authentic + Improving"
+function profileHeadline(totalTurns, authenticity, fitProgression) {
+  const engagement = totalTurns >= 30 ? 'High Engagement' : totalTurns >= 10 ? 'Moderate Engagement' : 'Early Engagement';
+
+  let authentic = 'Authenticity Unknown';
+  if (authenticity.mean !== null) {
+    if (authenticity.consistency === 'variable') authentic = 'Variable Authenticity';
+    else authentic = authenticity.mean >= 7 ? 'Authentic' : 'Low Authenticity';
+  }
+
+  let direction = 'Steady';
+  if (fitProgression > ARC_FLAT_RANGE) direction = 'Improving';
+  if (fitProgression < -ARC_FLAT_RANGE) direction = 'Declining';
+
+  return `${engagement} + ${authentic} + ${direction}`;
+}
+
+// Profile across conversations - takes an array of turn arrays, one per session
+export function computeUserProfile(conversations) {
+  const nonEmpty = conversations.filter(turns => turns.length > 0);
+  const perConversation = nonEmpty
+    .map(computeConversationMetrics)
+    .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+  const totalTurns = perConversation.reduce((sum, c) => sum + c.turnCount, 0);
+
+  // Pace consistency: spread of median response times relative to their mean
+  const paces = perConversation.map(c => c.pace.medianResponseTimeSec).filter(v => v !== null);
+  let paceConsistency = null;
+  if (paces.length >= 2) {
+    const spread = Math.sqrt(variance(paces)) / mean(paces);
+    paceConsistency = spread < 0.5 ? 'stable' : 'variable';
+  }
+
+  const authenticity = computeAuthenticity(evaluatedTurns(nonEmpty.flat()));
+
+  // Fit progression across conversations: early fit of the first vs late fit of the last
+  const first = perConversation[0]?.fitArc;
+  const last = perConversation[perConversation.length - 1]?.fitArc;
+  const fitProgression = first?.earlyFit != null && last?.lateFit != null ? round(last.lateFit - first.earlyFit) : null;
+
+  return {
+    conversations: perConversation.length,
+    totalTurns,
+    engagementLevel: engagementLevel(totalTurns),
+    avgTurnsPerConversation: round(perConversation.length > 0 ? totalTurns / perConversation.length : null),
+    thinkingStyle: mostCommon(perConversation.map(c => c.pace.thinkingStyle)),
+    paceConsistency,
+    authenticity,
+    plateauTurns: perConversation.map(c => c.plateauTurn),
+    fitProgression,
+    headline: profileHeadline(totalTurns, authenticity, fitProgression),
+    perConversation
+  };
+}
@@ -0,0 +1,130 @@
+// Schema migrations
+// Numbered files in migrations/ (NNNN_name.js) export a `description` and `up(sql)`, which returns
+// the statements to run. Migrations are up-only and applied in version order. Each one runs in a
+// single transaction together with its schema_migrations row, so a failed migration leaves nothing
+// behind and two runners can't both apply the same version.
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getDb } from './db.js';
+
+const MIGRATIONS_DIR = path.join(process.cwd(), 'migrations');
+const FILE_PATTERN = /^(\d{4})_[a-z0-9_-]+\.js$/;
+
+// ========== FILES ==========
+
+// Migration files in version order: [{ version, name, file }]
+export function listMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => ({
+      version: parseInt(file.match(FILE_PATTERN)[1], 10),
+      name: file.slice(0, -'.js'.length),
+      file
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  // Versions run 1, 2, 3... - a gap or duplicate means a misnamed file
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Migration numbering broken at ${migration.file}: expected version ${i + 1}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function loadMigration(migration) {
+  const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, migration.file)).href);
+  if (typeof module.up !== 'function') {
+    throw new Error(`Migration ${migration.file} has no up() export`);
+  }
+  return { ...migration, description: module.description || '', up: module.up };
+}
+
+// ========== DATABASE ==========
+
+async function ensureMigrationsTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW(),
+      baselined BOOLEAN NOT NULL DEFAULT false
+    )
+  `;
+}
+
+// { current, latest, applied, pending } - current is the highest applied version (0 for none)
+export async function getMigrationStatus() {
+  const sql = getDb();
+  await ensureMigrationsTable(sql);
+
+  const rows = await sql`SELECT version, name, applied_at, baselined FROM schema_migrations ORDER BY version`;
+  const appliedVersions = new Set(rows.map(r => r.version));
+  const migrations = listMigrations();
+
+  return {
+    current: rows.length > 0 ? rows[rows.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied: rows.map(r => ({
+      version: r.version,
+      name: r.name,
+      appliedAt: new Date(r.applied_at).toISOString(),
+      baselined: r.baselined
+    })),
+    pending: migrations
+      .filter(m => !appliedVersions.has(m.version))
+      .map(({ version, name }) => ({ version, name }))
+  };
+}
+
+// Apply pending migrations in order, optionally only up to version `to`.
+// Stops at the first failure; migrations applied before it stay applied.
+export async function runMigrations({ to = null } = {}) {
+  const sql = getDb();
+  const { pending } = await getMigrationStatus();
+  const migrations = listMigrations();
+  const applied = [];
+
+  for (const { version } of pending) {
+    if (to !== null && version > to) break;
+
+    const migration = await loadMigration(migrations[version - 1]);
+    try {
+      await sql.transaction([
+        ...migration.up(sql),
+        sql`INSERT INTO schema_migrations (version, name) VALUES (${version}, ${migration.name})`
+      ]);
+    } catch (error) {
+      const failure = new Error(`Migration ${migration.name} failed: ${error.message}`);
+      failure.applied = applied;
+      throw failure;
+    }
+
+    console.log(`[MIGRATE] Applied ${migration.name}`);
+    applied.push({ version, name: migration.name, description: migration.description });
+  }
+
+  const { current } = await getMigrationStatus();
+  return { applied, current };
+}
+
+// Record migrations up to `version` as applied without running them, for a database whose
+// schema is already at that version (set up by hand or by the old initSchema)
+export async function baselineMigrations(version) {
+  const sql = getDb();
+  const { pending } = await getMigrationStatus();
+  const baselined = pending.filter(m => m.version <= version);
+
+  for (const { version: v, name } of baselined) {
+    await sql`
+      INSERT INTO schema_migrations (version, name, baselined)
+      VALUES (${v}, ${name}, true)
+      ON CONFLICT (version) DO NOTHING
+    `;
+    console.log(`[MIGRATE] Baselined ${name}`);
+  }
+
+  return { baselined };
+}
@@ -0,0 +1,223 @@
+// Referral network analytics (docs/modality-and-referrals.md, "Network Growth")
+// Pure functions over invite and user rows: the referral tree as nodes and edges, generations
+// counted from founders, conversion by generation, time to conversion, and invite influence.
+// Founders are people who sent invites without being invited; waitlist admissions are not
+// referrals, so people admitted that way start their own tree like a founder.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time-to-conversion buckets, in days (upper bound exclusive)
+const CONVERSION_BUCKETS = [
+  { label: '<1d', max: 1 },
+  { label: '1-3d', max: 3 },
+  { label: '3-7d', max: 7 },
+  { label: '7d+', max: Infinity }
+];
+
+const key = (email) => email?.toLowerCase() || null;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(value, digits = 2) {
+  return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+// Assign generations breadth-first from the roots - each person is visited once, so this
+// is linear in the size of the network and safe against cycles in bad data
+function assignGenerations(nodes, children) {
+  const roots = [...nodes.values()].filter(n => !n.invitedBy || !nodes.has(n.invitedBy));
+  const queue = roots.map(n => ({ node: n, generation: 0 }));
+
+  for (let i = 0; i < queue.length; i++) {
+    const { node, generation } = queue[i];
+    if (node.generation !== null) continue;
+    node.generation = generation;
+    for (const child of children.get(node.id) || []) {
+      queue.push({ node: nodes.get(child), generation: generation + 1 });
+    }
+  }
+
+  // Anything left is only reachable through a cycle - treat it as a root
+  for (const node of nodes.values()) {
+    if (node.generation === null) node.generation = 0;
+  }
+}
+
+// Build the referral network.
+//   users    - rows from the users table (email, invited_by, joined_at)
+//   invites  - rows from the invites table
+//   outcomes - optional Map of lowercased email → { fitScore, successProbability }
+export function buildReferralNetwork({ users, invites, outcomes = new Map() }) {
+  const nodes = new Map();
+
+  function addNode(email) {
+    const id = key(email);
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        email,
+        invitedBy: null,
+        joinedAt: null,
+        founder: false,
+        admittedFromWaitlist: false,
+        generation: null,
+        invitesSent: 0,
+        conversions: 0,
+        fitScore: outcomes.get(id)?.fitScore ?? null,
+        successProbability: outcomes.get(id)?.successProbability ?? null
+      });
+    }
+    return nodes.get(id);
+  }
+
+  // Referral edges come from converted invites (they carry both timestamps)
+  const referralInvites = invites.filter(i => i.source !== 'waitlist');
+  const waitlistAdmits = new Set(invites
+    .filter(i => i.source === 'waitlist' && i.status === 'converted')
+    .map(i => key(i.converted_email)));
+
+  for (const user of users) {
+    const node = addNode(user.email);
+    node.joinedAt = user.joined_at ? new Date(user.joined_at).toISOString() : null;
+    if (waitlistAdmits.has(node.id)) {
+      node.admittedFromWaitlist = true;
+    } else {
+      node.invitedBy = user.invited_by ? key(user.invited_by) : null;
+    }
+  }
+
+  const edges = [];
+  for (const invite of referralInvites) {
+    const inviter = addNode(invite.inviter_email);
+    inviter.invitesSent += 1;
+
+    if (invite.status !== 'converted' || !invite.converted_email) continue;
+
+    inviter.conversions += 1;
+    const invitee = addNode(invite.converted_email);
+    invitee.invitedBy = invitee.invitedBy || inviter.id;
+
+    const daysToConvert = invite.converted_at
+      ? (new Date(invite.converted_at) - new Date(invite.created_at)) / DAY_MS
+      : null;
+    edges.push({
+      from: inviter.id,
+      to: invitee.id,
+      inviteCode: invite.code,
+      convertedAt: invite.converted_at ? new Date(invite.converted_at).toISOString() : null,
+      daysToConvert: round(daysToConvert)
+    });
+  }
+
+  const children = new Map();
+  for (const node of nodes.values()) {
+    node.founder = !node.invitedBy && !node.admittedFromWaitlist && node.invitesSent > 0;
+    if (node.invitedBy && nodes.has(node.invitedBy)) {
+      if (!children.has(node.invitedBy)) children.set(node.invitedBy, []);
+      children.get(node.invitedBy).push(node.id);
+    }
+  }
+
+  assignGenerations(nodes, children);
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+// Invites sent and converted by each generation of inviters
+function conversionByGeneration(nodes) {
+  const byGeneration = new Map();
+  for (const node of nodes) {
+    const g = byGeneration.get(node.generation) || { generation: node.generation, people: 0, invitesSent: 0, conversions: 0 };
+    g.people += 1;
+    g.invitesSent += node.invitesSent;
+    g.conversions += node.conversions;
+    byGeneration.set(node.generation, g);
+  }
+
+  return [...byGeneration.values()]
+    .sort((a, b) => a.generation - b.generation)
+    .map(g => ({
+      ...g,
+      conversionRate: g.invitesSent > 0 ? round(g.conversions / g.invitesSent, 3) : null
+    }));
+}
+
+function timeToConversion(edges) {
+  const days = edges.map(e => e.daysToConvert).filter(d => d !== null);
+
+  return {
+    conversions: days.length,
+    medianDays: round(median(days)),
+    meanDays: round(mean(days)),
+    distribution: CONVERSION_BUCKETS.map((bucket, i) => {
+      const min = i === 0 ? 0 : CONVERSION_BUCKETS[i - 1].max;
+      return { bucket: bucket.label, count: days.filter(d => d >= min && d < bucket.max).length };
+    })
+  };
+}
+
+// Invite influence: average outcome of the people each referrer brought in
+function referrerStats(nodes, edges) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const invitees = new Map();
+  for (const edge of edges) {
+    if (!invitees.has(edge.from)) invitees.set(edge.from, []);
+    invitees.get(edge.from).push(byId.get(edge.to));
+  }
+
+  return nodes
+    .filter(n => n.invitesSent > 0)
+    .map(n => {
+      const brought = invitees.get(n.id) || [];
+      const fits = brought.map(i => i.fitScore).filter(v => v !== null);
+      const successes = brought.map(i => i.successProbability).filter(v => v !== null);
+      return {
+        email: n.email,
+        generation: n.generation,
+        invitesSent: n.invitesSent,
+        conversions: n.conversions,
+        conversionRate: round(n.conversions / n.invitesSent, 3),
+        inviteInfluence: {
+          avgFitScore: round(mean(fits), 1),
+          avgSuccessProbability: round(mean(successes), 3),
+          measuredInvitees: Math.max(fits.length, successes.length)
+        }
+      };
+    })
+    .sort((a, b) => b.conversions - a.conversions || b.invitesSent - a.invitesSent);
+}
+
+// Full analytics for the admin network view
+export function analyzeNetwork({ users, invites, outcomes, topReferrers = 10 }) {
+  const { nodes, edges } = buildReferralNetwork({ users, invites, outcomes });
+  const referrers = referrerStats(nodes, edges);
+  const totalInvites = nodes.reduce((sum, n) => sum + n.invitesSent, 0);
+
+  return {
+    summary: {
+      people: nodes.length,
+      founders: nodes.filter(n => n.founder).length,
+      totalInvitesSent: totalInvites,
+      totalConversions: edges.length,
+      conversionRate: totalInvites > 0 ? round(edges.length / totalInvites, 3) : null,
+      maxGeneration: Math.max(0, ...nodes.map(n => n.generation)),
+      // Average converted invites per person who has sent any
+      viralCoefficient: referrers.length > 0 ? round(edges.length / referrers.length) : 0
+    },
+    conversionByGeneration: conversionByGeneration(nodes),
+    timeToConversion: timeToConversion(edges),
+    topReferrers: referrers.slice(0, topReferrers),
+    referrers,
+    nodes,
+    edges
+  };
+}
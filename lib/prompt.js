@@ -0,0 +1,275 @@
+// System prompt builder - everything cohort-specific comes from the loaded llm-config
+// (criteria, score guides, gates, engagement patterns, taxonomy). The surrounding text is
+// shared by every cohort.
+
+// Definitions for the shared action taxonomy (see docs/action-taxonomy.md)
+// A cohort can add or override entries via taxonomy.definitions in its config
+const TAXONOMY_DEFINITIONS = {
+  assertive: 'stating facts',
+  directive: 'requesting action',
+  expressive: 'emotional',
+  commissive: 'making promise',
+  declarative: 'changing state',
+  open_with_question: 'starting',
+  probe_deeper: 'exploring further',
+  ask_for_concrete: 'requesting examples',
+  validate_genuine: 'confirming authenticity',
+  redirect_from_surface: 'moving past abstractions',
+  reflect_understanding: 'mirroring',
+  affirm_commitment: 'supporting decision'
+};
+
+// Human labels for engagement pattern keys that read poorly when humanized
+const PATTERN_LABELS = {
+  jargonNoExamples: 'Jargon + no concrete examples',
+  deflectsWhenProbed: 'Jargon + deflects when asked for examples',
+  simpleLanguageRealExamples: 'Simple language + real examples',
+  admitsUncertainty: 'Admits "I don\'t know" or shows uncertainty',
+  highAgency: 'Higher agency (courage-as-doubt)',
+  lowAgency: 'Lower agency (false certainty)'
+};
+
+function humanize(key) {
+  if (PATTERN_LABELS[key]) return PATTERN_LABELS[key];
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Score guide ranges in ascending order ("10" is an integer-like key, so
+// object iteration would otherwise put it first)
+function scoreGuideEntries(scoreGuide = {}) {
+  return Object.entries(scoreGuide).sort(([a], [b]) => parseInt(a) - parseInt(b));
+}
+
+function bulletList(items) {
+  return items.map(item => `- ${item}`).join('\n');
+}
+
+// ========== ENGAGEMENT PATTERN RENDERERS ==========
+// Keyed by engagementPatterns key. Unknown keys fall back to renderGenericPattern,
+// so a new cohort can introduce its own patterns without code changes.
+
+const PATTERN_RENDERERS = {
+  logistics: (pattern) => `**CRITICAL - Handling logistics questions (pay, hours, benefits, location):**
+Always use the ${pattern.pattern} pattern: ${pattern.description}.
+Use the position details below for the answer.
+
+The probe reveals whether they're thinking systemically or just job shopping. A pure logistics question with no curiosity = low fit. Logistics question + genuine exploration of why = potential depth.`,
+
+  jargonDetection: (pattern) => `**CRITICAL - Detecting Performance vs. Authenticity:**
+
+Watch for abstract language that SOUNDS philosophical but lacks substance:
+- Phrases like: ${pattern.triggers.map(t => `"${t}"`).join(', ')}
+- Sentence structures: "I believe that authentic X requires Y" without saying what that actually means
+- Deflection patterns: answering questions with more abstractions instead of examples
+
+**When you detect this pattern:**
+1. Use dialogueAct: "${pattern.response}" - ask for a specific example from their life
+2. If they respond with MORE jargon instead of concrete examples, score authenticity low (not neutral)
+3. If this happens across multiple turns, authenticity should DROP further (not stay neutral)
+${pattern.scoring ? `
+**Scoring guidance for authenticity:**
+${bulletList(Object.entries(pattern.scoring).map(([key, value]) => `${humanize(key)} = ${value}`))}
+` : ''}
+**The key test:** When you ask "Can you give me a concrete example?", do they:
+- Provide a real story from their life? → Authentic
+- Respond with more abstract language? → Performing
+- Deflect to a different topic? → Hiding something`,
+
+  authenticitySignals: (pattern) => `**Authenticity signals:**
+Genuine:
+${bulletList(pattern.positive || [])}
+Performing:
+${bulletList(pattern.negative || [])}`,
+
+  experimentationEvidence: (pattern) => `**CRITICAL - ${pattern.doing}:**
+Someone who says "I want to build community" is talk only. Someone who says "I built X, learned Y, failed at Z, now I'm here because..." has evidence plus learning, and should score higher.
+
+When you hear evidence of something BUILT or TRIED, probe deeper:
+${bulletList((pattern.probes || []).map(p => `"${p}"`))}
+
+The answers reveal whether they're a builder who learns, or just collecting experiences to talk about.`,
+
+  courageAsDoubt: (pattern) => `**Courage-as-doubt:** ${pattern.description}
+${Object.entries(pattern.signals || {}).map(([key, signals]) =>
+    `${humanize(key)}:\n${bulletList(signals.map(s => `"${s}"`))}`).join('\n')}`
+};
+
+function renderGenericPattern(key, pattern) {
+  const lines = [`**${humanize(key)}:**${pattern.description ? ` ${pattern.description}` : ''}`];
+  if (pattern.pattern) lines.push(`Pattern: ${pattern.pattern}`);
+  if (Array.isArray(pattern.probes) && pattern.probes.length > 0) {
+    lines.push('Probes to draw on:');
+    lines.push(bulletList(pattern.probes.map(p => `"${p}"`)));
+  }
+  return lines.join('\n');
+}
+
+function buildEngagementPatterns(config) {
+  return Object.entries(config.engagementPatterns || {})
+    .map(([key, pattern]) => (PATTERN_RENDERERS[key] || ((p) => renderGenericPattern(key, p)))(pattern))
+    .join('\n\n');
+}
+
+// ========== RUBRIC SECTIONS ==========
+
+function buildListenFor(config) {
+  return bulletList(config.rubric.criteria.map(c => `${c.aspect}: ${c.description}`));
+}
+
+function buildGates(config) {
+  const criteriaById = Object.fromEntries(config.rubric.criteria.map(c => [c.id, c]));
+
+  return (config.gates || []).map(gate => {
+    const criterion = criteriaById[gate.criterion];
+    const scoring = criterion?.scoreGuide
+      ? `\n**Scoring (${gate.criterion}, floor ${criterion.floor}):**\n${bulletList(scoreGuideEntries(criterion.scoreGuide).map(([range, guide]) => `${range}: ${guide}`))}\n`
+      : '';
+
+    return `**${gate.title} (Critical):**
+${gate.context}
+
+**Listen for:**
+${bulletList(gate.listenFor || [])}
+
+${gate.redFlag || ''}
+${scoring}
+${gate.note ? `Note: ${gate.note}` : ''}`;
+  }).join('\n\n');
+}
+
+function buildScoringGuides(config) {
+  return config.rubric.criteria.map(c => {
+    const guide = scoreGuideEntries(c.scoreGuide)
+      .map(([range, text]) => `  - ${range}: ${text}`)
+      .join('\n');
+    return `**${c.aspect}** (\`${c.id}\`, weight ${c.weight}, floor ${c.floor}): ${c.description}\n${guide}`;
+  }).join('\n\n');
+}
+
+function buildDefinitions(config, acts) {
+  const definitions = { ...TAXONOMY_DEFINITIONS, ...(config.taxonomy?.definitions || {}) };
+  return acts.map(act => definitions[act] ? `${act} (${definitions[act]})` : act).join(', ');
+}
+
+// ========== VOICE CONTEXT ==========
+
+function buildVoiceContext(voiceSignals) {
+  const { wpm, paceCategory, flowCategory, clarity, speechPattern, pauses, hesitations } = voiceSignals;
+
+  return `
+===== VOICE SIGNALS FOR THIS TURN =====
+The person is speaking (not typing). Here's how they sound:
+- Pace: ${wpm || '--'} WPM (${paceCategory || 'unknown'})
+- Flow: ${flowCategory || 'unknown'} (${pauses?.count || 0} pauses, longest ${pauses?.maxSec || 0}s)
+- Audio clarity: ${clarity || 'unknown'}
+- Filler words: ${hesitations?.count || 0} (${hesitations?.density || 0}% density)
+${speechPattern && speechPattern !== 'normal' ? `- Speech pattern: ${speechPattern}` : ''}
+
+Based on these signals, sense their speaking VIBE (not content quality - how they're communicating).
+Pick an emoji that captures their energy: 🔥 💭 🌊 ⚡ 🤔 😌 💪 🌱 ✨ 🎯
+- 🔥 passionate, energized | 💭 thoughtful, reflective | 🌊 calm, steady
+- ⚡ quick, sharp | 🤔 working through something | 😌 relaxed, at ease
+- 💪 determined, focused | 🌱 tentative but growing | ✨ expressive | 🎯 precise
+
+Adapt your tone to match how they're communicating.
+=====
+
+`;
+}
+
+// ========== SYSTEM PROMPT ==========
+
+export function buildSystemPrompt(config, voiceSignals = null, philosophyContent = '', positionContent = '') {
+  const hasVoice = voiceSignals && (voiceSignals.paceCategory || voiceSignals.clarity || voiceSignals.wpm);
+  const voiceContext = hasVoice ? buildVoiceContext(voiceSignals) : '';
+
+  const criterionIds = config.rubric.criteria.map(c => c.id);
+  const dialogueActs = config.taxonomy.dialogueActs;
+  const speechActs = config.taxonomy.speechActs;
+  const rubricScoresSchema = criterionIds.map(id => `    "${id}": 1-10`).join(',\n');
+
+  return `${voiceContext}You are Claude, helping Jim find people who want to co-create a different way of living and working together.
+
+Who we're looking for: ${config.targetAudience?.description || config.description}
+
+===== YOUR ROLE: UNDERSTANDER FIRST, ADVOCATE WHEN INVITED =====
+
+You are both an understander and an advocate.
+
+**Lead with understanding:** Elicit their position, probe deeper, learn who they are.
+**Advocate through questions, not statements.** Help them see by asking, not telling.
+**Share the philosophy when they ask, not before.**
+
+The goal is mutual recognition, not conversion.
+
+===== PHILOSOPHY & FRAMEWORK (from ${config.contentSources.philosophy}) =====
+
+${philosophyContent}
+
+===== WHAT TO LISTEN FOR =====
+
+${buildListenFor(config)}
+
+${buildGates(config)}
+
+${buildEngagementPatterns(config)}
+
+**Your vibe:** Not evaluating. Searching. "Finally, someone else is thinking about this." Ask follow-ups that go deeper. If they say something real, probe: "Why does that matter to you?" If they sound rehearsed, ask: "Tell me about a time when..."
+
+**The invitation:** "We don't have all the answers. We're building this culture together. Live here. Work with us. Help us figure out what's possible when we prioritize freedom and interdependence over extraction and isolation."
+
+===== POSITION DETAILS (from ${config.contentSources.positionDetails}) =====
+
+${positionContent}
+
+===== END POSITION DETAILS =====
+
+**IMPORTANT - What you're NOT evaluating:**
+- Credentials, experience, or resume
+- Technical skills (we teach those)
+- Current income or financial status
+- Educational pedigree
+
+**What you ARE evaluating (score each 1-10 using these guides):**
+
+${buildScoringGuides(config)}
+
+This is a lifestyle experiment, not a job application.
+
+Be conversational. Keep responses 2-3 sentences unless deep exploration is happening.
+
+===== CONTINUOUS EVALUATION INSTRUCTION =====
+
+After your conversational response, provide structured evaluation data.
+
+RESPOND WITH ONLY THIS JSON STRUCTURE (no markdown, no extra text):
+
+{
+  "response": "Your conversational response (2-3 sentences)",
+  "speechAct": "One of: ${speechActs.join('|')}",
+  "dialogueAct": "One of: ${dialogueActs.join('|')}",
+  "criteria": ["array", "of", "1-3", "rubric", "criteria", "this", "addresses"],
+  "rubricScores": {
+${rubricScoresSchema}
+  },
+  "stance": {
+    "orientation": 1-4,
+    "agency": 1-4,
+    "certainty": 1-4
+  },
+  "fitScore": 0-100,
+  "rationale": "Brief 1-2 sentence explanation"${hasVoice ? `,
+  "vibe": {
+    "emoji": "One emoji from the palette above",
+    "observation": "Brief 1-sentence observation about how they're communicating (not what they said)"
+  }` : ''}
+}
+
+KEY DEFINITIONS:
+- Speech acts (Searle): ${buildDefinitions(config, speechActs)}
+- Dialogue acts: ${buildDefinitions(config, dialogueActs)}
+- Rubric scores: Score the applicant on each criterion (1-10) using the guides above. Use exactly these keys: ${criterionIds.join(', ')}
+- Fit score: 0-100 overall quality of this turn
+- Rationale: Why did you score this way?`;
+}
@@ -0,0 +1,73 @@
+// Deterministic fit scoring
+// The fit score is computed from rubricScores and the cohort's criterion weights rather than
+// taken from the model. The model's own fitScore is kept alongside (modelFitScore) so the two
+// can be compared, and weights retuned in config without touching the prompt.
+
+// Weighted mean of the 1-10 criterion scores, scaled to 0-100.
+// Returns null if any criterion is unscored (e.g. a fallback evaluation).
+export function computeFitScore(rubricScores, config) {
+  const criteria = config.rubric.criteria;
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const criterion of criteria) {
+    const score = rubricScores?.[criterion.id];
+    if (typeof score !== 'number') return null;
+    const weight = criterion.weight ?? 1;
+    weighted += score * weight;
+    totalWeight += weight;
+  }
+
+  if (totalWeight === 0) return null;
+  return Math.round((weighted / totalWeight) * 10);
+}
+
+// Every criterion meets its floor
+export function checkFloors(rubricScores, config) {
+  return config.rubric.criteria.every(c => typeof rubricScores?.[c.id] === 'number' && rubricScores[c.id] >= c.floor);
+}
+
+// unlockRequirements checks, keyed by requirement name. Session requirements need the
+// conversation-level assessment (lib/assessment.js) and are skipped for single turns.
+const REQUIREMENTS = {
+  fitScore: { check: (minimum, result) => result.fitScore !== null && result.fitScore >= minimum },
+  allFloorsPass: { check: (required, result) => !required || result.allFloorsPass },
+  minTurns: { session: true, check: (minimum, result) => result.turnsAssessed >= minimum },
+  minConfidence: { session: true, check: (minimum, result) => result.confidence >= minimum }
+};
+
+// Apply the rubric's unlockRequirements to a scored result.
+// Returns the requirement names that are not met (unknown requirements count as unmet).
+export function unmetRequirements(result, config, { session = false } = {}) {
+  const requirements = config.rubric.unlockRequirements || {
+    fitScore: config.rubric.overallPassThreshold,
+    allFloorsPass: true
+  };
+
+  return Object.entries(requirements)
+    .filter(([name, value]) => {
+      const requirement = REQUIREMENTS[name];
+      if (!requirement) {
+        console.warn(`[SCORING] Unknown unlock requirement "${name}" - treating as unmet`);
+        return true;
+      }
+      if (requirement.session && !session) return false;
+      return !requirement.check(value, result);
+    })
+    .map(([name]) => name);
+}
+
+// Score one evaluated turn
+export function scoreTurn(evaluation, config) {
+  const result = {
+    fitScore: computeFitScore(evaluation.rubricScores, config),
+    modelFitScore: typeof evaluation.fitScore === 'number' ? evaluation.fitScore : null,
+    allFloorsPass: checkFloors(evaluation.rubricScores, config)
+  };
+
+  result.passesThreshold = result.fitScore !== null && result.fitScore >= config.rubric.overallPassThreshold;
+  // Turn-level requirements only - the email unlock itself is decided by the session assessment
+  result.unmetRequirements = unmetRequirements(result, config);
+  result.meetsTurnRequirements = result.unmetRequirements.length === 0;
+  return result;
+}
@@ -0,0 +1,53 @@
+// Storage
+// One repository interface for everything the app persists: sessions, turns, assessments, memos,
+// config versions, grades, invites, users, waitlist, settings, magic links and admins. Two backends
+// implement it with the same method names and row shapes (snake_case columns, as Postgres returns them):
+//   postgres - Neon Postgres through lib/db.js (production)
+//   memory   - in-process Maps, shared across requests in the same process (tests, local dev)
+// STORAGE_BACKEND picks one. Without it, mock mode (MOCK_MODE or X-Mock-Mode) uses memory and
+// everything else uses postgres.
+import { postgresStorage } from './postgres.js';
+import { memoryStorage } from './memory.js';
+
+const BACKENDS = {
+  postgres: postgresStorage,
+  memory: memoryStorage
+};
+
+// The interface; every backend must implement all of it
+export const STORAGE_METHODS = [
+  // Sessions and turns
+  'getOrCreateSession', 'getSessionCohort', 'setSessionConfigVersion', 'setSessionPinned', 'storeTurn',
+  'getTurnByRequestId', 'claimRequest', 'releaseRequest', 'getConversation', 'getSessionByEmail', 'getConversationsByEmail',
+  'getConversationsByPerson', 'getRecentSessions', 'getCohortComparison', 'linkEmailToSession',
+  // Session assessments and memos
+  'getSessionAssessment', 'saveSessionAssessment', 'getSessionMemo', 'saveSessionMemo',
+  // Config versions
+  'saveConfigVersion', 'getConfigVersion', 'listConfigVersions',
+  // Grades
+  'getGradingQueue', 'saveGrade', 'getGradedExamples',
+  // Invites, users and referrals
+  'createInvite', 'getInvite', 'expireInvite', 'recordInviteEmail', 'convertInvite',
+  'getInvitesByInviter', 'getAllInvites', 'getNetworkUsers',
+  // Settings and waitlist
+  'getSetting', 'setSetting', 'joinWaitlist', 'getWaitlist', 'admitFromWaitlist', 'recordWaitlistInvite',
+  // Magic links and admins
+  'createMagicLink', 'consumeMagicLink', 'getAdmin', 'listAdmins', 'upsertAdmin', 'removeAdmin',
+  // Health
+  'testConnection'
+];
+
+for (const [name, backend] of Object.entries(BACKENDS)) {
+  const missing = STORAGE_METHODS.filter(method => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend ${name} is missing: ${missing.join(', ')}`);
+  }
+}
+
+export function getStorage({ mock = false } = {}) {
+  const name = process.env.STORAGE_BACKEND || (mock ? 'memory' : 'postgres');
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${name}. Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return BACKENDS[name];
+}
@@ -0,0 +1,582 @@
+// In-memory storage backend - the interface in lib/storage/index.js, kept in process memory.
+// State lives on globalThis so it is shared across requests in the same process (one test
+// server, one `vercel dev`). Rows have the same shape Postgres returns for lib/db.js queries.
+import { assignCohort } from '../db.js';
+
+const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000;
+
+const state = globalThis.__memoryStorage || (globalThis.__memoryStorage = {
+  sessions: new Map(),     // session_id → session row
+  turns: [],               // turn rows in insert order
+  assessments: new Map(),  // session_id → assessment row
+  memos: new Map(),        // session_id → session memo row
+  requestClaims: new Map(), // session_id + request_id → claimed_at
+  configVersions: new Map(), // version → config snapshot row
+  grades: new Map(),       // turn_id → preference_data row
+  invites: new Map(),      // code → invite row
+  users: new Map(),        // email → user row
+  referrals: [],           // { inviter_email, invitee_email, invite_code }
+  settings: new Map(),     // key → { value, updated_at }
+  waitlist: [],            // waitlist rows in position order
+  magicLinks: new Map(),   // token_id → magic link row
+  admins: new Map(),       // email → admin row
+  nextTurnId: 1
+});
+
+// ========== HELPERS ==========
+
+const sameEmail = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+// SQL AVG: ignores nulls, null when nothing is left
+function avg(values) {
+  const present = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+  return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+}
+
+function turnsForSession(sessionId) {
+  return state.turns
+    .filter(t => t.session_id === sessionId)
+    .sort((a, b) => a.turn_number - b.turn_number);
+}
+
+// Turn arrays grouped by session, oldest session first
+function groupBySession(turns) {
+  const bySession = new Map();
+  for (const turn of turns) {
+    if (!bySession.has(turn.session_id)) bySession.set(turn.session_id, []);
+    bySession.get(turn.session_id).push(turn);
+  }
+  return [...bySession.values()]
+    .map(session => session.sort((a, b) => a.turn_number - b.turn_number))
+    .sort((a, b) => a[0].created_at - b[0].created_at);
+}
+
+// Same rule as the evaluated CTE in getCohortComparison (lib/db.js)
+function evaluationStatus(turn) {
+  return turn.evaluation?.evaluationStatus
+    || (turn.evaluation?.rationale === 'Fallback evaluation' ? 'fallback' : 'clean');
+}
+
+function isExpired(row) {
+  return Date.now() > new Date(row.expires_at).getTime();
+}
+
+// ========== BACKEND ==========
+
+export const memoryStorage = {
+  name: 'memory',
+
+  // ----- Sessions and turns -----
+
+  async getOrCreateSession(sessionId, forceCohort = null) {
+    if (!state.sessions.has(sessionId)) {
+      const cohort = forceCohort || assignCohort(sessionId);
+      state.sessions.set(sessionId, {
+        session_id: sessionId,
+        cohort,
+        config_id: `llm-config-${cohort}.json`,
+        config_version: null,
+        pinned: false,
+        created_at: new Date()
+      });
+    }
+    return state.sessions.get(sessionId);
+  },
+
+  async setSessionConfigVersion(sessionId, version) {
+    const session = state.sessions.get(sessionId);
+    if (session && !session.config_version) session.config_version = version;
+    return { success: true };
+  },
+
+  async setSessionPinned(sessionId, pinned) {
+    const session = state.sessions.get(sessionId);
+    if (!session) return null;
+    session.pinned = pinned;
+    return session;
+  },
+
+  async getSessionCohort(sessionId) {
+    const session = state.sessions.get(sessionId);
+    return session
+      ? { cohort: session.cohort, config_id: session.config_id, config_version: session.config_version, pinned: session.pinned }
+      : null;
+  },
+
+  async storeTurn(sessionId, email, turnData, cohort = null, source = 'real') {
+    const requestId = turnData.requestId || null;
+    const existing = requestId && await this.getTurnByRequestId(sessionId, requestId);
+    if (existing) {
+      return { turnNumber: existing.turn_number, duplicate: true };
+    }
+
+    const turnNumber = turnsForSession(sessionId).length + 1;
+
+    state.turns.push({
+      id: state.nextTurnId++,
+      session_id: sessionId,
+      cohort,
+      email: email || null,
+      turn_number: turnNumber,
+      created_at: new Date(),
+      source,
+      user_message: turnData.userMessage,
+      ai_response: turnData.response,
+      evaluation: {
+        speechAct: turnData.speechAct,
+        dialogueAct: turnData.dialogueAct,
+        criteria: turnData.criteria,
+        rubricScores: turnData.rubricScores,
+        fitScore: turnData.fitScore,
+        modelFitScore: turnData.modelFitScore ?? null,
+        allFloorsPass: turnData.allFloorsPass,
+        rationale: turnData.rationale,
+        evaluationStatus: turnData.evaluationStatus || 'clean',
+        validationErrors: turnData.validationErrors || null,
+        stance: turnData.stance || null,
+        vibe: turnData.vibe || null,
+        historyDiverged: turnData.historyDiverged || false
+      },
+      voice_signals: turnData.voiceSignals || null,
+      request_id: requestId,
+      context_usage: turnData.contextUsage || null,
+      config_version: turnData.configVersion || null
+    });
+
+    return { turnNumber, duplicate: false };
+  },
+
+  async getTurnByRequestId(sessionId, requestId) {
+    return state.turns.find(t => t.session_id === sessionId && t.request_id === requestId) || null;
+  },
+
+  async claimRequest(sessionId, requestId, ttlSeconds) {
+    const key = `${sessionId}\n${requestId}`;
+    const claimedAt = state.requestClaims.get(key);
+    if (claimedAt && Date.now() - claimedAt < ttlSeconds * 1000) return false;
+
+    state.requestClaims.set(key, Date.now());
+    return true;
+  },
+
+  async releaseRequest(sessionId, requestId) {
+    state.requestClaims.delete(`${sessionId}\n${requestId}`);
+  },
+
+  async getConversation(sessionId) {
+    const turns = turnsForSession(sessionId);
+    return { sessionId, turns, turnCount: turns.length };
+  },
+
+  async getSessionByEmail(email) {
+    const latest = state.turns
+      .filter(t => sameEmail(t.email, email))
+      .sort((a, b) => b.created_at - a.created_at)[0];
+
+    return latest
+      ? { sessionId: latest.session_id, email: latest.email, lastActivity: latest.created_at }
+      : null;
+  },
+
+  async getConversationsByEmail(email) {
+    const sessionIds = new Set(state.turns.filter(t => sameEmail(t.email, email)).map(t => t.session_id));
+    return groupBySession(state.turns.filter(t => sessionIds.has(t.session_id)));
+  },
+
+  async getConversationsByPerson() {
+    // A session belongs to the (alphabetically first) email on any of its turns
+    const personBySession = new Map();
+    for (const turn of state.turns) {
+      if (!turn.email) continue;
+      const email = turn.email.toLowerCase();
+      const current = personBySession.get(turn.session_id);
+      if (!current || email < current) personBySession.set(turn.session_id, email);
+    }
+
+    const byPerson = new Map();
+    for (const turn of state.turns) {
+      const email = personBySession.get(turn.session_id);
+      if (!email) continue;
+      if (!byPerson.has(email)) byPerson.set(email, []);
+      byPerson.get(email).push(turn);
+    }
+
+    return [...byPerson.entries()].map(([email, turns]) => ({ email, conversations: groupBySession(turns) }));
+  },
+
+  async getRecentSessions(limit = 20) {
+    const groups = new Map();
+    for (const turn of state.turns) {
+      const key = JSON.stringify([turn.session_id, turn.cohort, turn.email]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(turn);
+    }
+
+    return [...groups.values()]
+      .map(turns => {
+        const fitScores = turns.map(t => t.evaluation?.fitScore).filter(s => s !== null && s !== undefined);
+        return {
+          session_id: turns[0].session_id,
+          cohort: turns[0].cohort,
+          email: turns[0].email,
+          turn_count: turns.length,
+          last_activity: new Date(Math.max(...turns.map(t => t.created_at))),
+          started_at: new Date(Math.min(...turns.map(t => t.created_at))),
+          max_fit_score: fitScores.length > 0 ? Math.max(...fitScores.map(s => Math.trunc(s))) : null
+        };
+      })
+      .sort((a, b) => b.last_activity - a.last_activity)
+      .slice(0, limit);
+  },
+
+  async getCohortComparison({ passThresholds = {} } = {}) {
+    const byCohort = new Map();
+    for (const turn of state.turns.filter(t => t.cohort)) {
+      if (!byCohort.has(turn.cohort)) byCohort.set(turn.cohort, []);
+      byCohort.get(turn.cohort).push(turn);
+    }
+
+    // threshold is the cohort's pass threshold (null: none known, no percentage)
+    const aggregate = (turns, threshold) => {
+      const scored = turns.filter(t => evaluationStatus(t) !== 'fallback');
+      const fit = t => t.evaluation?.fitScore ?? null;
+      const modelFit = t => t.evaluation?.modelFitScore ?? null;
+      const aboveThreshold = threshold === null ? null : avg(scored.map(t => (fit(t) !== null && fit(t) >= threshold ? 1 : 0)));
+
+      return {
+        sessions: new Set(turns.map(t => t.session_id)).size,
+        total_turns: turns.length,
+        repaired_turns: turns.filter(t => evaluationStatus(t) === 'repaired').length,
+        fallback_turns: turns.filter(t => evaluationStatus(t) === 'fallback').length,
+        avg_fit_score: avg(scored.map(fit)),
+        avg_model_fit_score: avg(scored.map(modelFit)),
+        avg_fit_score_gap: avg(scored.map(t => (fit(t) === null || modelFit(t) === null ? null : Math.abs(fit(t) - modelFit(t))))),
+        avg_first_turn_score: avg(scored.map(t => (t.turn_number === 1 ? fit(t) : null))),
+        pct_above_threshold: aboveThreshold === null ? null : aboveThreshold * 100,
+        sessions_with_email: new Set(turns.filter(t => t.email).map(t => t.session_id)).size
+      };
+    };
+
+    const stats = [...byCohort.entries()].map(([cohort, turns]) => ({
+      cohort, config_version: null, all_versions: true, ...aggregate(turns, passThresholds[cohort] ?? null)
+    }));
+
+    const statsByVersion = [...byCohort.entries()].flatMap(([cohort, turns]) => {
+      const versions = [...new Set(turns.map(t => t.config_version ?? null))];
+      return versions.map(version => ({
+        cohort,
+        config_version: version,
+        all_versions: false,
+        ...aggregate(turns.filter(t => (t.config_version ?? null) === version), passThresholds[cohort] ?? null)
+      }));
+    });
+
+    // Stance on the final evaluated turn of each session
+    const finalTurns = new Map();
+    for (const turn of state.turns.filter(t => t.cohort && evaluationStatus(t) !== 'fallback')) {
+      const current = finalTurns.get(turn.session_id);
+      if (!current || turn.turn_number > current.turn_number) finalTurns.set(turn.session_id, turn);
+    }
+
+    const stanceByFinalTurn = [...byCohort.keys()]
+      .map(cohort => [cohort, [...finalTurns.values()].filter(t => t.cohort === cohort)])
+      .filter(([, turns]) => turns.length > 0)
+      .map(([cohort, turns]) => ({
+        cohort,
+        avg_orientation: avg(turns.map(t => t.evaluation?.stance?.orientation ?? null)),
+        avg_agency: avg(turns.map(t => t.evaluation?.stance?.agency ?? null)),
+        avg_certainty: avg(turns.map(t => t.evaluation?.stance?.certainty ?? null))
+      }));
+
+    return { stats, statsByVersion, stanceByFinalTurn };
+  },
+
+  async linkEmailToSession(sessionId, email) {
+    for (const turn of state.turns.filter(t => t.session_id === sessionId)) {
+      turn.email = email;
+    }
+    return { success: true };
+  },
+
+  // ----- Session assessments -----
+
+  async getSessionAssessment(sessionId) {
+    return state.assessments.get(sessionId) || null;
+  },
+
+  async saveSessionAssessment(sessionId, cohort, assessment, { expectedRevision = null } = {}) {
+    const existing = state.assessments.get(sessionId);
+    if (existing && expectedRevision !== null && (existing.assessment.revision || 0) !== expectedRevision) {
+      return { success: false, conflict: true };
+    }
+    state.assessments.set(sessionId, {
+      session_id: sessionId,
+      cohort,
+      assessment,
+      fit_score: assessment.fitScore,
+      can_unlock_email: assessment.canUnlockEmail,
+      updated_at: new Date()
+    });
+    return { success: true };
+  },
+
+  async getSessionMemo(sessionId) {
+    return state.memos.get(sessionId) || null;
+  },
+
+  async saveSessionMemo(sessionId, { memo, throughTurn }) {
+    state.memos.set(sessionId, { session_id: sessionId, memo, through_turn: throughTurn, updated_at: new Date() });
+    return { success: true };
+  },
+
+  // ----- Config versions -----
+
+  async saveConfigVersion({ version, cohort, config, contentSources }) {
+    if (!state.configVersions.has(version)) {
+      state.configVersions.set(version, { version, cohort, config, content_sources: contentSources, created_at: new Date() });
+    }
+    return { success: true };
+  },
+
+  async getConfigVersion(version) {
+    return state.configVersions.get(version) || null;
+  },
+
+  async listConfigVersions() {
+    const sessions = [...state.sessions.values()];
+    return [...state.configVersions.values()]
+      .sort((a, b) => b.created_at - a.created_at)
+      .map(({ version, cohort, created_at }) => ({
+        version,
+        cohort,
+        created_at,
+        sessions: sessions.filter(s => s.config_version === version).length,
+        pinned_sessions: sessions.filter(s => s.config_version === version && s.pinned).length,
+        turns: state.turns.filter(t => t.config_version === version).length
+      }));
+  },
+
+  // ----- Grades -----
+
+  async getGradingQueue({ limit = 30, source = 'real' } = {}) {
+    const since = Date.now() - THIRTY_DAYS_MS;
+
+    return state.turns
+      .filter(t => !state.grades.has(t.id)
+        && t.evaluation?.dialogueAct
+        && t.source === source
+        && t.created_at.getTime() > since)
+      .map(t => ({ turn: t, order: Math.random() }))
+      .sort((a, b) => a.order - b.order)
+      .slice(0, limit)
+      .map(({ turn }) => ({
+        turn_id: turn.id,
+        session_id: turn.session_id,
+        source: turn.source,
+        user_message: turn.user_message,
+        dialogue_act: turn.evaluation.dialogueAct
+      }));
+  },
+
+  async saveGrade({ turnId, sessionId, userMessage, originalDialogueAct, selectedDialogueAct, matched, skipped = false }) {
+    if (state.grades.has(turnId)) return;
+
+    state.grades.set(turnId, {
+      id: state.grades.size + 1,
+      turn_id: turnId,
+      session_id: sessionId,
+      user_message: userMessage,
+      original_dialogue_act: originalDialogueAct,
+      selected_dialogue_act: selectedDialogueAct,
+      matched,
+      skipped,
+      graded_at: new Date()
+    });
+  },
+
+  async getGradedExamples() {
+    return [...state.grades.values()]
+      .filter(g => !g.skipped)
+      .sort((a, b) => b.graded_at - a.graded_at)
+      .map(g => ({
+        user_message: g.user_message,
+        original_dialogue_act: g.original_dialogue_act,
+        selected_dialogue_act: g.selected_dialogue_act,
+        matched: g.matched
+      }));
+  },
+
+  // ----- Invites, users and referrals -----
+
+  async createInvite({ code, inviterEmail, inviterName = null, inviteeEmail = null, inviteeName = null, expiresAt, source = 'referral' }) {
+    const invite = {
+      code,
+      inviter_email: inviterEmail,
+      inviter_name: inviterName,
+      invitee_email: inviteeEmail,
+      invitee_name: inviteeName,
+      status: 'pending',
+      created_at: new Date(),
+      expires_at: expiresAt,
+      converted_at: null,
+      converted_email: null,
+      email_status: 'not_sent',
+      email_sent_at: null,
+      email_error: null,
+      reminder_count: 0,
+      source
+    };
+    state.invites.set(code, invite);
+    return invite;
+  },
+
+  async getInvite(code) {
+    return state.invites.get(code) || null;
+  },
+
+  async expireInvite(code) {
+    const invite = state.invites.get(code);
+    if (invite?.status === 'pending') invite.status = 'expired';
+  },
+
+  async recordInviteEmail(code, { status, error = null, reminder = false }) {
+    const invite = state.invites.get(code);
+    if (!invite) return null;
+    Object.assign(invite, {
+      email_status: status,
+      email_sent_at: status === 'sent' ? new Date() : invite.email_sent_at,
+      email_error: error,
+      reminder_count: invite.reminder_count + (reminder && status === 'sent' ? 1 : 0)
+    });
+    return invite;
+  },
+
+  async convertInvite(code, email) {
+    const invite = state.invites.get(code);
+    if (!invite || invite.status !== 'pending' || isExpired(invite)) return null;
+
+    Object.assign(invite, { status: 'converted', converted_at: new Date(), converted_email: email });
+    if (!state.users.has(email)) {
+      state.users.set(email, { email, invited_by: invite.inviter_email, invite_code: code, joined_at: new Date(), modality_preference: null });
+    }
+    if (!state.referrals.some(r => r.invitee_email === email)) {
+      state.referrals.push({ inviter_email: invite.inviter_email, invitee_email: email, invite_code: code, created_at: new Date() });
+    }
+    return invite;
+  },
+
+  async getInvitesByInviter(email) {
+    return [...state.invites.values()].filter(i => sameEmail(i.inviter_email, email));
+  },
+
+  async getAllInvites() {
+    return [...state.invites.values()];
+  },
+
+  async getNetworkUsers() {
+    return [...state.users.values()].map(u => ({
+      ...u,
+      invites_sent: [...state.invites.values()].filter(i => sameEmail(i.inviter_email, u.email)).length,
+      conversions: state.referrals.filter(r => sameEmail(r.inviter_email, u.email)).length
+    }));
+  },
+
+  // ----- Settings and waitlist -----
+
+  async getSetting(key) {
+    return state.settings.get(key) || null;
+  },
+
+  async setSetting(key, value) {
+    const setting = { value, updated_at: new Date() };
+    state.settings.set(key, setting);
+    return setting;
+  },
+
+  async joinWaitlist(email, { referrerCode = null, referredBy = null } = {}) {
+    const existing = state.waitlist.find(w => sameEmail(w.email, email));
+    if (existing) return { ...existing, joined: false };
+
+    const entry = {
+      position: state.waitlist.length + 1,
+      email,
+      referrer_code: referrerCode,
+      referred_by: referredBy,
+      status: 'waiting',
+      created_at: new Date(),
+      admitted_at: null,
+      invite_code: null
+    };
+    state.waitlist.push(entry);
+    return { ...entry, joined: true };
+  },
+
+  async getWaitlist(status = null) {
+    return state.waitlist.filter(w => !status || w.status === status);
+  },
+
+  async admitFromWaitlist(count) {
+    const admitted = state.waitlist.filter(w => w.status === 'waiting').slice(0, count);
+    for (const entry of admitted) {
+      Object.assign(entry, { status: 'admitted', admitted_at: new Date() });
+    }
+    return admitted;
+  },
+
+  async recordWaitlistInvite(position, inviteCode) {
+    const entry = state.waitlist.find(w => w.position === position);
+    if (entry) entry.invite_code = inviteCode;
+  },
+
+  // ----- Magic links -----
+
+  async createMagicLink({ tokenId, email, sessionId = null, purpose, expiresAt }) {
+    state.magicLinks.set(tokenId, {
+      token_id: tokenId,
+      email,
+      session_id: sessionId,
+      purpose,
+      created_at: new Date(),
+      expires_at: expiresAt,
+      used_at: null
+    });
+  },
+
+  async consumeMagicLink(tokenId) {
+    const link = state.magicLinks.get(tokenId);
+    if (!link || link.used_at || isExpired(link)) return null;
+    link.used_at = new Date();
+    return link;
+  },
+
+  // ----- Admins -----
+
+  async getAdmin(email) {
+    return state.admins.get(email.toLowerCase()) || null;
+  },
+
+  async listAdmins() {
+    return [...state.admins.values()].sort((a, b) => a.created_at - b.created_at);
+  },
+
+  async upsertAdmin({ email, role, addedBy = null }) {
+    const existing = state.admins.get(email.toLowerCase());
+    const admin = existing
+      ? Object.assign(existing, { role })
+      : { email: email.toLowerCase(), role, added_by: addedBy, created_at: new Date() };
+    state.admins.set(admin.email, admin);
+    return admin;
+  },
+
+  async removeAdmin(email) {
+    const admin = state.admins.get(email.toLowerCase()) || null;
+    state.admins.delete(email.toLowerCase());
+    return admin;
+  },
+
+  // ----- Health -----
+
+  async testConnection() {
+    return { connected: true, serverTime: new Date() };
+  }
+};
@@ -0,0 +1,60 @@
+// Postgres storage backend - the interface in lib/storage/index.js, implemented by lib/db.js
+import * as db from '../db.js';
+
+export const postgresStorage = {
+  name: 'postgres',
+
+  getOrCreateSession: db.getOrCreateSession,
+  getSessionCohort: db.getSessionCohort,
+  setSessionConfigVersion: db.setSessionConfigVersion,
+  setSessionPinned: db.setSessionPinned,
+  storeTurn: db.storeTurn,
+  getTurnByRequestId: db.getTurnByRequestId,
+  claimRequest: db.claimRequest,
+  releaseRequest: db.releaseRequest,
+  getConversation: db.getConversation,
+  getSessionByEmail: db.getSessionByEmail,
+  getConversationsByEmail: db.getConversationsByEmail,
+  getConversationsByPerson: db.getConversationsByPerson,
+  getRecentSessions: db.getRecentSessions,
+  getCohortComparison: db.getCohortComparison,
+  linkEmailToSession: db.linkEmailToSession,
+
+  getSessionAssessment: db.getSessionAssessment,
+  saveSessionAssessment: db.saveSessionAssessment,
+  getSessionMemo: db.getSessionMemo,
+  saveSessionMemo: db.saveSessionMemo,
+
+  saveConfigVersion: db.saveConfigVersion,
+  getConfigVersion: db.getConfigVersion,
+  listConfigVersions: db.listConfigVersions,
+
+  getGradingQueue: db.getGradingQueue,
+  saveGrade: db.saveGrade,
+  getGradedExamples: db.getGradedExamples,
+
+  createInvite: db.createInvite,
+  getInvite: db.getInvite,
+  expireInvite: db.expireInvite,
+  recordInviteEmail: db.recordInviteEmail,
+  convertInvite: db.convertInvite,
+  getInvitesByInviter: db.getInvitesByInviter,
+  getAllInvites: db.getAllInvites,
+  getNetworkUsers: db.getNetworkUsers,
+
+  getSetting: db.getSetting,
+  setSetting: db.setSetting,
+  joinWaitlist: db.joinWaitlist,
+  getWaitlist: db.getWaitlist,
+  admitFromWaitlist: db.admitFromWaitlist,
+  recordWaitlistInvite: db.recordWaitlistInvite,
+
+  createMagicLink: db.createMagicLink,
+  consumeMagicLink: db.consumeMagicLink,
+  getAdmin: db.getAdmin,
+  listAdmins: db.listAdmins,
+  upsertAdmin: db.upsertAdmin,
+  removeAdmin: db.removeAdmin,
+
+  testConnection: db.testConnection
+};
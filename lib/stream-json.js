@@ -0,0 +1,108 @@
+// Streaming JSON field extractor
+// The model returns one JSON object per turn ({ "response": "...", "speechAct": ..., ... }).
+// To stream the reply before the evaluation fields arrive, we scan the raw completion as it
+// streams and decode the value of one top-level string field (default "response") chunk by chunk.
+// The rest of the object is parsed normally once the completion finishes.
+
+const SIMPLE_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+export function createFieldStreamer(field = 'response') {
+  let depth = 0;
+  let inString = false;
+  let escape = false;
+  let stringBuffer = '';
+  let lastString = null;
+  let awaitingColon = false;
+  let awaitingValue = false;
+
+  let capturing = false;
+  let unicode = null; // pending \uXXXX hex digits while capturing
+  let found = false;
+  let done = false;
+
+  // Feed the next raw chunk; returns the decoded text of the field contained in it ('' if none)
+  function push(chunk) {
+    let out = '';
+    if (done) return out;
+
+    for (const ch of chunk) {
+      if (capturing) {
+        if (unicode !== null) {
+          unicode += ch;
+          if (unicode.length === 4) {
+            out += String.fromCharCode(parseInt(unicode, 16));
+            unicode = null;
+          }
+        } else if (escape) {
+          escape = false;
+          if (ch === 'u') unicode = '';
+          else out += SIMPLE_ESCAPES[ch] ?? ch;
+        } else if (ch === '\\') {
+          escape = true;
+        } else if (ch === '"') {
+          capturing = false;
+          done = true;
+          break;
+        } else {
+          out += ch;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escape) {
+          escape = false;
+          stringBuffer += ch;
+        } else if (ch === '\\') {
+          escape = true;
+        } else if (ch === '"') {
+          inString = false;
+          lastString = stringBuffer;
+          // Only strings directly inside the top-level object can be our key
+          awaitingColon = depth === 1;
+        } else {
+          stringBuffer += ch;
+        }
+        continue;
+      }
+
+      if (/\s/.test(ch)) continue;
+
+      if (awaitingColon) {
+        awaitingColon = false;
+        if (ch === ':') {
+          awaitingValue = lastString === field;
+          continue;
+        }
+      }
+
+      if (awaitingValue) {
+        awaitingValue = false;
+        if (ch === '"') {
+          capturing = true;
+          found = true;
+          continue;
+        }
+      }
+
+      if (ch === '"') {
+        inString = true;
+        stringBuffer = '';
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+      }
+    }
+
+    return out;
+  }
+
+  return {
+    push,
+    // true once the field's opening quote has been seen
+    get found() { return found; },
+    // true once the field's closing quote has been seen
+    get done() { return done; }
+  };
+}
@@ -0,0 +1,130 @@
+// Success probability (docs/modality-and-referrals.md, "Success Probability Equation")
+// A logistic model over normalized factors drawn from stored turns and the engagement profile.
+// The weights are the tuning vector: they live in data/success-weights-{version}.json so they
+// can be retuned (and compared across versions) without touching code.
+import fs from 'fs';
+import path from 'path';
+import { computeUserProfile } from './metrics.js';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+// Phrases that signal commitment: talking about the future here, or owning past work
+const FUTURE_LANGUAGE = /\b(i will|i'll|i'm going to|i plan to|i want to|i'd love to|when i (?:join|move|arrive|start)|looking forward)\b/i;
+const OWNERSHIP_LANGUAGE = /\b(i built|i started|i led|i run|i ran|i own|i created|i organized|i founded|i'm responsible|i took (?:on|responsibility))\b/i;
+
+// ========== WEIGHTS ==========
+
+// Weight versions with a file in data/, oldest first
+export function listWeightVersions() {
+  return fs.readdirSync(DATA_DIR)
+    .filter(f => f.startsWith('success-weights-') && f.endsWith('.json'))
+    .map(f => f.slice('success-weights-'.length, -'.json'.length))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Load a weight vector; defaults to the latest version. Only versions listed in data/ are
+// accepted, so a version taken from a request can't name any other file.
+export function loadSuccessWeights(version = null) {
+  const versions = listWeightVersions();
+  const resolved = version || versions[versions.length - 1];
+
+  if (!resolved || !versions.includes(resolved)) {
+    throw new Error(`Success weights not found: ${version || '(latest)'}. Available: ${versions.join(', ')}`);
+  }
+  const weightsPath = path.join(DATA_DIR, `success-weights-${resolved}.json`);
+
+  try {
+    return JSON.parse(fs.readFileSync(weightsPath, 'utf-8'));
+  } catch (parseError) {
+    throw new Error(`Failed to parse success weights: ${parseError.message}`);
+  }
+}
+
+// ========== FACTORS ==========
+
+const clamp = (value, min = -1, max = 1) => Math.min(max, Math.max(min, value));
+
+function commitmentShare(turns) {
+  if (turns.length === 0) return 0;
+  const committed = turns.filter(t => t.evaluation?.dialogueAct === 'affirm_commitment'
+    || FUTURE_LANGUAGE.test(t.user_message || '')
+    || OWNERSHIP_LANGUAGE.test(t.user_message || ''));
+  return committed.length / turns.length;
+}
+
+// Normalized factor values; null means no signal yet (the factor contributes nothing)
+function computeFactors(conversations, profile, weights) {
+  const turns = conversations.flat();
+  const latest = profile.perConversation[profile.perConversation.length - 1];
+  const dimensions = new Set(profile.perConversation.flatMap(c => c.breadth.rubricDimensions));
+  const consistency = { consistent: 1, moderate: 0, variable: -1 };
+
+  return {
+    turnCount: Math.min(profile.totalTurns / 30, 1),
+    authenticityAverage: profile.authenticity.mean === null ? null : clamp((profile.authenticity.mean - 5) / 5),
+    authenticityConsistency: consistency[profile.authenticity.consistency] ?? null,
+    fitProgression: profile.fitProgression === null ? null : clamp(profile.fitProgression / 20),
+    latestFit: latest?.fitArc.lateFit == null ? null : clamp((latest.fitArc.lateFit - 50) / 50),
+    thinkingStyle: weights.thinkingStyles?.[profile.thinkingStyle] ?? null,
+    commitmentLanguage: commitmentShare(turns),
+    breadth: Math.min(dimensions.size / 5, 1),
+    plateauReached: profile.plateauTurns.some(t => t !== null) ? 1 : 0
+  };
+}
+
+// ========== PUBLIC API ==========
+
+// Success probability for one person from all of their conversations (turn arrays).
+// Returns the probability with every factor's contribution and the top contributors.
+export function computeSuccessProbability(conversations, weights = loadSuccessWeights()) {
+  const profile = computeUserProfile(conversations);
+  const values = computeFactors(conversations, profile, weights);
+  const latest = profile.perConversation[profile.perConversation.length - 1];
+
+  const factors = Object.entries(weights.factors).map(([name, { weight, description }]) => {
+    if (!(name in values)) {
+      console.warn(`[SUCCESS] Unknown factor "${name}" in weights ${weights.version} - ignoring`);
+    }
+    const value = values[name] ?? null;
+    return {
+      name,
+      value: value === null ? null : parseFloat(value.toFixed(2)),
+      weight,
+      contribution: value === null ? 0 : parseFloat((weight * value).toFixed(3)),
+      description
+    };
+  });
+
+  const logit = (weights.intercept || 0) + factors.reduce((sum, f) => sum + f.contribution, 0);
+  const probability = 1 / (1 + Math.exp(-logit));
+
+  const topFactors = factors
+    .filter(f => f.contribution !== 0)
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    .slice(0, weights.topFactorCount || 3)
+    .map(f => ({
+      name: f.name,
+      contribution: f.contribution,
+      direction: f.contribution > 0 ? 'raises' : 'lowers',
+      explanation: `${f.description} (${f.contribution > 0 ? '+' : ''}${f.contribution})`
+    }));
+
+  return {
+    successProbability: parseFloat(probability.toFixed(3)),
+    weightsVersion: weights.version,
+    topFactors,
+    factors,
+    headline: profile.headline,
+    latestFit: latest?.fitArc.lateFit ?? null,
+    totalTurns: profile.totalTurns,
+    conversations: profile.conversations
+  };
+}
+
+// Rank people by success probability; candidates are [{ email, conversations }]
+export function rankCandidates(candidates, weights = loadSuccessWeights()) {
+  return candidates
+    .map(({ email, conversations }) => ({ email, ...computeSuccessProbability(conversations, weights) }))
+    .sort((a, b) => b.successProbability - a.successProbability)
+    .map((candidate, i) => ({ rank: i + 1, ...candidate }));
+}
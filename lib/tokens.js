@@ -0,0 +1,118 @@
+// Magic-link and admin session tokens
+// A token is "<payload>.<signature>": base64url JSON ({ id, email, sessionId, purpose, exp })
+// signed with HMAC-SHA256 over MAGIC_LINK_SECRET. The signature stops forgery; every issued
+// magic-link id is also stored, so a magic link works once and only until it expires.
+// Admin session tokens are signed the same way but not stored - they last 12 hours.
+// The fixed development secret is only used when the server itself runs with MOCK_MODE=true;
+// nothing a request sends can change which secret signs or checks a token.
+import crypto from 'crypto';
+import { getStorage } from './storage/index.js';
+
+const TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const MOCK_SECRET = 'mock-magic-link-secret';
+
+// 'link' attaches a verified email to the current session; 'resume' reopens the
+// email's latest session on another device; 'admin' signs an admin in
+export const TOKEN_PURPOSES = ['link', 'resume', 'admin'];
+
+export class TokenError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'TokenError';
+    this.reason = reason; // 'invalid', 'expired', 'used', 'purpose'
+  }
+}
+
+function getSecret() {
+  const secret = process.env.MAGIC_LINK_SECRET;
+  if (secret) return secret;
+  if (process.env.MOCK_MODE === 'true') return MOCK_SECRET;
+  throw new Error('MAGIC_LINK_SECRET not configured');
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function encodeToken(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload, getSecret())}`;
+}
+
+// Signature and expiry checks shared by every token type; returns the claims
+function decodeToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new TokenError('Malformed token', 'invalid');
+  }
+
+  const expected = Buffer.from(sign(payload, getSecret()));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('Invalid token signature', 'invalid');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch {
+    throw new TokenError('Malformed token', 'invalid');
+  }
+
+  if (Date.now() > claims.exp) {
+    throw new TokenError('Token expired', 'expired');
+  }
+  return claims;
+}
+
+// ========== PUBLIC API ==========
+
+// Issue a token and record it; resolves to { token, expiresAt }
+export async function issueMagicToken({ email, sessionId = null, purpose }, { mock = false } = {}) {
+  if (!TOKEN_PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS);
+  const id = crypto.randomBytes(16).toString('hex');
+
+  await getStorage({ mock }).createMagicLink({ tokenId: id, email, sessionId, purpose, expiresAt });
+
+  return { token: encodeToken({ id, email, sessionId, purpose, exp: expiresAt.getTime() }), expiresAt };
+}
+
+// Check the signature, expiry and purpose, then use the token up.
+// Resolves to { email, sessionId, purpose }; throws TokenError otherwise.
+export async function redeemMagicToken(token, { purpose, mock = false } = {}) {
+  const claims = decodeToken(token);
+
+  if (!TOKEN_PURPOSES.includes(claims.purpose)) {
+    throw new TokenError('Not a magic-link token', 'purpose');
+  }
+  if (purpose && claims.purpose !== purpose) {
+    throw new TokenError(`Token is for ${claims.purpose}, not ${purpose}`, 'purpose');
+  }
+
+  const link = await getStorage({ mock }).consumeMagicLink(claims.id);
+  if (!link) {
+    throw new TokenError('Token already used', 'used');
+  }
+
+  return { email: claims.email, sessionId: claims.sessionId, purpose: claims.purpose };
+}
+
+// Bearer token for the admin API, issued once an 'admin' magic link is redeemed
+export function issueAdminSession(email) {
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL_MS);
+  return { token: encodeToken({ email, purpose: 'admin-session', exp: expiresAt.getTime() }), expiresAt };
+}
+
+// Resolves to { email }; throws TokenError if the token is forged, expired or not a session token
+export function verifyAdminSession(token) {
+  const claims = decodeToken(token);
+  if (claims.purpose !== 'admin-session') {
+    throw new TokenError('Not an admin session token', 'purpose');
+  }
+  return { email: claims.email };
+}
@@ -0,0 +1,174 @@
+// 0001 - baseline: every table as initSchema() last created it.
+// Every statement is IF NOT EXISTS, so on a deployment initSchema already set up this
+// changes nothing and just records version 1 - that is how existing databases are baselined.
+export const description = 'Baseline schema (sessions, turns, grading, assessments, referrals, waitlist, magic links, admins)';
+
+export function up(sql) {
+  return [
+    // Sessions table - stores cohort assignment per session
+    sql`
+      CREATE TABLE IF NOT EXISTS sessions (
+        session_id VARCHAR(255) PRIMARY KEY,
+        cohort VARCHAR(100) NOT NULL,
+        config_id VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    sql`CREATE INDEX IF NOT EXISTS idx_sessions_cohort ON sessions(cohort)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_sessions_created ON sessions(created_at DESC)`,
+
+    // Turns table - stores each conversation turn
+    sql`
+      CREATE TABLE IF NOT EXISTS turns (
+        id SERIAL PRIMARY KEY,
+        session_id VARCHAR(255) NOT NULL,
+        cohort VARCHAR(100),
+        email VARCHAR(255),
+        turn_number INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        source VARCHAR(20) DEFAULT 'real',
+
+        user_message TEXT,
+        ai_response TEXT,
+        evaluation JSONB,
+        voice_signals JSONB,
+
+        UNIQUE(session_id, turn_number)
+      )
+    `,
+
+    sql`CREATE INDEX IF NOT EXISTS idx_turns_session ON turns(session_id)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_turns_cohort ON turns(cohort) WHERE cohort IS NOT NULL`,
+    sql`CREATE INDEX IF NOT EXISTS idx_turns_email ON turns(email) WHERE email IS NOT NULL`,
+    sql`CREATE INDEX IF NOT EXISTS idx_turns_source ON turns(source)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_turns_created ON turns(created_at DESC)`,
+
+    // Preference data table - stores dialogue act grading feedback
+    sql`
+      CREATE TABLE IF NOT EXISTS preference_data (
+        id SERIAL PRIMARY KEY,
+        turn_id INTEGER REFERENCES turns(id) UNIQUE,
+        session_id VARCHAR(255),
+        user_message TEXT NOT NULL,
+        original_dialogue_act VARCHAR(50) NOT NULL,
+        selected_dialogue_act VARCHAR(50),
+        matched BOOLEAN NOT NULL,
+        skipped BOOLEAN DEFAULT false,
+        graded_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    sql`CREATE INDEX IF NOT EXISTS idx_preference_matched ON preference_data(matched)`,
+
+    // Session assessments - cumulative per-criterion evidence across a session's turns
+    sql`
+      CREATE TABLE IF NOT EXISTS session_assessments (
+        session_id VARCHAR(255) PRIMARY KEY,
+        cohort VARCHAR(100),
+        assessment JSONB NOT NULL,
+        fit_score INTEGER,
+        can_unlock_email BOOLEAN DEFAULT false,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Referral network: invites, the users they brought in, and who-invited-whom edges
+    sql`
+      CREATE TABLE IF NOT EXISTS invites (
+        code VARCHAR(64) PRIMARY KEY,
+        inviter_email VARCHAR(255) NOT NULL,
+        invitee_email VARCHAR(255),
+        invitee_name VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        converted_at TIMESTAMP,
+        converted_email VARCHAR(255)
+      )
+    `,
+
+    sql`CREATE INDEX IF NOT EXISTS idx_invites_inviter ON invites(LOWER(inviter_email))`,
+
+    // Invite email delivery (ADD COLUMN so existing invites tables pick these up)
+    sql`ALTER TABLE invites ADD COLUMN IF NOT EXISTS inviter_name VARCHAR(255)`,
+    sql`ALTER TABLE invites ADD COLUMN IF NOT EXISTS email_status VARCHAR(20) NOT NULL DEFAULT 'not_sent'`,
+    sql`ALTER TABLE invites ADD COLUMN IF NOT EXISTS email_sent_at TIMESTAMP`,
+    sql`ALTER TABLE invites ADD COLUMN IF NOT EXISTS email_error TEXT`,
+    sql`ALTER TABLE invites ADD COLUMN IF NOT EXISTS reminder_count INTEGER NOT NULL DEFAULT 0`,
+    // 'referral' (sent by a member) or 'waitlist' (admitted by an admin)
+    sql`ALTER TABLE invites ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'referral'`,
+
+    sql`
+      CREATE TABLE IF NOT EXISTS users (
+        email VARCHAR(255) PRIMARY KEY,
+        invited_by VARCHAR(255),
+        invite_code VARCHAR(64) REFERENCES invites(code),
+        joined_at TIMESTAMP DEFAULT NOW(),
+        modality_preference VARCHAR(20)
+      )
+    `,
+
+    // One edge per invitee - a person joins through a single invite
+    sql`
+      CREATE TABLE IF NOT EXISTS referrals (
+        id SERIAL PRIMARY KEY,
+        inviter_email VARCHAR(255) NOT NULL,
+        invitee_email VARCHAR(255) NOT NULL UNIQUE,
+        invite_code VARCHAR(64) REFERENCES invites(code),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    sql`CREATE INDEX IF NOT EXISTS idx_referrals_inviter ON referrals(LOWER(inviter_email))`,
+
+    // App-wide settings (e.g. recruitment pause), one JSONB value per key
+    sql`
+      CREATE TABLE IF NOT EXISTS settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Waitlist - people who asked in while recruitment was paused (demand signal).
+    // position is assigned on join and never changes; admission goes in position order.
+    sql`
+      CREATE TABLE IF NOT EXISTS waitlist (
+        position SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        referrer_code VARCHAR(64),
+        referred_by VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+        created_at TIMESTAMP DEFAULT NOW(),
+        admitted_at TIMESTAMP,
+        invite_code VARCHAR(64) REFERENCES invites(code)
+      )
+    `,
+
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_email ON waitlist(LOWER(email))`,
+
+    // Magic links - one row per issued token (by its id), so each can be used once
+    sql`
+      CREATE TABLE IF NOT EXISTS magic_links (
+        token_id VARCHAR(64) PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        session_id VARCHAR(255),
+        purpose VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      )
+    `,
+
+    // Admins - who can use /api/admin and the dashboard (owner > grader > viewer)
+    sql`
+      CREATE TABLE IF NOT EXISTS admins (
+        email VARCHAR(255) PRIMARY KEY,
+        role VARCHAR(20) NOT NULL,
+        added_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `
+  ];
+}
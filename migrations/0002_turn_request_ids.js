@@ -0,0 +1,9 @@
+// 0002 - client-supplied request ids on turns, so a retried chat request stores nothing twice
+export const description = 'Add turns.request_id with a per-session unique index';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE turns ADD COLUMN request_id VARCHAR(100)`,
+    sql`CREATE UNIQUE INDEX idx_turns_request ON turns(session_id, request_id) WHERE request_id IS NOT NULL`
+  ];
+}
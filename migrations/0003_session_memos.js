@@ -0,0 +1,16 @@
+// 0003 - rolling per-session memos and the prompt budget used by each turn (lib/context.js)
+export const description = 'Add session_memos and turns.context_usage';
+
+export function up(sql) {
+  return [
+    sql`
+      CREATE TABLE session_memos (
+        session_id VARCHAR(255) PRIMARY KEY,
+        memo TEXT NOT NULL,
+        through_turn INTEGER NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+    sql`ALTER TABLE turns ADD COLUMN context_usage JSONB`
+  ];
+}
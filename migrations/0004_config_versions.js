@@ -0,0 +1,20 @@
+// 0004 - config version snapshots, and the version each session started on and each turn used
+export const description = 'Add config_versions and config_version on sessions and turns';
+
+export function up(sql) {
+  return [
+    sql`
+      CREATE TABLE config_versions (
+        version VARCHAR(64) PRIMARY KEY,
+        cohort VARCHAR(100) NOT NULL,
+        config JSONB NOT NULL,
+        content_sources JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+    sql`ALTER TABLE sessions ADD COLUMN config_version VARCHAR(64)`,
+    sql`ALTER TABLE sessions ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT false`,
+    sql`ALTER TABLE turns ADD COLUMN config_version VARCHAR(64)`,
+    sql`CREATE INDEX idx_turns_config_version ON turns(config_version) WHERE config_version IS NOT NULL`
+  ];
+}
@@ -0,0 +1,15 @@
+// 0005 - claims on client request ids, so only one copy of a chat request generates a reply
+export const description = 'Add request_claims';
+
+export function up(sql) {
+  return [
+    sql`
+      CREATE TABLE request_claims (
+        session_id VARCHAR(255) NOT NULL,
+        request_id VARCHAR(100) NOT NULL,
+        claimed_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (session_id, request_id)
+      )
+    `
+  ];
+}
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+/**
+ * Golden Case Converter
+ *
+ * Converts legacy golden case files in testing/golden-cases/ to the one-case-per-file format
+ * in schema.json (see testing/golden.mjs):
+ *   {persona}-turn{N}-*.json   single cases (name / source / expected / actual) - rewritten in place
+ *   regression-baseline.json   { cases: [{ expectedOutcome: { fitScore: ">=80", key_dimension } }] }
+ *   reorientation-cases.json   { cases: [{ expectedStance, expectedFitScore } | { aggregateData } | { comparison }] }
+ * Collection files are split into {id}.json and removed. Files already in the new format are
+ * left alone, so the converter can be re-run.
+ *
+ * Earlier user messages are looked up in testing/persona-runs-*.json and stored as the case's
+ * context when the run is available.
+ *
+ * Usage:
+ *   node scripts/convert-golden-cases.js             # convert and validate
+ *   node scripts/convert-golden-cases.js --dry-run   # print what would be written
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CASES_DIR, DEFAULT_COHORT, listCaseFiles, validateCase } from '../testing/golden.mjs';
+
+const RUNS_DIR = path.join(CASES_DIR, '..');
+const FIT_TOLERANCE = 5;         // single cases: recorded fit score ± this
+const DIMENSION_TOLERANCE = 1;   // single cases: recorded criterion score - this
+
+const STANCE_KEYS = { O: 'orientation', A: 'agency', C: 'certainty' };
+
+// ========== PARSING ==========
+
+// "<=50", ">= 80", "< 55", "50-70" -> { min?, max? }
+function parseRange(spec) {
+  const text = String(spec).trim();
+  const range = text.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) return { min: Number(range[1]), max: Number(range[2]) };
+
+  const bound = text.match(/^(>=|<=|>|<)\s*(\d+)$/);
+  if (!bound) throw new Error(`Unreadable range: ${text}`);
+  const value = Number(bound[2]);
+  return {
+    '>=': { min: value },
+    '>': { min: value + 1 },
+    '<=': { max: value },
+    '<': { max: value - 1 }
+  }[bound[1]];
+}
+
+// "systems-thinking >= 8", "authenticity <= 7 until concrete examples provided"
+// -> { criterion, min | max, note? }
+function parseDimension(spec) {
+  const match = String(spec).match(/^([\w-]+)\s*(>=|<=|>|<)\s*(\d+)\s*(.*)$/);
+  if (!match) throw new Error(`Unreadable key dimension: ${spec}`);
+  const [, criterion, op, value, note] = match;
+  return { criterion, ...parseRange(`${op}${value}`), ...(note ? { note } : {}) };
+}
+
+// "O <= 2, A >= 3" -> { orientation: { max: 2 }, agency: { min: 3 } }
+function parseStanceRule(spec) {
+  return Object.fromEntries(spec.split(',').map(part => {
+    const match = part.trim().match(/^([OAC])\s*(.+)$/);
+    if (!match) throw new Error(`Unreadable stance rule: ${spec}`);
+    return [STANCE_KEYS[match[1]], parseRange(match[2])];
+  }));
+}
+
+// extractionThinker -> extraction-thinker
+function kebab(name) {
+  return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+// Drop undefined values so optional fields stay out of the file
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// ========== CONTEXT ==========
+
+let personaRuns = null;
+
+function loadPersonaRuns() {
+  if (personaRuns) return personaRuns;
+  personaRuns = [];
+  for (const file of fs.readdirSync(RUNS_DIR).filter(f => /^persona-runs-.*\.json$/.test(f))) {
+    const runs = JSON.parse(fs.readFileSync(path.join(RUNS_DIR, file), 'utf-8'));
+    personaRuns.push(...runs.map(run => ({ ...run, file })));
+  }
+  return personaRuns;
+}
+
+// The persona run a turn was taken from - the named one if given, else any run whose turn
+// has the same user message. Returns { context, run, runsFile } or {}.
+function findRun(persona, turnNumber, userMessage, { runsFile, run } = {}) {
+  if (!turnNumber) return {};
+
+  const matches = (r) => r.personaId === persona && r.turns?.[turnNumber - 1]?.userMessage === userMessage;
+  const runs = loadPersonaRuns();
+  const found = runs.find(r => r.file === runsFile && r.runNumber === run && matches(r)) || runs.find(matches);
+
+  if (!found) return {};
+  return {
+    context: turnNumber > 1 ? found.turns.slice(0, turnNumber - 1).map(t => t.userMessage) : undefined,
+    run: found.runNumber,
+    runsFile: found.file
+  };
+}
+
+// ========== CONVERTERS ==========
+
+// Single legacy case: { name, source, userMessage, expected, actual, aiResponseQuality, analysis }
+function fromSingleCase(data, id) {
+  const { source, expected, actual = {}, aiResponseQuality } = data;
+  const found = findRun(source.persona, source.turnNumber, data.userMessage);
+
+  // Fields outside the schema (fitScoreProgression aside) are kept as notes
+  let quality;
+  if (aiResponseQuality) {
+    const { executionScore, executionNotes, regressionStatus, fitScoreProgression, ...extra } = aiResponseQuality;
+    const notes = [executionNotes, ...Object.entries(extra).map(([key, value]) => `${key}: ${value}`)].filter(Boolean);
+    quality = compact({
+      executionScore,
+      executionNotes: notes.length > 0 ? notes.join('\n') : undefined,
+      regressionStatus,
+      fitScoreProgression
+    });
+  }
+
+  return compact({
+    id,
+    kind: 'turn',
+    name: data.name,
+    cohort: DEFAULT_COHORT,
+    source: compact({
+      persona: source.persona,
+      turnNumber: source.turnNumber,
+      run: found.run,
+      runsFile: found.runsFile,
+      context: source.context
+    }),
+    context: found.context,
+    userMessage: data.userMessage,
+    expected: compact({
+      dialogueAct: expected.dialogueAct,
+      speechAct: expected.speechAct,
+      tier: expected.tier,
+      reason: expected.reason,
+      alternativeTiers: expected.alternativeTiers?.length ? expected.alternativeTiers : undefined,
+      fitScore: actual.fitScore != null
+        ? { min: actual.fitScore - FIT_TOLERANCE, max: actual.fitScore + FIT_TOLERANCE }
+        : undefined,
+      dimensions: (actual.criteria || [])
+        .filter(criterion => actual.rubricScores?.[criterion] != null)
+        .map(criterion => ({ criterion, min: actual.rubricScores[criterion] - DIMENSION_TOLERANCE }))
+    }),
+    actual: compact({
+      response: actual.response,
+      dialogueAct: actual.dialogueAct,
+      speechAct: actual.speechAct,
+      tier: actual.tier,
+      criteria: actual.criteria,
+      rubricScores: actual.rubricScores,
+      fitScore: actual.fitScore,
+      timestamp: actual.timestamp
+    }),
+    aiResponseQuality: quality,
+    analysis: data.analysis
+  });
+}
+
+// regression-baseline.json entry
+function fromBaselineCase(entry) {
+  const { expectedOutcome, metadata = {} } = entry;
+  const found = findRun(entry.persona, entry.turn, entry.userMessage, { runsFile: entry.source, run: entry.run });
+
+  return compact({
+    id: entry.id,
+    kind: 'turn',
+    name: entry.behavior,
+    cohort: DEFAULT_COHORT,
+    source: compact({
+      persona: entry.persona,
+      turnNumber: entry.turn,
+      run: entry.run,
+      runsFile: entry.source
+    }),
+    context: found.context,
+    userMessage: entry.userMessage,
+    expected: compact({
+      dialogueAct: expectedOutcome.dialogueAct,
+      tier: 'A',
+      fitScore: expectedOutcome.fitScore ? parseRange(expectedOutcome.fitScore) : undefined,
+      dimensions: expectedOutcome.key_dimension ? [parseDimension(expectedOutcome.key_dimension)] : undefined
+    }),
+    actual: compact({
+      response: entry.aiResponse,
+      dialogueAct: metadata.dialogueAct,
+      speechAct: metadata.speechAct,
+      rubricScores: metadata.rubricScores,
+      fitScore: metadata.fitScore,
+      allFloorsPass: metadata.allFloorsPass
+    }),
+    analysis: [entry.why_it_matters, entry.note].filter(Boolean).join('\n\n') || undefined
+  });
+}
+
+// reorientation-cases.json entry: a stance turn, runs aggregate, or persona comparison
+function fromStanceCase(entry, regressionCriteria = {}) {
+  const groupExpected = (persona) => {
+    const rule = regressionCriteria[persona];
+    if (!rule) return undefined;
+    return compact({
+      stance: rule.stanceMustBe ? parseStanceRule(rule.stanceMustBe) : undefined,
+      fitScore: rule.fitScoreMustBe ? parseRange(rule.fitScoreMustBe) : undefined
+    });
+  };
+
+  const base = (kind) => ({
+    id: entry.id,
+    kind,
+    name: entry.description,
+    cohort: DEFAULT_COHORT
+  });
+
+  if (entry.userMessage) {
+    const run = Number(String(entry.source).match(/Run (\d+)/)?.[1]) || undefined;
+    const found = findRun(entry.personaId, entry.turn, entry.userMessage, { run });
+    return compact({
+      ...base('turn'),
+      source: compact({ persona: entry.personaId, turnNumber: entry.turn, run, context: entry.source }),
+      context: found.context,
+      userMessage: entry.userMessage,
+      expected: compact({
+        dialogueAct: entry.dialogueAct,
+        tier: 'A',
+        reason: entry.expectedBehavior,
+        fitScore: entry.expectedFitScore ? parseRange(entry.expectedFitScore) : undefined,
+        stance: entry.expectedStance,
+        allFloorsPass: entry.allFloorsPass,
+        stanceSignals: entry.stanceSignals
+      }),
+      analysis: entry.notes
+    });
+  }
+
+  let groups;
+  if (entry.aggregateData) {
+    groups = [compact({
+      persona: entry.personaId,
+      runs: Object.entries(entry.aggregateData).map(([key, run]) => compact({
+        run: Number(key.replace('run', '')),
+        fitScore: run.finalFitScore,
+        stance: run.finalStance || run.turn1Stance,
+        stanceTurn: run.turn1Stance ? 1 : undefined
+      })),
+      expected: groupExpected(entry.personaId)
+    })];
+  } else {
+    groups = Object.entries(entry.comparison).map(([name, summary]) => {
+      const persona = kebab(name);
+      return compact({
+        persona,
+        average: compact({
+          stance: summary.averageStance,
+          fitScore: summary.averageFitScore,
+          allFloorsPass: summary.allFloorsPass
+        }),
+        expected: groupExpected(persona)
+      });
+    });
+  }
+
+  return compact({
+    ...base('aggregate'),
+    source: { persona: groups[0].persona, context: entry.source },
+    expected: { reason: entry.expectedBehavior },
+    groups,
+    analysis: entry.notes
+  });
+}
+
+// ========== MAIN ==========
+
+function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const written = [];
+  const removed = [];
+
+  for (const file of listCaseFiles()) {
+    const filePath = path.join(CASES_DIR, file);
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+    if (data.kind) continue;  // already converted
+
+    let converted;
+    if (!Array.isArray(data.cases)) {
+      converted = [fromSingleCase(data, path.basename(file, '.json'))];
+    } else if (data.cases.some(c => c.expectedOutcome)) {
+      converted = data.cases.map(entry => fromBaselineCase(entry));
+    } else {
+      converted = data.cases.map(entry => fromStanceCase(entry, data.regressionCriteria));
+    }
+
+    for (const goldenCase of converted) {
+      const outFile = `${goldenCase.id}.json`;
+      if (outFile !== file && fs.existsSync(path.join(CASES_DIR, outFile))) {
+        console.error(`✗ ${file}: ${outFile} already exists`);
+        process.exit(1);
+      }
+      written.push({ file: outFile, goldenCase, from: file });
+    }
+    if (Array.isArray(data.cases)) removed.push(file);
+  }
+
+  if (written.length === 0) {
+    console.log('Nothing to convert.');
+    return;
+  }
+
+  let invalid = 0;
+  for (const { file, goldenCase, from } of written) {
+    const errors = validateCase(goldenCase, file);
+    invalid += errors.length > 0 ? 1 : 0;
+    const context = goldenCase.context ? `, ${goldenCase.context.length} context message(s)` : '';
+    console.log(`${errors.length > 0 ? '✗' : '✓'} ${from} → ${file} (${goldenCase.kind}${context})`);
+    errors.forEach(error => console.log(`    ${error}`));
+
+    if (!dryRun) {
+      fs.writeFileSync(path.join(CASES_DIR, file), JSON.stringify(goldenCase, null, 2) + '\n');
+    }
+  }
+
+  for (const file of removed) {
+    console.log(`  removed ${file}`);
+    if (!dryRun) fs.unlinkSync(path.join(CASES_DIR, file));
+  }
+
+  console.log(`\n${dryRun ? 'Would convert' : 'Converted'} ${written.length} case(s), ${invalid} with validation errors.`);
+  if (invalid > 0) process.exit(1);
+}
+
+main();
@@ -11,14 +11,17 @@
  *   1. Load conversation transcript (from Playwright output or exported KV data)
  *   2. Display each turn with metadata
  *   3. Ask user which turns are notable
- *   4. Create golden case JSON files
+ *   4. Create golden case JSON files (format: testing/golden-cases/schema.json)
  */
 
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
+import { CASES_DIR, DEFAULT_COHORT, validateCase } from '../testing/golden.mjs';
 
-const GOLDEN_CASES_DIR = './golden-cases';
+const GOLDEN_CASES_DIR = CASES_DIR;
+const FIT_TOLERANCE = 5;         // expected fit window: recorded score ± this
+const DIMENSION_TOLERANCE = 1;   // expected dimension floor: recorded criterion score - this
 
 // Ensure golden-cases directory exists
 fs.mkdirSync(GOLDEN_CASES_DIR, { recursive: true });
@@ -80,19 +83,27 @@ async function analyzeTranscript(transcript) {
       const expectedTier = await question('  Expected tier (A/B/C, default A): ');
 
       const goldenCase = {
+        kind: 'turn',
         name: name || `Turn ${i + 1} - ${transcript.persona}`,
+        cohort: transcript.cohort || DEFAULT_COHORT,
         source: {
           persona: transcript.persona || 'unknown',
           turnNumber: i + 1,
           context: context || 'Notable interaction'
         },
+        context: transcript.turns.slice(0, i).map(t => t.userMessage),
         userMessage: turn.userMessage,
         expected: {
           dialogueAct: expectedDialogueAct || turn.dialogueAct || 'probe_deeper',
           speechAct: turn.speechAct || 'directive',
           tier: expectedTier.toUpperCase() || 'A',
           reason: context,
-          alternativeTiers: []
+          ...(turn.fitScore != null && {
+            fitScore: { min: turn.fitScore - FIT_TOLERANCE, max: turn.fitScore + FIT_TOLERANCE }
+          }),
+          dimensions: (turn.criteria || [])
+            .filter(criterion => turn.rubricScores?.[criterion] != null)
+            .map(criterion => ({ criterion, min: turn.rubricScores[criterion] - DIMENSION_TOLERANCE }))
         },
         actual: {
           response: turn.response,
@@ -100,16 +111,9 @@ async function analyzeTranscript(transcript) {
           speechAct: turn.speechAct,
           tier: 'A',
           criteria: turn.criteria || [],
-          rubricScores: turn.rubricScores || {
-            'depth-of-questioning': null,
-            'self-awareness': null,
-            'systems-thinking': null,
-            'experimentation-evidence': null,
-            'authenticity': null,
-            'reciprocal-curiosity': null
-          },
-          fitScore: turn.fitScore || null,
-          timestamp: turn.timestamp
+          ...(turn.rubricScores && { rubricScores: turn.rubricScores }),
+          fitScore: turn.fitScore ?? null,
+          ...(turn.timestamp && { timestamp: turn.timestamp })
         },
         aiResponseQuality: {
           executionScore: null,
@@ -118,6 +122,7 @@ async function analyzeTranscript(transcript) {
         },
         analysis: context
       };
+      if (goldenCase.context.length === 0) delete goldenCase.context;
 
       goldenCases.push(goldenCase);
       console.log(`✓ Added: ${goldenCase.name}`);
@@ -127,51 +132,25 @@ async function analyzeTranscript(transcript) {
   return goldenCases;
 }
 
-function validateGoldenCase(gc) {
-  // Basic schema validation
-  const errors = [];
-
-  if (!gc.name) errors.push('Missing name');
-  if (!gc.source || !gc.source.persona || !gc.source.turnNumber) errors.push('Invalid source');
-  if (!gc.userMessage) errors.push('Missing userMessage');
-  if (!gc.expected || !gc.expected.dialogueAct || !gc.expected.speechAct || !gc.expected.tier) errors.push('Invalid expected');
-  if (!gc.actual || !gc.actual.response) errors.push('Invalid actual');
-
-  // Validate enums
-  const validDialogueActs = ['open_with_question', 'probe_deeper', 'ask_for_concrete', 'validate_genuine', 'redirect_from_surface', 'reflect_understanding', 'affirm_commitment'];
-  const validSpeechActs = ['assertive', 'directive', 'expressive', 'commissive', 'declarative'];
-  const validTiers = ['A', 'B', 'C'];
-
-  if (!validDialogueActs.includes(gc.expected.dialogueAct)) {
-    errors.push(`Invalid dialogueAct: ${gc.expected.dialogueAct}`);
-  }
-  if (!validSpeechActs.includes(gc.expected.speechAct)) {
-    errors.push(`Invalid speechAct: ${gc.expected.speechAct}`);
-  }
-  if (!validTiers.includes(gc.expected.tier)) {
-    errors.push(`Invalid tier: ${gc.expected.tier}`);
-  }
-
-  return { valid: errors.length === 0, errors };
-}
-
 function saveGoldenCases(cases, persona) {
   const saved = [];
 
   cases.forEach((gc, idx) => {
+    // Create filename from name or use default; the id matches it
+    const id = `${persona}-turn${gc.source.turnNumber}-${gc.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 30).replace(/^-|-$/g, '')}`;
+    const filename = `${id}.json`;
+    const filepath = path.join(GOLDEN_CASES_DIR, filename);
+    gc = { id, ...gc };
+
     // Validate before saving
-    const validation = validateGoldenCase(gc);
-    if (!validation.valid) {
+    const errors = validateCase(gc, filename);
+    if (errors.length > 0) {
       console.warn(`⚠ Warning: Golden case ${idx + 1} has issues:`);
-      validation.errors.forEach(err => console.warn(`  - ${err}`));
-      console.warn('  Saving anyway...');
+      errors.forEach(err => console.warn(`  - ${err}`));
+      console.warn('  Saving anyway (check with npm run test:golden:validate)...');
     }
 
-    // Create filename from name or use default
-    const filename = `${persona}-turn${gc.source.turnNumber}-${gc.name.toLowerCase().replace(/\s+/g, '-').substring(0, 30)}.json`;
-    const filepath = path.join(GOLDEN_CASES_DIR, filename);
-
-    fs.writeFileSync(filepath, JSON.stringify(gc, null, 2));
+    fs.writeFileSync(filepath, JSON.stringify(gc, null, 2) + '\n');
     saved.push(filepath);
     console.log(`✓ Saved: ${filepath}`);
   });
@@ -213,7 +192,7 @@ Interactive workflow:
   1. Shows each turn from the transcript
   2. You review and select notable turns
   3. You provide golden case details (name, context, expected behavior)
-  4. Golden case JSON files are created in ./golden-cases/
+  4. Golden case JSON files are created in testing/golden-cases/
 `);
     return;
   }
@@ -241,7 +220,7 @@ Interactive workflow:
     }
 
     console.log(`\n\nExtracted ${goldenCases.length} golden case(s)`);
-    console.log('Saving to ./golden-cases/...\n');
+    console.log('Saving to testing/golden-cases/...\n');
 
     const saved = saveGoldenCases(goldenCases, transcript.persona);
 
@@ -62,7 +62,7 @@ async function sendMessage(input, sessionId) {
     if (data === '[DONE]') continue;
     try {
       const parsed = JSON.parse(data);
-      if (parsed.text) aiResponse = parsed.text;
+      if (parsed.text) aiResponse += parsed.text;
       if (parsed.type === 'metadata') metadata = parsed;
     } catch (e) {}
   }
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migrations CLI
+ *
+ * Applies the numbered migrations in migrations/ to DATABASE_URL.
+ * Usage:
+ *   node scripts/migrate.js                  Apply every pending migration
+ *   node scripts/migrate.js up --to <n>      Apply pending migrations up to version n
+ *   node scripts/migrate.js status           Show applied and pending migrations
+ *   node scripts/migrate.js baseline <n>     Mark versions up to n as applied without running them
+ */
+
+import { getMigrationStatus, runMigrations, baselineMigrations } from '../lib/migrations.js';
+
+function printStatus(status) {
+  console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+  for (const m of status.applied) {
+    console.log(`  ✓ ${m.name}  ${m.appliedAt}${m.baselined ? '  (baselined)' : ''}`);
+  }
+  for (const m of status.pending) {
+    console.log(`  · ${m.name}  pending`);
+  }
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const toIndex = args.indexOf('--to');
+      const to = toIndex !== -1 ? parseInt(args[toIndex + 1], 10) : null;
+      if (toIndex !== -1 && !Number.isInteger(to)) {
+        throw new Error('--to needs a version number');
+      }
+
+      const { applied, current } = await runMigrations({ to });
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s); schema version ${current}`
+        : `Nothing to apply; schema version ${current}`);
+      break;
+    }
+
+    case 'status':
+      printStatus(await getMigrationStatus());
+      break;
+
+    case 'baseline': {
+      const version = parseInt(args[0], 10);
+      if (!Number.isInteger(version)) {
+        throw new Error('baseline needs a version number, e.g. node scripts/migrate.js baseline 1');
+      }
+
+      const { baselined } = await baselineMigrations(version);
+      console.log(`Baselined ${baselined.length} migration(s)`);
+      break;
+    }
+
+    default:
+      console.log(`Schema Migrations
+
+Usage:
+  node scripts/migrate.js                  Apply every pending migration
+  node scripts/migrate.js up --to <n>      Apply pending migrations up to version n
+  node scripts/migrate.js status           Show applied and pending migrations
+  node scripts/migrate.js baseline <n>     Mark versions up to n as applied without running them
+`);
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Chat Handler Tests - in process, fake provider and memory storage
+ *
+ * Calls the /api/chat handler directly, several requests at once, so they interleave at
+ * every await the way overlapping requests do on a server. Checks that copies of one request
+ * generate a single reply, that overlapping turns all land in the session assessment and
+ * that a turn storage failed to keep is not assessed.
+ *
+ * Run: node test/chat.test.mjs
+ */
+
+process.env.MOCK_MODE = 'true';
+
+const { default: handler } = await import('../api/chat.js');
+const { getStorage } = await import('../lib/storage/index.js');
+
+let passed = 0;
+let failed = 0;
+
+async function it(description, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${description}`);
+  } catch (error) {
+    failed++;
+    console.log(`  ✗ ${description}\n    ${error.message}`);
+  }
+}
+
+function expectEqual(actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+// Run one chat request; resolves to { status, text, metadata } once the response ends
+function chat(body) {
+  return new Promise(resolve => {
+    const events = [];
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      setHeader() {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+      },
+      write(chunk) {
+        this.headersSent = true;
+        for (const line of chunk.split('\n')) {
+          if (line.startsWith('data: ') && line !== 'data: [DONE]') events.push(JSON.parse(line.slice(6)));
+        }
+      },
+      end() {
+        resolve({
+          status: this.statusCode,
+          text: events.filter(e => e.text).map(e => e.text).join(''),
+          metadata: events.find(e => e.type === 'metadata')
+        });
+      }
+    };
+    handler({ method: 'POST', headers: {}, query: {}, body }, res);
+  });
+}
+
+async function runTests() {
+  const storage = getStorage({ mock: true });
+
+  console.log('\nChat Concurrency');
+
+  await it('should generate one reply for concurrent copies of a request and replay it to the rest', async () => {
+    const body = { message: 'I want to build meaningful things', sessionId: 'concurrent-copies', requestId: 'copy-1' };
+    const copies = await Promise.all([chat(body), chat(body), chat(body)]);
+    const { turns } = await storage.getConversation('concurrent-copies');
+
+    expectEqual(turns.length, 1);
+    expectEqual(copies.map(c => c.status), [200, 200, 200]);
+    expectEqual(copies.filter(c => !c.metadata.replayed).length, 1);
+    expectEqual(copies.map(c => c.text), copies.map(() => turns[0].ai_response));
+  });
+
+  await it('should keep the evidence of every overlapping turn in the session assessment', async () => {
+    const sessionId = 'overlapping-turns';
+    const replies = await Promise.all(['turn-a', 'turn-b', 'turn-c'].map(requestId =>
+      chat({ message: 'I want to build meaningful things', sessionId, requestId })
+    ));
+    const { assessment } = await storage.getSessionAssessment(sessionId);
+
+    expectEqual(replies.map(r => r.status), [200, 200, 200]);
+    expectEqual(assessment.turnsAssessed, 3);
+    expectEqual(assessment.revision, 3);
+  });
+
+  console.log('\nStorage Failures');
+
+  await it('should leave the assessment alone when a turn cannot be stored', async () => {
+    const sessionId = 'store-failure';
+    const message = 'I want to build meaningful things';
+    await chat({ message, sessionId, requestId: 'stored-1' });
+
+    const storeTurn = storage.storeTurn;
+    storage.storeTurn = async () => { throw new Error('connection lost'); };
+    const unstored = await chat({ message, sessionId, requestId: 'unstored' });
+    storage.storeTurn = storeTurn;
+    const afterFailure = (await storage.getSessionAssessment(sessionId)).assessment;
+
+    const retried = await chat({ message, sessionId, requestId: 'unstored' });
+    const { turns } = await storage.getConversation(sessionId);
+    const { assessment } = await storage.getSessionAssessment(sessionId);
+
+    expectEqual(unstored.status, 200);
+    expectEqual([afterFailure.turnsAssessed, afterFailure.lastTurn], [1, 1]);
+    expectEqual(retried.metadata.replayed, undefined);
+    expectEqual(turns.map(t => t.turn_number), [1, 2]);
+    expectEqual([assessment.turnsAssessed, assessment.lastTurn], [2, 2]);
+  });
+
+  console.log(`\nPassed: ${passed}  Failed: ${failed}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error(`Test runner error: ${err.message}`);
+  process.exit(1);
+});
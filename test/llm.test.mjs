@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * LLM Provider Tests - in process, no network
+ *
+ * Checks which provider a model block resolves to (fake under MOCK_MODE, the configured one
+ * otherwise) and the shape of what the fake provider returns. Provider API keys are unset
+ * for the run, so a real provider can only fail on configuration, never reach the network.
+ *
+ * Run: node test/llm.test.mjs
+ */
+
+import { resolveModel, listProviders, streamChat, completeChat, transcribe, synthesizeSpeech } from '../lib/llm.js';
+import { listCohorts, loadCohortConfig, getCriterionIds } from '../lib/cohort-config.js';
+
+const SPEECH_ACTS = ['assertive', 'directive', 'expressive', 'commissive', 'declarative'];
+
+let passed = 0;
+let failed = 0;
+
+async function it(description, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${description}`);
+  } catch (error) {
+    failed++;
+    console.log(`  ✗ ${description}\n    ${error.message}`);
+  }
+}
+
+function expectEqual(actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+async function expectRejects(promise, message) {
+  try {
+    await promise;
+  } catch (error) {
+    if (!error.message.includes(message)) {
+      throw new Error(`Expected an error containing "${message}", got "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`Expected an error containing "${message}", but it resolved`);
+}
+
+async function runTests() {
+  delete process.env.GROQ_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+
+  const model = {
+    provider: 'groq',
+    id: 'llama-3.3-70b-versatile',
+    temperature: 0.7,
+    retries: 0,
+    fallbacks: [{ provider: 'openai', id: 'gpt-4o-mini' }]
+  };
+  const config = loadCohortConfig(listCohorts()[0]);
+  const chat = [{ role: 'user', content: 'I want to build meaningful things' }];
+
+  console.log('\nProvider Selection');
+
+  await it('should route every call to the fake provider in mock mode', async () => {
+    const resolved = resolveModel(model, { mock: true });
+
+    expectEqual(resolved.provider, 'fake');
+    expectEqual(resolved.fallbacks, []);
+    expectEqual(resolved.id, model.id);
+    expectEqual(resolved.temperature, model.temperature);
+  });
+
+  await it('should keep the configured provider outside mock mode', async () => {
+    expectEqual(resolveModel(model), model);
+    expectEqual(resolveModel(model, { mock: false }), model);
+  });
+
+  await it('should report a missing API key instead of calling the real provider', async () => {
+    await expectRejects(completeChat(resolveModel(model), chat, { config }), 'GROQ_API_KEY not configured');
+  });
+
+  await it('should skip fallbacks without credentials for one that has them', async () => {
+    const withFake = { ...model, fallbacks: [...model.fallbacks, { provider: 'fake', id: 'fake-fallback' }] };
+    const text = await completeChat(resolveModel(withFake), chat, { config });
+
+    expectEqual(typeof JSON.parse(text).response, 'string');
+  });
+
+  await it('should reject an unknown provider', async () => {
+    await expectRejects(completeChat({ provider: 'nope', id: 'x' }, chat), 'Unknown LLM provider: nope');
+    expectEqual(listProviders().includes('fake'), true);
+  });
+
+  console.log('\nFake Provider');
+  const fake = resolveModel(model, { mock: true });
+
+  await it('should stream a chat reply in more than one piece', async () => {
+    const deltas = [];
+    for await (const delta of streamChat(fake, chat, { config })) {
+      deltas.push(delta);
+    }
+
+    expectEqual(deltas.length > 1, true);
+    JSON.parse(deltas.join(''));
+  });
+
+  await it('should answer with a response and an evaluation for every cohort rubric', async () => {
+    for (const cohort of listCohorts()) {
+      const cohortConfig = loadCohortConfig(cohort);
+      const reply = JSON.parse(await completeChat(fake, chat, { config: cohortConfig }));
+
+      expectEqual(typeof reply.response, 'string');
+      expectEqual(SPEECH_ACTS.includes(reply.speechAct), true);
+      expectEqual(typeof reply.dialogueAct, 'string');
+      expectEqual(Array.isArray(reply.criteria), true);
+      expectEqual(Object.keys(reply.rubricScores), getCriterionIds(cohortConfig));
+      expectEqual(Object.values(reply.rubricScores).every(s => Number.isInteger(s) && s >= 1 && s <= 10), true);
+      expectEqual(typeof reply.fitScore, 'number');
+      expectEqual(Object.keys(reply.stance).sort(), ['agency', 'certainty', 'orientation']);
+    }
+  });
+
+  await it('should write a memo from the candidate lines of a memo request', async () => {
+    const request = [{ role: 'user', content: 'Current memo:\n- They said: hello\n\nNew turns:\nCandidate: I build boats\nGuide: Why boats?' }];
+    const memo = await completeChat(fake, request, { task: 'memo' });
+
+    expectEqual(memo, '- They said: hello\n- They said: I build boats');
+  });
+
+  await it('should transcribe with word timings and synthesize mp3 audio', async () => {
+    const { provider, result } = await transcribe(fake, { audio: Buffer.alloc(100), filename: 'a.webm', mimeType: 'audio/webm' });
+
+    expectEqual(provider, 'fake');
+    expectEqual(typeof result.text, 'string');
+    expectEqual(result.words.every(w => typeof w.word === 'string' && w.end > w.start), true);
+    expectEqual(Buffer.isBuffer(await synthesizeSpeech(fake, { text: 'hi', voice: 'alloy' })), true);
+  });
+
+  console.log(`\nPassed: ${passed}  Failed: ${failed}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error(`Test runner error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+
+/**
+ * Persona Run Analyzer
+ *
+ * Scores a run-personas.mjs results file against what each persona is expected to draw out:
+ *   dialogue acts  - coverage of the persona's expectedDialogueActs, share of turns on them
+ *   dimensions     - each targetRubricDimensions criterion: final and mean score, scoreGuide
+ *                    band and floor from the run's cohort config
+ *   stance         - trajectory per dimension (first → last) and how often it moved
+ *   variance       - fit score, target dimension and stance spread across a persona's runs
+ *   exits          - how the runs ended (run-personas.mjs exit types), when recorded
+ * Aggregate golden cases (testing/golden-cases/) whose personas are in the file are checked
+ * against their group bounds.
+ *
+ * With --baseline, persona-level regressions against an earlier results file are flagged
+ * (thresholds below). Writes JSON for CI plus a Markdown or HTML report to testing/persona-reports/;
+ * exits 1 if any regression is flagged.
+ *
+ * Usage (from the project root):
+ *   node testing/analyze-persona-runs.mjs                                   # latest testing/persona-runs-*.json
+ *   node testing/analyze-persona-runs.mjs testing/persona-runs-123.json --baseline testing/persona-runs-100.json
+ *   node testing/analyze-persona-runs.mjs runs.json --format html
+ *
+ * Options:
+ *   --baseline <file>    Earlier results file to flag regressions against
+ *   --format <md|html>   Human-readable report format (default: md)
+ *   --out <dir>          Report directory (default: testing/persona-reports)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { loadCohortConfig, listCohorts } from '../lib/cohort-config.js';
+import { DEFAULT_COHORT, loadCases, validateCase } from './golden.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.join(__dirname, '..');
+
+const STANCE_DIMENSIONS = ['orientation', 'agency', 'certainty'];
+const EXIT_TYPES = ['positive', 'negative', 'neutral', 'max-turns', 'error'];
+
+// Per-persona flags within one file
+const LOW_COVERAGE = 0.5;        // mean share of expected dialogue acts seen per run
+const HIGH_FIT_SPREAD = 10;      // std dev of final fit score across runs
+
+// Regressions against --baseline (persona means)
+const FIT_SHIFT = 5;             // final fit score moved by more than this, either way
+const COVERAGE_DROP = 0.2;
+const DIMENSION_DROP = 1;        // target dimension final score
+const FIT_SPREAD_RISE = 5;       // final fit score std dev
+const NEGATIVE_EXIT_RISE = 0.2;  // share of runs ending in a negative exit
+
+// ========== HELPERS ==========
+
+const round = (value, places = 2) => value == null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+function mean(values) {
+  const present = values.filter(v => v != null);
+  return present.length ? present.reduce((a, b) => a + b, 0) / present.length : null;
+}
+
+function stdDev(values) {
+  const present = values.filter(v => v != null);
+  if (present.length < 2) return present.length ? 0 : null;
+  const avg = mean(present);
+  return Math.sqrt(present.reduce((sum, v) => sum + (v - avg) ** 2, 0) / present.length);
+}
+
+// scoreGuide band ("7-8") a score falls in
+function scoreBand(criterion, score) {
+  if (score == null || !criterion?.scoreGuide) return null;
+  const rounded = Math.round(score);
+  return Object.keys(criterion.scoreGuide).find(band => {
+    const [lo, hi = lo] = band.split('-').map(Number);
+    return rounded >= lo && rounded <= hi;
+  }) ?? null;
+}
+
+const configCache = new Map();
+
+// Rubric criteria by id for a cohort (the default cohort when the run didn't record one)
+function criteriaFor(cohort) {
+  const id = cohort && listCohorts().includes(cohort) ? cohort : DEFAULT_COHORT;
+  if (!configCache.has(id)) {
+    const config = loadCohortConfig(id);
+    configCache.set(id, new Map(config.rubric.criteria.map(c => [c.id, c])));
+  }
+  return configCache.get(id);
+}
+
+// ========== PER RUN ==========
+
+function analyzeActs(run) {
+  const expected = run.expectedDialogueActs || [];
+  const acts = run.turns.map(t => t.dialogueAct).filter(Boolean);
+  const observed = [...new Set(acts)];
+  const covered = expected.filter(act => observed.includes(act));
+  return {
+    expected,
+    observed,
+    covered,
+    missing: expected.filter(act => !observed.includes(act)),
+    coverage: expected.length ? round(covered.length / expected.length) : null,
+    onExpected: acts.length ? round(acts.filter(act => expected.includes(act)).length / acts.length) : null
+  };
+}
+
+function analyzeDimensions(run) {
+  const criteria = criteriaFor(run.cohort);
+  const scored = run.turns.filter(t => t.rubricScores);
+  const last = scored[scored.length - 1];
+
+  return (run.targetRubricDimensions || []).map(id => {
+    const criterion = criteria.get(id);
+    const values = scored.map(t => t.rubricScores[id]).filter(v => v != null);
+    const final = last?.rubricScores?.[id] ?? null;
+    return {
+      criterion: id,
+      inRubric: Boolean(criterion),
+      final,
+      mean: round(mean(values)),
+      peak: values.length ? Math.max(...values) : null,
+      band: scoreBand(criterion, final),
+      meetsFloor: criterion && final != null ? final >= criterion.floor : null
+    };
+  });
+}
+
+// First and last stance read per dimension, and how many turns it changed on
+function analyzeStance(run) {
+  const stances = run.turns.map(t => t.stance).filter(Boolean);
+  if (stances.length === 0) return null;
+
+  return Object.fromEntries(STANCE_DIMENSIONS.map(dimension => {
+    const values = stances.map(s => s[dimension]).filter(v => v != null);
+    const first = values[0] ?? null;
+    const last = values[values.length - 1] ?? null;
+    const changes = values.slice(1).filter((v, i) => v !== values[i]).length;
+    const delta = first != null && last != null ? last - first : null;
+    return [dimension, {
+      first,
+      last,
+      delta,
+      trend: delta == null ? null : delta > 0 ? 'rising' : delta < 0 ? 'falling' : 'flat',
+      changes
+    }];
+  }));
+}
+
+function analyzeRun(run) {
+  const fits = run.turns.map(t => t.fitScore).filter(v => v != null);
+  return {
+    runNumber: run.runNumber,
+    sessionId: run.sessionId,
+    cohort: run.cohort ?? null,
+    configVersion: run.configVersion ?? null,
+    turnCount: run.turnCount ?? run.turns.length,
+    fitScore: {
+      first: fits[0] ?? null,
+      final: run.finalFitScore ?? fits[fits.length - 1] ?? null,
+      peak: fits.length ? Math.max(...fits) : null
+    },
+    dialogueActs: analyzeActs(run),
+    dimensions: analyzeDimensions(run),
+    stance: analyzeStance(run),
+    exit: run.exit ?? null
+  };
+}
+
+// ========== PER PERSONA ==========
+
+function summarizePersona(personaId, runs) {
+  const analyzed = runs.map(analyzeRun);
+  const finals = analyzed.map(r => r.fitScore.final);
+  const withStance = analyzed.filter(r => r.stance);
+  const withExit = analyzed.filter(r => r.exit);
+
+  const dimensions = (runs[0].targetRubricDimensions || []).map(id => {
+    const values = analyzed.map(r => r.dimensions.find(d => d.criterion === id)?.final);
+    return {
+      criterion: id,
+      mean: round(mean(values)),
+      stdDev: round(stdDev(values)),
+      floorPassRate: round(mean(analyzed.map(r => {
+        const meets = r.dimensions.find(d => d.criterion === id)?.meetsFloor;
+        return meets == null ? null : Number(meets);
+      })))
+    };
+  });
+
+  const summary = {
+    personaId,
+    personaName: runs[0].personaName,
+    cohorts: [...new Set(analyzed.map(r => r.cohort).filter(Boolean))],
+    runs: analyzed.length,
+    turns: { mean: round(mean(analyzed.map(r => r.turnCount)), 1) },
+    fitScore: {
+      mean: round(mean(finals), 1),
+      stdDev: round(stdDev(finals), 1),
+      min: finals.some(v => v != null) ? Math.min(...finals.filter(v => v != null)) : null,
+      max: finals.some(v => v != null) ? Math.max(...finals.filter(v => v != null)) : null
+    },
+    dialogueActs: {
+      expected: runs[0].expectedDialogueActs || [],
+      coverage: round(mean(analyzed.map(r => r.dialogueActs.coverage))),
+      onExpected: round(mean(analyzed.map(r => r.dialogueActs.onExpected))),
+      neverSeen: (runs[0].expectedDialogueActs || []).filter(act => !analyzed.some(r => r.dialogueActs.covered.includes(act)))
+    },
+    dimensions,
+    stance: withStance.length === 0 ? null : Object.fromEntries(STANCE_DIMENSIONS.map(dimension => {
+      const lasts = withStance.map(r => r.stance[dimension].last);
+      return [dimension, {
+        mean: round(mean(lasts)),
+        stdDev: round(stdDev(lasts)),
+        meanDelta: round(mean(withStance.map(r => r.stance[dimension].delta)))
+      }];
+    })),
+    exits: withExit.length === 0 ? null : Object.fromEntries(
+      EXIT_TYPES.map(type => [type, withExit.filter(r => r.exit.type === type).length]).filter(([, n]) => n > 0)
+    ),
+    flags: [],
+    details: analyzed
+  };
+
+  if (summary.dialogueActs.coverage != null && summary.dialogueActs.coverage < LOW_COVERAGE) {
+    summary.flags.push(`Low dialogue act coverage (${summary.dialogueActs.coverage} < ${LOW_COVERAGE})`);
+  }
+  if (summary.dialogueActs.neverSeen.length > 0) {
+    summary.flags.push(`Expected act(s) never seen: ${summary.dialogueActs.neverSeen.join(', ')}`);
+  }
+  if (summary.fitScore.stdDev != null && summary.fitScore.stdDev > HIGH_FIT_SPREAD) {
+    summary.flags.push(`High fit score spread across runs (std dev ${summary.fitScore.stdDev} > ${HIGH_FIT_SPREAD})`);
+  }
+  for (const d of dimensions.filter(d => d.floorPassRate != null && d.floorPassRate < 1)) {
+    summary.flags.push(`${d.criterion} below its floor in ${round((1 - d.floorPassRate) * 100, 0)}% of runs`);
+  }
+  const missingFromRubric = analyzed[0].dimensions.filter(d => !d.inRubric).map(d => d.criterion);
+  if (missingFromRubric.length > 0) {
+    summary.flags.push(`Target dimension(s) not in the cohort rubric: ${missingFromRubric.join(', ')}`);
+  }
+
+  return summary;
+}
+
+// ========== GOLDEN AGGREGATES ==========
+
+function inRange(value, { min = -Infinity, max = Infinity } = {}) {
+  return value != null && value >= min && value <= max;
+}
+
+// Check each aggregate golden case group whose persona ran against its bounds, run by run
+function checkAggregateCases(results) {
+  const checked = [];
+  for (const { file, data } of loadCases()) {
+    if (data.kind !== 'aggregate' || validateCase(data, file).length > 0) continue;
+
+    const groups = data.groups
+      .filter(group => group.expected && results.some(r => r.personaId === group.persona))
+      .map(group => {
+        const runs = results.filter(r => r.personaId === group.persona).map(run => {
+          const stance = [...run.turns].reverse().find(t => t.stance)?.stance;
+          const misses = [];
+          if (group.expected.fitScore && !inRange(run.finalFitScore, group.expected.fitScore)) {
+            misses.push(`fitScore ${run.finalFitScore ?? 'n/a'}`);
+          }
+          for (const [dimension, range] of Object.entries(group.expected.stance || {})) {
+            if (!inRange(stance?.[dimension], range)) misses.push(`${dimension} ${stance?.[dimension] ?? 'n/a'}`);
+          }
+          return { runNumber: run.runNumber, misses };
+        });
+        return { persona: group.persona, passed: runs.filter(r => r.misses.length === 0).length, total: runs.length, runs };
+      });
+
+    if (groups.length > 0) {
+      checked.push({ id: data.id, name: data.name, pass: groups.every(g => g.passed === g.total), groups });
+    }
+  }
+  return checked;
+}
+
+// ========== REGRESSIONS ==========
+
+// Persona-level changes from a baseline analysis beyond the thresholds above
+function findRegressions(baseline, current) {
+  const before = new Map(baseline.map(p => [p.personaId, p]));
+  const regressions = [];
+  const flag = (persona, metric, from, to, message) => regressions.push({
+    persona, metric, from, to, delta: round(to - from), message
+  });
+
+  for (const persona of current) {
+    const old = before.get(persona.personaId);
+    if (!old) continue;
+    const id = persona.personaId;
+
+    if (old.fitScore.mean != null && persona.fitScore.mean != null && Math.abs(persona.fitScore.mean - old.fitScore.mean) > FIT_SHIFT) {
+      flag(id, 'fitScore.mean', old.fitScore.mean, persona.fitScore.mean, `Mean final fit score moved by more than ${FIT_SHIFT}`);
+    }
+    if (old.fitScore.stdDev != null && persona.fitScore.stdDev != null && persona.fitScore.stdDev - old.fitScore.stdDev > FIT_SPREAD_RISE) {
+      flag(id, 'fitScore.stdDev', old.fitScore.stdDev, persona.fitScore.stdDev, `Fit score spread rose by more than ${FIT_SPREAD_RISE}`);
+    }
+    if (old.dialogueActs.coverage != null && persona.dialogueActs.coverage != null && old.dialogueActs.coverage - persona.dialogueActs.coverage > COVERAGE_DROP) {
+      flag(id, 'dialogueActs.coverage', old.dialogueActs.coverage, persona.dialogueActs.coverage, `Dialogue act coverage dropped by more than ${COVERAGE_DROP}`);
+    }
+    for (const dimension of persona.dimensions) {
+      const previous = old.dimensions.find(d => d.criterion === dimension.criterion);
+      if (previous?.mean != null && dimension.mean != null && previous.mean - dimension.mean > DIMENSION_DROP) {
+        flag(id, `dimensions.${dimension.criterion}`, previous.mean, dimension.mean, `Target dimension dropped by more than ${DIMENSION_DROP}`);
+      }
+    }
+    if (old.exits && persona.exits) {
+      const negativeShare = p => (p.exits.negative || 0) / p.runs;
+      if (negativeShare(persona) - negativeShare(old) > NEGATIVE_EXIT_RISE) {
+        flag(id, 'exits.negative', round(negativeShare(old)), round(negativeShare(persona)), `Share of negative exits rose by more than ${NEGATIVE_EXIT_RISE}`);
+      }
+    }
+  }
+
+  return {
+    regressions,
+    added: current.filter(p => !before.has(p.personaId)).map(p => p.personaId),
+    removed: baseline.filter(p => !current.some(c => c.personaId === p.personaId)).map(p => p.personaId)
+  };
+}
+
+// ========== REPORTS ==========
+
+const fmt = value => value == null ? 'n/a' : String(value);
+const pct = value => value == null ? 'n/a' : `${Math.round(value * 100)}%`;
+
+// Report sections as { title, headers, rows } tables or { title, items } lists, shared by both renderers
+function reportSections(report) {
+  const { personas, golden, comparison } = report;
+  const sections = [{
+    title: 'Personas',
+    headers: ['Persona', 'Runs', 'Turns', 'Fit mean', 'Fit std dev', 'Fit range', 'Act coverage', 'On expected acts', 'Exits'],
+    rows: personas.map(p => [
+      p.personaId, p.runs, fmt(p.turns.mean), fmt(p.fitScore.mean), fmt(p.fitScore.stdDev),
+      `${fmt(p.fitScore.min)}-${fmt(p.fitScore.max)}`, pct(p.dialogueActs.coverage), pct(p.dialogueActs.onExpected),
+      p.exits ? Object.entries(p.exits).map(([type, n]) => `${type}=${n}`).join(', ') : 'n/a'
+    ])
+  }, {
+    title: 'Target dimensions',
+    headers: ['Persona', 'Criterion', 'Final mean', 'Std dev', 'At floor'],
+    rows: personas.flatMap(p => p.dimensions.map(d => [p.personaId, d.criterion, fmt(d.mean), fmt(d.stdDev), pct(d.floorPassRate)]))
+  }];
+
+  const withStance = personas.filter(p => p.stance);
+  if (withStance.length > 0) {
+    sections.push({
+      title: 'Stance (final read, mean and change over the conversation)',
+      headers: ['Persona', ...STANCE_DIMENSIONS],
+      rows: withStance.map(p => [p.personaId, ...STANCE_DIMENSIONS.map(d => {
+        const { mean: avg, stdDev: spread, meanDelta } = p.stance[d];
+        return `${fmt(avg)} ±${fmt(spread)} (Δ${meanDelta > 0 ? '+' : ''}${fmt(meanDelta)})`;
+      })])
+    });
+  }
+
+  sections.push({
+    title: 'Flags',
+    items: personas.flatMap(p => p.flags.map(f => `${p.personaId}: ${f}`))
+  });
+
+  if (golden.length > 0) {
+    sections.push({
+      title: 'Aggregate golden cases',
+      headers: ['Case', 'Persona', 'Runs in bounds', 'Misses'],
+      rows: golden.flatMap(c => c.groups.map(g => [
+        `${c.pass ? '✓' : '✗'} ${c.id}`, g.persona, `${g.passed}/${g.total}`,
+        g.runs.filter(r => r.misses.length).map(r => `run ${r.runNumber}: ${r.misses.join(', ')}`).join('; ') || '-'
+      ]))
+    });
+  }
+
+  if (comparison) {
+    sections.push({
+      title: `Regressions vs ${comparison.baseline}`,
+      headers: ['Persona', 'Metric', 'Before', 'After', 'Δ', 'Why'],
+      rows: comparison.regressions.map(r => [r.persona, r.metric, fmt(r.from), fmt(r.to), fmt(r.delta), r.message])
+    });
+    if (comparison.added.length || comparison.removed.length) {
+      sections.push({
+        title: 'Personas added / removed',
+        items: [
+          ...comparison.added.map(id => `added: ${id}`),
+          ...comparison.removed.map(id => `removed: ${id}`)
+        ]
+      });
+    }
+  }
+
+  return sections;
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    '# Persona Run Analysis',
+    '',
+    `Runs file: \`${report.runsFile}\` · analyzed ${report.analyzedAt}`,
+    ''
+  ];
+  for (const section of reportSections(report)) {
+    lines.push(`## ${section.title}`, '');
+    if (section.items) {
+      lines.push(...(section.items.length ? section.items.map(item => `- ${item}`) : ['None']), '');
+      continue;
+    }
+    if (section.rows.length === 0) {
+      lines.push('None', '');
+      continue;
+    }
+    lines.push(`| ${section.headers.join(' | ')} |`, `|${section.headers.map(() => '---').join('|')}|`);
+    lines.push(...section.rows.map(row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`), '');
+  }
+  return lines.join('\n');
+}
+
+const escapeHtml = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function renderHtml(report) {
+  const body = reportSections(report).map(section => {
+    const title = `<h2>${escapeHtml(section.title)}</h2>`;
+    if (section.items) {
+      return title + (section.items.length
+        ? `<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '<p>None</p>');
+    }
+    if (section.rows.length === 0) return `${title}<p>None</p>`;
+    const head = `<tr>${section.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`;
+    const rows = section.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+    return `${title}\n<table>\n${head}\n${rows}\n</table>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Persona Run Analysis</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+  th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Persona Run Analysis</h1>
+<p>Runs file: <code>${escapeHtml(report.runsFile)}</code> · analyzed ${escapeHtml(report.analyzedAt)}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+// ========== MAIN ==========
+
+// Most recent testing/persona-runs-*.json
+function findLatestRuns() {
+  const files = fs.readdirSync(__dirname).filter(f => /^persona-runs-\d+\.json$/.test(f)).sort();
+  return files.length > 0 ? path.join(__dirname, files[files.length - 1]) : null;
+}
+
+function loadRuns(file) {
+  const runs = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(runs)) throw new Error(`${file}: expected an array of runs (run-personas.mjs output)`);
+  return runs;
+}
+
+// Per-persona summaries, in the order personas first appear in the file
+function analyzeRuns(runs) {
+  const personaIds = [...new Set(runs.map(r => r.personaId))];
+  return personaIds.map(id => summarizePersona(id, runs.filter(r => r.personaId === id)));
+}
+
+function main() {
+  const { values: flags, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      baseline: { type: 'string' },
+      format: { type: 'string', default: 'md' },
+      out: { type: 'string', default: path.join(__dirname, 'persona-reports') }
+    }
+  });
+
+  if (!['md', 'html'].includes(flags.format)) {
+    console.error(`ERROR: --format must be md or html (got ${flags.format})`);
+    process.exit(1);
+  }
+
+  const runsFile = positionals[0] ? path.resolve(positionals[0]) : findLatestRuns();
+  if (!runsFile || !fs.existsSync(runsFile)) {
+    console.error(`ERROR: Runs file not found: ${positionals[0] || 'no testing/persona-runs-*.json'}`);
+    process.exit(1);
+  }
+
+  const runs = loadRuns(runsFile);
+  const personas = analyzeRuns(runs);
+
+  const report = {
+    analyzedAt: new Date().toISOString(),
+    runsFile: path.relative(projectRoot, runsFile),
+    configVersions: [...new Set(runs.map(r => r.configVersion).filter(Boolean))],
+    personas,
+    golden: checkAggregateCases(runs),
+    comparison: null
+  };
+
+  if (flags.baseline) {
+    const baselineFile = path.resolve(flags.baseline);
+    report.comparison = {
+      baseline: path.relative(projectRoot, baselineFile),
+      ...findRegressions(analyzeRuns(loadRuns(baselineFile)), personas)
+    };
+  }
+
+  fs.mkdirSync(flags.out, { recursive: true });
+  const stem = path.join(flags.out, `persona-report-${Date.now()}`);
+  fs.writeFileSync(`${stem}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${stem}.${flags.format}`, flags.format === 'html' ? renderHtml(report) : renderMarkdown(report));
+
+  console.log('='.repeat(70));
+  console.log(`PERSONA RUN ANALYSIS - ${report.runsFile}`);
+  console.log('='.repeat(70));
+  for (const p of personas) {
+    console.log(`\n${p.personaId} (${p.runs} runs)`);
+    console.log(`  fitScore: mean=${fmt(p.fitScore.mean)} sd=${fmt(p.fitScore.stdDev)}, act coverage=${pct(p.dialogueActs.coverage)}`);
+    p.flags.forEach(f => console.log(`  ⚠ ${f}`));
+  }
+  for (const c of report.golden) {
+    console.log(`\n${c.pass ? '✓' : '✗'} golden ${c.id}: ${c.groups.map(g => `${g.persona} ${g.passed}/${g.total}`).join(', ')}`);
+  }
+
+  const regressions = report.comparison?.regressions || [];
+  if (report.comparison) {
+    console.log(`\nvs ${report.comparison.baseline}: ${regressions.length} regression(s)`);
+    regressions.forEach(r => console.log(`  ✗ ${r.persona} ${r.metric}: ${r.from} → ${r.to}`));
+  }
+
+  console.log(`\nReport saved to: ${path.relative(projectRoot, stem)}.{json,${flags.format}}`);
+  process.exit(regressions.length > 0 ? 1 : 0);
+}
+
+main();
@@ -50,16 +50,22 @@ function parseArgs() {
     process.exit(0);
   }
 
-  return {
-    command: args[0],
-    flags: args.slice(1).reduce((acc, arg) => {
-      if (arg.startsWith('--')) {
-        const [key, val] = arg.slice(2).split('=');
-        acc[key] = val || true;
-      }
-      return acc;
-    }, {})
-  };
+  // --key value, --key=value, or a bare --flag
+  const flags = {};
+  const rest = args.slice(1);
+  for (let i = 0; i < rest.length; i++) {
+    if (!rest[i].startsWith('--')) continue;
+    const [key, ...valueParts] = rest[i].slice(2).split('=');
+    if (valueParts.length > 0) {
+      flags[key] = valueParts.join('=');
+    } else if (rest[i + 1] !== undefined && !rest[i + 1].startsWith('--')) {
+      flags[key] = rest[++i];
+    } else {
+      flags[key] = true;
+    }
+  }
+
+  return { command: args[0], flags };
 }
 
 function showHelp() {
@@ -73,12 +79,17 @@ Usage:
 
 Options:
   --personas <name>    Run specific persona(s) (comma-separated)
-  --runs <n>          Runs per persona (default: 5)
-  --all               Run all personas (default)
+  --runs <n>           Runs per persona (default: 5)
+  --all                Run all personas (default)
+  --cohort <cohort>    Cohort config to run against (default: server assignment)
+  --concurrency <n>    Conversations in flight at once (default: 1)
+  --url <url>          API target (default: API_URL or http://localhost:3000)
+  --out <path>         Results file (default: testing/persona-runs-<timestamp>.json)
 
 Examples:
   node testing/cli.mjs run-personas --all
   node testing/cli.mjs run-personas --personas philosophical-thinker --runs 2
+  node testing/cli.mjs run-personas --personas systems-thinker,extraction-thinker --cohort educator-facilitator --concurrency 2
   node testing/cli.mjs status
 `);
 }
@@ -91,12 +102,16 @@ async function runPersonas(flags) {
   const logFile = path.join(__dirname, `persona-run-${Date.now()}.log`);
   const logStream = fs.createWriteStream(logFile, { flags: 'a' });
 
+  // Everything but the command goes through to run-personas.mjs, which checks it
+  const args = Object.entries(flags).flatMap(([key, val]) => (val === true ? [`--${key}`] : [`--${key}`, String(val)]));
+
   console.log(`\n📊 Starting persona generation`);
-  console.log(`   Output: ${logFile}`);
+  console.log(`   Log: ${logFile}`);
+  console.log(`   Personas: ${flags.all || !flags.personas ? 'all' : flags.personas}`);
   console.log(`   Runs per persona: ${flags.runs || 5}`);
   console.log('');
 
-  const child = spawn('node', [runScript], {
+  const child = spawn('node', [runScript, ...args], {
     env: process.env,
     stdio: ['ignore', 'pipe', 'pipe']
   });
@@ -112,7 +127,7 @@ async function runPersonas(flags) {
       logStream.end();
       if (code === 0) {
         console.log(`\n✓ Persona generation complete`);
-        console.log(`   Results: ${logFile}`);
+        console.log(`   Log: ${logFile}`);
         resolve();
       } else {
         reject(new Error(`Process exited with code ${code}`));
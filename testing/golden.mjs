@@ -0,0 +1,146 @@
+// Golden cases
+// One case per file in testing/golden-cases/, in the format golden-cases/schema.json describes:
+//   turn      - one user message, optionally after the persona's earlier messages (context),
+//               with the dialogue act, fit window, dimension thresholds and stance it should get
+//   aggregate - a pattern across persona runs (stability, variance, persona contrast)
+// The schema's enums aren't hardcoded: enumFrom / propertiesFrom name a list that is filled in
+// here from the case's cohort config (taxonomy, rubric criteria), the cohort configs themselves
+// and the persona files, so a taxonomy or rubric change shows up as validation errors.
+// Run from the project root (cohort configs are read relative to it).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listCohorts, loadCohortConfig, getCriterionIds } from '../lib/cohort-config.js';
+import { validate } from '../lib/evaluation.js';
+import { listPersonas } from './personas.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CASES_DIR = path.join(__dirname, 'golden-cases');
+const SCHEMA_PATH = path.join(CASES_DIR, 'schema.json');
+
+export const DEFAULT_COHORT = 'live-in-collaborator';
+
+// ========== LOADING ==========
+
+// Case file names, sorted
+export function listCaseFiles() {
+  return fs.readdirSync(CASES_DIR)
+    .filter(f => f.endsWith('.json') && f !== 'schema.json')
+    .sort();
+}
+
+// Every case as { file, data }
+export function loadCases() {
+  return listCaseFiles().map(file => ({
+    file,
+    data: JSON.parse(fs.readFileSync(path.join(CASES_DIR, file), 'utf-8'))
+  }));
+}
+
+// ========== SCHEMA ==========
+
+// Inline #/definitions refs and fill enumFrom / propertiesFrom from the named lists
+function resolveSchema(node, root, lists) {
+  if (Array.isArray(node)) return node.map(item => resolveSchema(item, root, lists));
+  if (!node || typeof node !== 'object') return node;
+
+  if (node.$ref) {
+    const name = node.$ref.replace('#/definitions/', '');
+    if (!root.definitions?.[name]) throw new Error(`schema.json: unknown $ref ${node.$ref}`);
+    const { $ref, ...rest } = node;
+    return resolveSchema({ ...root.definitions[name], ...rest }, root, lists);
+  }
+
+  const resolved = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'definitions') continue;
+    if (key === 'enumFrom') {
+      if (!lists[value]) throw new Error(`schema.json: unknown enumFrom list ${value}`);
+      resolved.enum = lists[value];
+    } else if (key === 'propertiesFrom') {
+      if (!lists[value]) throw new Error(`schema.json: unknown propertiesFrom list ${value}`);
+      resolved.properties = Object.fromEntries(lists[value].map(id => [id, resolveSchema(node.propertySchema, root, lists)]));
+    } else if (key !== 'propertySchema') {
+      resolved[key] = resolveSchema(value, root, lists);
+    }
+  }
+  return resolved;
+}
+
+// The case schema for one cohort
+export function buildCaseSchema(cohort) {
+  const config = loadCohortConfig(cohort);
+  const lists = {
+    cohorts: listCohorts(),
+    personas: listPersonas(),
+    dialogueActs: config.taxonomy.dialogueActs,
+    speechActs: config.taxonomy.speechActs,
+    criteria: getCriterionIds(config)
+  };
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+  return resolveSchema(schema, schema, lists);
+}
+
+// ========== VALIDATION ==========
+
+const schemaCache = new Map();
+
+function schemaFor(cohort) {
+  if (!schemaCache.has(cohort)) schemaCache.set(cohort, buildCaseSchema(cohort));
+  return schemaCache.get(cohort);
+}
+
+// Checks the schema can't express
+function checkConsistency(data, file) {
+  const errors = [];
+  const id = path.basename(file, '.json');
+
+  if (data.id !== id) {
+    errors.push(`id: must match the file name (${id})`);
+  }
+
+  if (data.kind === 'turn') {
+    for (const [field, value] of [
+      ['userMessage', data.userMessage],
+      ['source.turnNumber', data.source?.turnNumber],
+      ['expected.dialogueAct', data.expected?.dialogueAct],
+      ['expected.tier', data.expected?.tier]
+    ]) {
+      if (value === undefined) errors.push(`${field}: is required for turn cases`);
+    }
+    if (data.groups !== undefined) errors.push('groups: is only allowed on aggregate cases');
+    if (data.context && data.source?.turnNumber && data.context.length !== data.source.turnNumber - 1) {
+      errors.push(`context: has ${data.context.length} messages, turn ${data.source.turnNumber} needs ${data.source.turnNumber - 1}`);
+    }
+  }
+
+  if (data.kind === 'aggregate') {
+    if (!data.groups?.length) errors.push('groups: is required for aggregate cases');
+    for (const field of ['userMessage', 'context', 'actual']) {
+      if (data[field] !== undefined) errors.push(`${field}: is only allowed on turn cases`);
+    }
+  }
+
+  const ranges = [
+    ['expected.fitScore', data.expected?.fitScore],
+    ...(data.expected?.dimensions || []).map((d, i) => [`expected.dimensions[${i}]`, d]),
+    ...(data.groups || []).map((g, i) => [`groups[${i}].expected.fitScore`, g.expected?.fitScore])
+  ];
+  for (const [field, range] of ranges) {
+    if (!range) continue;
+    if (range.min === undefined && range.max === undefined) errors.push(`${field}: needs min or max`);
+    if (range.min > range.max) errors.push(`${field}: min is above max`);
+  }
+
+  return errors;
+}
+
+// Schema and consistency errors for one case file, as "path: problem" strings
+export function validateCase(data, file) {
+  const cohorts = listCohorts();
+  if (!cohorts.includes(data?.cohort)) {
+    return [`cohort: must be one of ${cohorts.join(', ')} (got ${JSON.stringify(data?.cohort)})`];
+  }
+  return [...validate(data, schemaFor(data.cohort)), ...checkConsistency(data, file)];
+}
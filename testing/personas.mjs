@@ -0,0 +1,26 @@
+// Persona definitions
+// One file per persona in testing/personas/, named by its id (schema: personas/schema.json).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PERSONAS_DIR = path.join(__dirname, 'personas');
+
+// Persona ids, sorted
+export function listPersonas() {
+  return fs.readdirSync(PERSONAS_DIR)
+    .filter(f => f.endsWith('.json') && f !== 'schema.json')
+    .map(f => f.slice(0, -'.json'.length))
+    .sort();
+}
+
+// Load and parse one persona
+export function loadPersona(id) {
+  const personaPath = path.join(PERSONAS_DIR, `${id}.json`);
+  if (!fs.existsSync(personaPath)) {
+    throw new Error(`Unknown persona: ${id}. Available: ${listPersonas().join(', ')}`);
+  }
+  return JSON.parse(fs.readFileSync(personaPath, 'utf-8'));
+}
@@ -291,7 +291,10 @@ test('E2E: Real Dynamic Conversation + KV Verification', async ({ page }, testIn
   if (sessionId) {
     try {
       console.log(`\nQuerying database for session: ${sessionId}`);
-      const dbResponse = await page.request.get(`${SITE_URL}/api/admin/kv-check?sessionId=${sessionId}`);
+      // Admin endpoints need a session token from POST /api/admin/auth?action=verify
+      const dbResponse = await page.request.get(`${SITE_URL}/api/admin/kv-check?sessionId=${sessionId}`, {
+        headers: process.env.ADMIN_TOKEN ? { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` } : {}
+      });
       const dbData = await dbResponse.json();
 
       if (dbData.status === 'FOUND' && dbData.turns) {
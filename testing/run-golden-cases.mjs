@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+
+/**
+ * Golden Case Regression Runner
+ *
+ * Replays every turn case in testing/golden-cases/ (format: schema.json, testing/golden.mjs)
+ * against /api/chat: the case's context messages first, in a fresh session, then userMessage.
+ * The last turn's metadata is checked against the case's expectations:
+ *   dialogue act   - expected.dialogueAct, or an alternativeTiers act (which caps the tier)
+ *   fit score      - within expected.fitScore { min, max }
+ *   key dimensions - each expected.dimensions criterion within its { min, max }
+ *   stance         - expected.stance, ±1 per dimension
+ * Each case is graded pass / degrade / fail with an A/B/C tier. Aggregate cases are listed as
+ * skipped; invalid cases stop the run (see testing/validate-golden-cases.mjs).
+ *
+ * The report is JSON, written to testing/golden-runs/ and diffed against the previous report
+ * there (or --baseline). Exits 1 if any case fails.
+ *
+ * Usage (from the project root):
+ *   node testing/run-golden-cases.mjs                         # api/chat.js in-process, memory storage
+ *   node testing/run-golden-cases.mjs --mock                  # ...with the fake LLM provider
+ *   node testing/run-golden-cases.mjs --url http://localhost:3000
+ *
+ * Options:
+ *   --url <url>          Replay over HTTP instead of calling the handler directly
+ *   --mock               Send X-Mock-Mode (fake LLM, memory storage)
+ *   --config <cohort>    Replay every case against this cohort (default: each case's cohort)
+ *   --case <id>          Only run these case ids (comma-separated)
+ *   --baseline <file>    Report to diff against (default: the latest in --out)
+ *   --out <dir>          Report directory (default: testing/golden-runs)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { loadCases, validateCase } from './golden.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.join(__dirname, '..');
+
+// How far outside a window still counts as a near miss (degrade) rather than a miss (fail)
+const FIT_NEAR = 5;
+const DIMENSION_NEAR = 1;
+const STANCE_TOLERANCE = 1;
+const STANCE_NEAR = 2;
+const RESPONSE_PREVIEW_CHARS = 300;
+
+const TIERS = ['A', 'B', 'C'];
+const STATUSES = ['pass', 'degrade', 'fail'];
+
+// ========== CASES ==========
+
+// Turn cases to replay; aggregate cases are listed as skipped. Returns { cases, skipped, invalid }.
+function loadRunnableCases() {
+  const cases = [];
+  const skipped = [];
+  const invalid = [];
+
+  for (const { file, data } of loadCases()) {
+    const errors = data.kind
+      ? validateCase(data, file)
+      : ['kind: is required (legacy format - run node scripts/convert-golden-cases.js)'];
+
+    if (errors.length > 0) {
+      invalid.push({ file, errors });
+    } else if (data.kind === 'aggregate') {
+      skipped.push({ id: data.id, file, reason: 'Aggregate case (a pattern across persona runs, not a replayable turn)' });
+    } else {
+      cases.push({ ...data, file });
+    }
+  }
+  return { cases, skipped, invalid };
+}
+
+// ========== TARGETS ==========
+
+// Collect text and metadata from an SSE body
+function parseEventStream(text) {
+  let response = '';
+  let metadata = null;
+  let error = null;
+
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('data: ') || line === 'data: [DONE]') continue;
+    try {
+      const data = JSON.parse(line.slice(6));
+      if (data.text) response += data.text;
+      if (data.type === 'metadata') metadata = data;
+      if (data.type === 'error') error = data.details || data.error;
+    } catch (e) {}
+  }
+  return { response, metadata, error };
+}
+
+// POST to a running server
+function httpTarget(url, { mock }) {
+  return async ({ body, cohort }) => {
+    const res = await fetch(`${url}/api/chat?config=${encodeURIComponent(cohort)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(mock ? { 'X-Mock-Mode': 'true' } : {}) },
+      body: JSON.stringify(body)
+    });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${text.slice(0, 200)}`);
+    return parseEventStream(text);
+  };
+}
+
+// Call api/chat.js in this process with a minimal req/res. Storage is in memory unless
+// STORAGE_BACKEND says otherwise, so replays never write to the production database.
+async function handlerTarget({ mock }) {
+  process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+  const { default: handler } = await import('../api/chat.js');
+
+  return async ({ body, cohort }) => {
+    let status = 200;
+    let json = null;
+    const chunks = [];
+    const res = {
+      headersSent: false,
+      setHeader() {},
+      status(code) { status = code; return this; },
+      json(data) { json = data; return this; },
+      write(chunk) { this.headersSent = true; chunks.push(chunk); },
+      end() {}
+    };
+
+    await handler({
+      method: 'POST',
+      body,
+      query: { config: cohort },
+      headers: mock ? { 'x-mock-mode': 'true' } : {}
+    }, res);
+
+    if (json) throw new Error(`HTTP ${status}: ${json.error}${json.details ? ` (${json.details})` : ''}`);
+    return parseEventStream(chunks.join(''));
+  };
+}
+
+// ========== SCORING ==========
+
+function rangeLabel({ min, max }) {
+  if (min !== undefined && max !== undefined) return `${min}-${max}`;
+  return min !== undefined ? `>= ${min}` : `<= ${max}`;
+}
+
+// 'pass' inside { min?, max? }, 'near' within `near` of it, otherwise 'miss'
+function checkRange(value, { min = -Infinity, max = Infinity }, near) {
+  if (value == null) return 'miss';
+  const distance = value < min ? min - value : value > max ? value - max : 0;
+  if (distance === 0) return 'pass';
+  return distance <= near ? 'near' : 'miss';
+}
+
+function checkStance(actual, expected) {
+  const results = Object.entries(expected).map(([dimension, value]) => (
+    checkRange(actual?.[dimension], { min: value - STANCE_TOLERANCE, max: value + STANCE_TOLERANCE }, STANCE_NEAR - STANCE_TOLERANCE)
+  ));
+  return results.includes('miss') ? 'miss' : results.includes('near') ? 'near' : 'pass';
+}
+
+function lowerTier(tier, steps = 1) {
+  return TIERS[Math.min(TIERS.length - 1, TIERS.indexOf(tier) + steps)];
+}
+
+// Check a replayed turn's metadata against the case.
+// Tier: the matched dialogue act's tier, one lower if any check was a near miss, C if any
+// check missed. Status: fail on a missed check (an unmatched dialogue act included), degrade
+// when the tier is below the case's expected tier, pass otherwise.
+function scoreCase(goldenCase, metadata) {
+  const { expected } = goldenCase;
+  const checks = {};
+  const results = [];
+
+  const acts = [
+    { dialogueAct: expected.dialogueAct, tier: expected.tier },
+    ...(expected.alternativeTiers || []).map(({ dialogueAct, tier }) => ({ dialogueAct, tier }))
+  ];
+  const matched = acts.find(option => option.dialogueAct === metadata?.dialogueAct);
+  checks.dialogueAct = {
+    expected: acts,
+    actual: metadata?.dialogueAct ?? null,
+    result: matched ? 'pass' : 'miss',
+    tier: matched?.tier ?? null
+  };
+  results.push(checks.dialogueAct.result);
+
+  if (expected.fitScore) {
+    const result = checkRange(metadata?.fitScore, expected.fitScore, FIT_NEAR);
+    checks.fitScore = { expected: rangeLabel(expected.fitScore), actual: metadata?.fitScore ?? null, result };
+    results.push(result);
+  }
+
+  if (expected.dimensions?.length > 0) {
+    checks.dimensions = expected.dimensions.map(dimension => {
+      const actual = metadata?.rubricScores?.[dimension.criterion] ?? null;
+      return {
+        criterion: dimension.criterion,
+        expected: rangeLabel(dimension),
+        actual,
+        result: checkRange(actual, dimension, DIMENSION_NEAR)
+      };
+    });
+    results.push(...checks.dimensions.map(d => d.result));
+  }
+
+  if (expected.stance) {
+    const result = checkStance(metadata?.stance, expected.stance);
+    checks.stance = { expected: expected.stance, actual: metadata?.stance ?? null, result };
+    results.push(result);
+  }
+
+  let tier = checks.dialogueAct.tier || expected.tier;
+  if (results.includes('miss')) {
+    tier = 'C';
+  } else if (results.includes('near')) {
+    tier = lowerTier(tier);
+  }
+
+  let status = 'pass';
+  if (results.includes('miss')) {
+    status = 'fail';
+  } else if (TIERS.indexOf(tier) > TIERS.indexOf(expected.tier)) {
+    status = 'degrade';
+  }
+
+  return { status, tier, checks };
+}
+
+// ========== RUN ==========
+
+async function runCase(goldenCase, send, cohortOverride) {
+  const context = goldenCase.context || [];
+  const turnNumber = goldenCase.source.turnNumber;
+  const cohort = cohortOverride || goldenCase.cohort;
+  const sessionId = `golden-${goldenCase.id}-${Date.now()}`;
+  const base = {
+    id: goldenCase.id,
+    file: goldenCase.file,
+    persona: goldenCase.source.persona,
+    turn: turnNumber,
+    cohort,
+    expectedTier: goldenCase.expected.tier,
+    recorded: {
+      dialogueAct: goldenCase.actual?.dialogueAct ?? null,
+      fitScore: goldenCase.actual?.fitScore ?? null
+    },
+    context: {
+      replayedTurns: context.length,
+      missingTurns: turnNumber - 1 - context.length
+    }
+  };
+
+  try {
+    let reply = null;
+    for (const message of [...context, goldenCase.userMessage]) {
+      reply = await send({
+        cohort,
+        body: { message, sessionId, source: 'synthetic', requestId: crypto.randomUUID() }
+      });
+      if (reply.error) throw new Error(reply.error);
+    }
+
+    const { status, tier, checks } = scoreCase(goldenCase, reply.metadata);
+    return {
+      ...base,
+      status,
+      tier,
+      checks,
+      actual: {
+        configVersion: reply.metadata?.configVersion ?? null,
+        dialogueAct: reply.metadata?.dialogueAct ?? null,
+        speechAct: reply.metadata?.speechAct ?? null,
+        fitScore: reply.metadata?.fitScore ?? null,
+        rubricScores: reply.metadata?.rubricScores ?? null,
+        stance: reply.metadata?.stance ?? null,
+        evaluationStatus: reply.metadata?.evaluationStatus ?? null,
+        response: reply.response.slice(0, RESPONSE_PREVIEW_CHARS)
+      }
+    };
+  } catch (error) {
+    return { ...base, status: 'fail', tier: 'C', checks: {}, error: error.message };
+  }
+}
+
+function summarize(results, skipped) {
+  const count = (key, values) => Object.fromEntries(values.map(v => [v, results.filter(r => r[key] === v).length]));
+  return {
+    total: results.length,
+    ...count('status', STATUSES),
+    skipped: skipped.length,
+    tiers: count('tier', TIERS)
+  };
+}
+
+// ========== DIFF ==========
+
+// Most recent report in the output directory
+function findPreviousReport(outDir) {
+  if (!fs.existsSync(outDir)) return null;
+  const reports = fs.readdirSync(outDir).filter(f => /^golden-run-.*\.json$/.test(f)).sort();
+  return reports.length > 0 ? path.join(outDir, reports[reports.length - 1]) : null;
+}
+
+// Lower is better on both scales
+function rank(result) {
+  return STATUSES.indexOf(result.status) * TIERS.length + TIERS.indexOf(result.tier);
+}
+
+// Per-case changes since a previous report
+function diffReports(previous, results) {
+  const before = new Map(previous.cases.map(c => [c.id, c]));
+  const after = new Map(results.map(c => [c.id, c]));
+  const diff = { regressed: [], improved: [], unchanged: 0, added: [], removed: [] };
+
+  for (const result of results) {
+    const old = before.get(result.id);
+    if (!old) {
+      diff.added.push(result.id);
+      continue;
+    }
+
+    const change = {
+      id: result.id,
+      from: { status: old.status, tier: old.tier },
+      to: { status: result.status, tier: result.tier },
+      fitScoreDelta: result.actual?.fitScore != null && old.actual?.fitScore != null
+        ? result.actual.fitScore - old.actual.fitScore
+        : null,
+      dialogueActChanged: (old.actual?.dialogueAct ?? null) !== (result.actual?.dialogueAct ?? null)
+    };
+
+    if (rank(result) > rank(old)) diff.regressed.push(change);
+    else if (rank(result) < rank(old)) diff.improved.push(change);
+    else diff.unchanged++;
+  }
+
+  diff.removed = [...before.keys()].filter(id => !after.has(id));
+  return diff;
+}
+
+// ========== MAIN ==========
+
+async function main() {
+  const { values: flags } = parseArgs({
+    options: {
+      url: { type: 'string' },
+      mock: { type: 'boolean', default: false },
+      config: { type: 'string' },
+      case: { type: 'string' },
+      baseline: { type: 'string' },
+      out: { type: 'string', default: path.join(__dirname, 'golden-runs') }
+    }
+  });
+
+  const { cases: allCases, skipped, invalid } = loadRunnableCases();
+  if (invalid.length > 0) {
+    console.error('✗ Invalid golden cases (node testing/validate-golden-cases.mjs):');
+    for (const { file, errors } of invalid) {
+      console.error(`  ${file}: ${errors.join('; ')}`);
+    }
+    process.exit(1);
+  }
+
+  const only = flags.case ? flags.case.split(',').map(s => s.trim()) : null;
+  const cases = only ? allCases.filter(c => only.includes(c.id)) : allCases;
+
+  if (only) {
+    const unknown = only.filter(id => !allCases.some(c => c.id === id));
+    if (unknown.length > 0) {
+      console.error(`✗ Unknown case id(s): ${unknown.join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  const target = flags.url ? `http ${flags.url}` : 'handler';
+  const send = flags.url ? httpTarget(flags.url, flags) : await handlerTarget(flags);
+
+  console.log('='.repeat(70));
+  console.log('GOLDEN CASE REGRESSION RUN');
+  console.log(`Target: ${target}${flags.mock ? ' (mock)' : ''}, cohort: ${flags.config || 'per case'}`);
+  console.log(`Cases: ${cases.length} (${skipped.length} skipped)`);
+  console.log('='.repeat(70));
+
+  const results = [];
+  for (const goldenCase of cases) {
+    const result = await runCase(goldenCase, send, flags.config);
+    results.push(result);
+
+    const context = result.context.missingTurns > 0 ? ` [${result.context.missingTurns} prior turn(s) unavailable]` : '';
+    const detail = result.error
+      ? result.error
+      : `act=${result.actual.dialogueAct} fit=${result.actual.fitScore}`;
+    console.log(`  ${result.status.padEnd(7)} ${result.tier}  ${result.id}: ${detail}${context}`);
+  }
+
+  const report = {
+    runAt: new Date().toISOString(),
+    target,
+    mock: flags.mock,
+    cohort: flags.config || null,
+    configVersions: [...new Set(results.map(r => r.actual?.configVersion).filter(Boolean))],
+    summary: summarize(results, skipped),
+    cases: results,
+    skipped,
+    diff: null
+  };
+
+  const baselinePath = flags.baseline || findPreviousReport(flags.out);
+  if (baselinePath) {
+    const previous = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+    report.diff = { against: path.relative(projectRoot, baselinePath), ...diffReports(previous, results) };
+  }
+
+  fs.mkdirSync(flags.out, { recursive: true });
+  const outputPath = path.join(flags.out, `golden-run-${Date.now()}.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+
+  const { summary, diff } = report;
+  console.log('\n' + '='.repeat(70));
+  console.log(`pass=${summary.pass} degrade=${summary.degrade} fail=${summary.fail} skipped=${summary.skipped}`);
+  console.log(`tiers: A=${summary.tiers.A} B=${summary.tiers.B} C=${summary.tiers.C}`);
+  if (diff) {
+    console.log(`vs ${diff.against}: ${diff.regressed.length} regressed, ${diff.improved.length} improved, ${diff.unchanged} unchanged`);
+    for (const change of diff.regressed) {
+      console.log(`  ✗ ${change.id}: ${change.from.status}/${change.from.tier} → ${change.to.status}/${change.to.tier}`);
+    }
+  }
+  console.log(`Report saved to: ${path.relative(projectRoot, outputPath)}`);
+
+  process.exit(summary.fail > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
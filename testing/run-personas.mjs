@@ -1,18 +1,51 @@
 // Run all personas through adaptive conversation generation
 // Personas respond naturally to what the guide actually says
 // No pre-scripted utterances, truly adaptive dialogue
-
+// After each guide reply the persona judges its satisfaction/dissatisfaction signals against its
+// positive/negative/neutral exits; each run records how it ended (exit type, reason, turn)
+//
+// Usage:
+//   node testing/run-personas.mjs --all
+//   node testing/run-personas.mjs --personas philosophical-thinker,systems-thinker --runs 2
+//
+// Options:
+//   --personas <ids>     Personas to run (comma-separated ids from testing/personas/)
+//   --all                Run every persona (default when --personas is not given)
+//   --runs <n>           Runs per persona (default: 5)
+//   --cohort <cohort>    Cohort config to run against (alias --config; default: the server's assignment)
+//   --concurrency <n>    Conversations in flight at once (default: 1)
+//   --url <url>          API target (default: API_URL or http://localhost:3000)
+//   --out <path>         Results file (default: testing/persona-runs-<timestamp>.json)
+
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
 import { Groq } from 'groq-sdk';
+import { listCohorts } from '../lib/cohort-config.js';
+import { extractJson, validate } from '../lib/evaluation.js';
+import { listPersonas, loadPersona } from './personas.mjs';
 
-const API_URL = process.env.API_URL || 'http://localhost:3000';
 const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const RUNS_PER_PERSONA = 5;
+const DEFAULT_RUNS = 5;
 const DELAY_BETWEEN_TURNS = 1500;  // 1.5s between turns
 const DELAY_BETWEEN_RUNS = 3000;   // 3s between runs
 const MAX_RETRIES = 3;
 
+// How a run ended: the persona's own exits, or the runner stopping it
+const EXIT_TYPES = ['positive', 'negative', 'neutral', 'max-turns', 'error'];
+
+const EXIT_JUDGEMENT_SCHEMA = {
+  type: 'object',
+  required: ['exit', 'reason'],
+  properties: {
+    exit: { type: 'string', enum: ['continue', 'positive', 'negative', 'neutral'] },
+    reason: { type: 'string', minLength: 1 },
+    satisfactionSignals: { type: 'array', items: { type: 'string' } },
+    dissatisfactionSignals: { type: 'array', items: { type: 'string' } }
+  }
+};
+
 // Initialize Groq client
 const groq = new Groq({ apiKey: GROQ_API_KEY });
 
@@ -21,7 +54,8 @@ async function fetchWithRetry(url, options, retries = MAX_RETRIES) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       const response = await fetch(url, options);
-      if (response.status === 503 || response.status === 429) {
+      // 409: another copy of this request (same requestId) is still being answered
+      if (response.status === 503 || response.status === 429 || response.status === 409) {
         const backoff = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
         console.log(`      [Retry ${attempt}/${retries}] Got ${response.status}, waiting ${backoff/1000}s...`);
         await new Promise(r => setTimeout(r, backoff));
@@ -95,123 +129,207 @@ Generate only the message text, no meta-commentary.`;
   return response.choices[0].message.content.trim();
 }
 
-// Check if conversation should terminate
-function shouldTerminate(persona, turnNumber, messages, metadata) {
-  const { termination } = persona;
-  const { minTurns, maxTurns } = termination;
+// Ask the persona, after each guide reply, whether one of its exit conditions is met
+// Returns { exit: continue|positive|negative|neutral, reason, satisfactionSignals, dissatisfactionSignals };
+// a judgement that can't be parsed counts as continue, so a bad completion never ends a run
+async function judgeExit(persona, conversationHistory, turnNumber) {
+  const { objectives, termination } = persona;
 
-  // Must hit minimum turns
-  if (turnNumber < minTurns) return false;
+  const systemPrompt = `You are ${persona.name}, deciding whether to keep talking with a community guide.
 
-  // Must stop at maximum turns
-  if (turnNumber >= maxTurns) return true;
+**Your Primary Objective:** ${objectives.primary}
+
+**Signals you're getting what you need:**
+${(objectives.satisfactionSignals || []).map(s => `- ${s}`).join('\n') || '- (none listed)'}
+
+**Red flags:**
+${(objectives.dissatisfactionSignals || []).map(s => `- ${s}`).join('\n') || '- (none listed)'}
+
+**When you would end the conversation:**
+- positive: ${termination.positiveExit || 'n/a'}
+- negative: ${termination.negativeExit || 'n/a'}
+- neutral: ${termination.neutralExit || 'n/a'}
+
+**Conversation so far (${turnNumber} turns):**
+${conversationHistory.map(m => `${m.role === 'user' ? 'You' : 'Guide'}: ${m.content}`).join('\n')}
+
+**Your task:**
+Judge the conversation as it stands. Quote only signals from the lists above that the guide's replies actually showed.
+Choose "continue" unless one of the exit conditions is clearly met right now.
+
+Respond with only this JSON:
+{"exit": "continue" | "positive" | "negative" | "neutral", "reason": "<one sentence, in character>", "satisfactionSignals": ["..."], "dissatisfactionSignals": ["..."]}`;
+
+  let response;
+  try {
+    response = await groq.chat.completions.create({
+      model: 'llama-3.3-70b-versatile',
+      messages: [
+        {
+          role: 'user',
+          content: systemPrompt
+        }
+      ],
+      max_tokens: 300,
+      temperature: 0.2 // Judgement should be steady, not creative
+    });
+  } catch (error) {
+    return { exit: 'continue', reason: `Judgement failed: ${error.message}`, satisfactionSignals: [], dissatisfactionSignals: [], invalid: true };
+  }
+
+  let judgement;
+  try {
+    judgement = extractJson(response.choices[0].message.content);
+  } catch (error) {
+    return { exit: 'continue', reason: `Unparseable judgement: ${error.message}`, satisfactionSignals: [], dissatisfactionSignals: [], invalid: true };
+  }
 
-  // Could add heuristics here based on metadata.fitScore, stance, etc.
-  // For now, just use min/max bounds
+  const errors = validate(judgement, EXIT_JUDGEMENT_SCHEMA);
+  if (errors.length > 0) {
+    return { exit: 'continue', reason: `Invalid judgement: ${errors.join('; ')}`, satisfactionSignals: [], dissatisfactionSignals: [], invalid: true };
+  }
 
-  return false;
+  return {
+    exit: judgement.exit,
+    reason: judgement.reason,
+    satisfactionSignals: judgement.satisfactionSignals || [],
+    dissatisfactionSignals: judgement.dissatisfactionSignals || []
+  };
 }
 
-const personas = [
-  'philosophical-thinker',
-  'transactional-seeker',
-  'performative-philosopher',
-  'authentic-inarticulate',
-  'builder-experimenter',
-  'systems-thinker',
-  'extraction-thinker',
-  'curious-individualist'
-];
-
-async function runPersona(personaId, runNumber) {
-  const personaPath = path.join(process.cwd(), 'testing', 'personas', `${personaId}.json`);
-  const persona = JSON.parse(fs.readFileSync(personaPath, 'utf-8'));
+// Check if conversation should terminate; returns { type, reason } or null to keep going
+// The persona's own exit judgement only counts once minTurns is reached
+function shouldTerminate(persona, turnNumber, judgement) {
+  const { minTurns, maxTurns } = persona.termination;
+
+  if (turnNumber >= minTurns && judgement && judgement.exit !== 'continue') {
+    return { type: judgement.exit, reason: judgement.reason };
+  }
+
+  // Must stop at maximum turns
+  if (turnNumber >= maxTurns) {
+    return { type: 'max-turns', reason: `Reached maxTurns (${maxTurns}) without meeting an exit condition` };
+  }
+
+  return null;
+}
+
+async function runPersona(personaId, runNumber, options) {
+  const persona = loadPersona(personaId);
+  const chatUrl = `${options.url}/api/chat${options.cohort ? `?config=${encodeURIComponent(options.cohort)}` : ''}`;
+
+  // Conversations running side by side get their lines tagged
+  const tag = options.concurrency > 1 ? `[${personaId} #${runNumber}] ` : '';
+  const log = (line) => console.log(tag ? tag + line.trim() : line);
+  const logError = (line) => console.error(tag ? tag + line.trim() : line);
 
   const sessionId = `test-${personaId}-run${runNumber}-${Date.now()}`;
   const messages = [];
   const turns = [];
+  let lastMetadata = null;
 
-  console.log(`\n  Run ${runNumber}: ${persona.name}`);
+  log(`\n  Run ${runNumber}: ${persona.name}`);
 
   // Turn 1: Send opening message
   const openingMessage = persona.opening.firstMessage;
   messages.push({ role: 'user', content: openingMessage });
 
-  console.log(`    Turn 1 (opening): "${openingMessage.substring(0, 80)}..."`);
+  log(`    Turn 1 (opening): "${openingMessage.substring(0, 80)}..."`);
 
-  let continueConversation = true;
+  let exit = null;
   let turnNumber = 1;
 
-  while (continueConversation && turnNumber <= persona.termination.maxTurns) {
+  while (!exit) {
     // Call guide with accumulated messages
     await new Promise(r => setTimeout(r, DELAY_BETWEEN_TURNS));
+    const userMessage = messages[messages.length - 1].content;
 
     try {
-      const response = await fetchWithRetry(`${API_URL}/api/chat`, {
+      // One request id per turn: a retry replays the stored reply instead of adding a turn
+      const response = await fetchWithRetry(chatUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ messages, sessionId, source: 'synthetic' })
+        body: JSON.stringify({ messages, sessionId, source: 'synthetic', requestId: crypto.randomUUID() })
       });
 
       const text = await response.text();
 
+      // A JSON error instead of a stream: there is no guide reply to answer
+      if (!response.ok) {
+        logError(`    Turn ${turnNumber}: ERROR - guide returned ${response.status}: ${text.substring(0, 200)}`);
+        exit = { type: 'error', reason: `Guide returned ${response.status}`, status: response.status, body: text.substring(0, 1000), turn: turnNumber };
+        break;
+      }
+
       // Parse SSE response
       let aiResponse = '';
       let metadata = null;
+      let streamError = null;
 
       for (const line of text.split('\n')) {
         if (line.startsWith('data: ') && line !== 'data: [DONE]') {
           try {
             const data = JSON.parse(line.slice(6));
-            if (data.text) aiResponse = data.text;
+            if (data.text) aiResponse += data.text;
             if (data.type === 'metadata') metadata = data;
+            if (data.type === 'error') streamError = data;
           } catch (e) {}
         }
       }
 
+      // The stream started, then failed (reported in-band with a 200 status)
+      if (streamError || !aiResponse) {
+        const reason = streamError ? `${streamError.error}: ${streamError.details}` : 'Empty guide reply';
+        logError(`    Turn ${turnNumber}: ERROR - ${reason}`);
+        exit = { type: 'error', reason, status: response.status, body: text.substring(0, 1000), turn: turnNumber };
+        break;
+      }
+
       messages.push({ role: 'assistant', content: aiResponse });
+      if (metadata) lastMetadata = metadata;
+
+      // The persona weighs the reply against its signals and exit conditions
+      const judgement = await judgeExit(persona, messages, turnNumber);
 
       turns.push({
         turn: turnNumber,
-        userMessage: openingMessage || messages[messages.length - 2]?.content || '(opening)',
+        userMessage,
         aiResponse: aiResponse.substring(0, 150) + (aiResponse.length > 150 ? '...' : ''),
         fitScore: metadata?.fitScore,
         dialogueAct: metadata?.dialogueAct,
         speechAct: metadata?.speechAct,
         stance: metadata?.stance,
         allFloorsPass: metadata?.allFloorsPass,
-        rubricScores: metadata?.rubricScores
+        rubricScores: metadata?.rubricScores,
+        judgement
       });
 
       const stance = metadata?.stance;
-      console.log(`    Turn ${turnNumber}: fitScore=${metadata?.fitScore}, stance=[O:${stance?.orientation},A:${stance?.agency},C:${stance?.certainty}]`);
+      log(`    Turn ${turnNumber}: fitScore=${metadata?.fitScore}, stance=[O:${stance?.orientation},A:${stance?.agency},C:${stance?.certainty}], persona=${judgement.exit}${judgement.invalid ? ' (invalid judgement)' : ''}`);
 
       // Check if should terminate
-      if (shouldTerminate(persona, turnNumber, messages, metadata)) {
-        console.log(`    → Conversation terminated at turn ${turnNumber} (max reached)`);
-        continueConversation = false;
+      const termination = shouldTerminate(persona, turnNumber, judgement);
+      if (termination) {
+        exit = { ...termination, turn: turnNumber };
+        log(`    → Conversation ended at turn ${turnNumber} (${exit.type}): ${exit.reason}`);
         break;
       }
 
       // Generate next persona message
-      if (turnNumber < persona.termination.maxTurns) {
-        turnNumber++;
-
-        try {
-          const personaMessage = await generatePersonaMessage(persona, messages, turnNumber);
-          messages.push({ role: 'user', content: personaMessage });
-          console.log(`    Turn ${turnNumber} (generated): "${personaMessage.substring(0, 80)}..."`);
-        } catch (error) {
-          console.error(`    Turn ${turnNumber}: ERROR generating persona message - ${error.message}`);
-          continueConversation = false;
-          break;
-        }
+      turnNumber++;
+
+      try {
+        const personaMessage = await generatePersonaMessage(persona, messages, turnNumber);
+        messages.push({ role: 'user', content: personaMessage });
+        log(`    Turn ${turnNumber} (generated): "${personaMessage.substring(0, 80)}..."`);
+      } catch (error) {
+        logError(`    Turn ${turnNumber}: ERROR generating persona message - ${error.message}`);
+        exit = { type: 'error', reason: `Generating persona message failed: ${error.message}`, turn: turnNumber };
       }
 
     } catch (error) {
-      console.error(`    Turn ${turnNumber}: ERROR - ${error.message}`);
-      continueConversation = false;
-      break;
+      logError(`    Turn ${turnNumber}: ERROR - ${error.message}`);
+      exit = { type: 'error', reason: error.message, turn: turnNumber };
     }
   }
 
@@ -220,17 +338,75 @@ async function runPersona(personaId, runNumber) {
     personaName: persona.name,
     runNumber,
     sessionId,
+    cohort: lastMetadata?.cohort ?? options.cohort ?? null,
+    configVersion: lastMetadata?.configVersion ?? null,
     expectedDialogueActs: persona.expectedDialogueActs,
     targetRubricDimensions: persona.targetRubricDimensions,
     tier: persona.tier,
     turns,
     finalFitScore: turns[turns.length - 1]?.fitScore,
     turnCount: turns.length,
+    exit,
     timestamp: new Date().toISOString()
   };
 }
 
+// Parse and check options; exits on unknown personas or cohorts before anything runs
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      personas: { type: 'string' },
+      all: { type: 'boolean', default: false },
+      runs: { type: 'string', default: String(DEFAULT_RUNS) },
+      cohort: { type: 'string' },
+      config: { type: 'string' },
+      concurrency: { type: 'string', default: '1' },
+      url: { type: 'string', default: process.env.API_URL || 'http://localhost:3000' },
+      out: { type: 'string', default: path.join(process.cwd(), 'testing', `persona-runs-${Date.now()}.json`) }
+    }
+  });
+
+  const available = listPersonas();
+  const personas = values.personas && !values.all
+    ? values.personas.split(',').map(id => id.trim()).filter(Boolean)
+    : available;
+
+  const unknown = personas.filter(id => !available.includes(id));
+  if (unknown.length > 0) {
+    console.error(`ERROR: Unknown persona(s): ${unknown.join(', ')}`);
+    console.error(`Available: ${available.join(', ')}`);
+    process.exit(1);
+  }
+
+  const cohort = values.cohort || values.config || null;
+  if (cohort && !listCohorts().includes(cohort)) {
+    console.error(`ERROR: Unknown cohort: ${cohort}. Available: ${listCohorts().join(', ')}`);
+    process.exit(1);
+  }
+
+  const runs = Number(values.runs);
+  const concurrency = Number(values.concurrency);
+  for (const [name, value] of [['runs', runs], ['concurrency', concurrency]]) {
+    if (!Number.isInteger(value) || value < 1) {
+      console.error(`ERROR: --${name} must be a positive integer`);
+      process.exit(1);
+    }
+  }
+
+  return { personas, runs, cohort, concurrency, url: values.url.replace(/\/$/, ''), out: path.resolve(values.out) };
+}
+
+// "positive=2, negative=1" for a set of runs, in EXIT_TYPES order
+function formatExits(runs) {
+  const counts = EXIT_TYPES
+    .map(type => [type, runs.filter(r => r.exit?.type === type).length])
+    .filter(([, count]) => count > 0);
+  return counts.length ? counts.map(([type, count]) => `${type}=${count}`).join(', ') : 'none';
+}
+
 async function main() {
+  const options = parseOptions();
+
   // Verify Groq API key
   if (!GROQ_API_KEY) {
     console.error('ERROR: GROQ_API_KEY environment variable not set');
@@ -239,28 +415,45 @@ async function main() {
 
   console.log('='.repeat(70));
   console.log('PERSONA TEST RUN - Adaptive Conversation Generation');
-  console.log(`API: ${API_URL}`);
-  console.log(`Runs per persona: ${RUNS_PER_PERSONA}`);
+  console.log(`API: ${options.url}`);
+  console.log(`Cohort: ${options.cohort || 'assigned by server'}`);
+  console.log(`Personas: ${options.personas.join(', ')}`);
+  console.log(`Runs per persona: ${options.runs}, concurrency: ${options.concurrency}`);
   console.log('='.repeat(70));
 
+  // Every (persona, run) pair, worked through by `concurrency` workers
+  const jobs = options.personas.flatMap(personaId =>
+    Array.from({ length: options.runs }, (_, i) => ({ personaId, runNumber: i + 1 }))
+  );
   const allResults = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < jobs.length) {
+      const { personaId, runNumber } = jobs[next++];
+      if (options.concurrency === 1 && runNumber === 1) {
+        console.log(`\n${'─'.repeat(70)}`);
+        console.log(`PERSONA: ${personaId}`);
+        console.log('─'.repeat(70));
+      }
 
-  for (const personaId of personas) {
-    console.log(`\n${'─'.repeat(70)}`);
-    console.log(`PERSONA: ${personaId}`);
-    console.log('─'.repeat(70));
-
-    for (let run = 1; run <= RUNS_PER_PERSONA; run++) {
-      const result = await runPersona(personaId, run);
-      allResults.push(result);
+      allResults.push(await runPersona(personaId, runNumber, options));
 
       // Longer delay between runs to avoid rate limiting
       await new Promise(r => setTimeout(r, DELAY_BETWEEN_RUNS));
     }
   }
 
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, jobs.length) }, worker));
+
+  // Results in persona then run order, whatever order they finished in
+  allResults.sort((a, b) =>
+    options.personas.indexOf(a.personaId) - options.personas.indexOf(b.personaId) || a.runNumber - b.runNumber
+  );
+
   // Save results
-  const outputPath = path.join(process.cwd(), 'testing', `persona-runs-${Date.now()}.json`);
+  const outputPath = options.out;
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
   fs.writeFileSync(outputPath, JSON.stringify(allResults, null, 2));
 
   console.log('\n' + '='.repeat(70));
@@ -268,7 +461,7 @@ async function main() {
   console.log('='.repeat(70));
 
   // Analyze by persona
-  for (const personaId of personas) {
+  for (const personaId of options.personas) {
     const runs = allResults.filter(r => r.personaId === personaId);
     const scores = runs.map(r => r.finalFitScore).filter(s => s != null);
     const turnCounts = runs.map(r => r.turnCount).filter(t => t != null);
@@ -281,6 +474,14 @@ async function main() {
     console.log(`  Final fitScore: avg=${avg}, min=${min}, max=${max}`);
     console.log(`  Scores: [${scores.join(', ')}]`);
     console.log(`  Average turns per conversation: ${avgTurns}`);
+    console.log(`  Exits: ${formatExits(runs)}`);
+  }
+
+  // Would this person walk away? Exit mix per cohort, beside the fit scores above
+  const cohorts = [...new Set(allResults.map(r => r.cohort || 'unknown'))];
+  console.log('\nExits by cohort:');
+  for (const cohort of cohorts) {
+    console.log(`  ${cohort}: ${formatExits(allResults.filter(r => (r.cohort || 'unknown') === cohort))}`);
   }
 
   console.log(`\nResults saved to: ${outputPath}`);
@@ -288,4 +489,7 @@ async function main() {
   return allResults;
 }
 
-main().catch(console.error);
+main().catch(error => {
+  console.error(error.message || error);
+  process.exit(1);
+});
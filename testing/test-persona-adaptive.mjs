@@ -137,7 +137,7 @@ async function testPersona() {
         if (line.startsWith('data: ') && line !== 'data: [DONE]') {
           try {
             const data = JSON.parse(line.slice(6));
-            if (data.text) aiResponse = data.text;
+            if (data.text) aiResponse += data.text;
             if (data.type === 'metadata') metadata = data;
           } catch (e) {}
         }
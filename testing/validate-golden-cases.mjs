@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Golden Case Validator
+ *
+ * Checks every file in testing/golden-cases/ against schema.json, with the dialogue acts,
+ * speech acts and rubric criteria taken from the case's cohort config and the personas from
+ * testing/personas/ (testing/golden.mjs). Exits 1 on any error, so a taxonomy or rubric
+ * change that strands existing cases fails here rather than in a regression run.
+ *
+ * Usage:
+ *   node testing/validate-golden-cases.mjs
+ */
+
+import { loadCases, validateCase } from './golden.mjs';
+
+function main() {
+  const cases = loadCases();
+  let invalid = 0;
+
+  for (const { file, data } of cases) {
+    const errors = data.kind
+      ? validateCase(data, file)
+      : ['kind: is required (legacy format - run node scripts/convert-golden-cases.js)'];
+
+    if (errors.length > 0) {
+      invalid++;
+      console.log(`✗ ${file}`);
+      errors.forEach(error => console.log(`    ${error}`));
+    } else {
+      console.log(`✓ ${file}`);
+    }
+  }
+
+  console.log(`\n${cases.length - invalid}/${cases.length} golden cases valid`);
+  if (invalid > 0) process.exit(1);
+}
+
+main();